@@ -4,6 +4,8 @@ import { LoginPage } from './components/LoginPage';
 import { Dashboard } from './components/Dashboard';
 import { AuthSuccess } from './components/AuthSuccess';
 import { AuthError } from './components/AuthError';
+import { IssueDetail } from './components/IssueDetail';
+import { ReplayDetail } from './components/ReplayDetail';
 import './App.css';
 
 function AppContent() {
@@ -39,6 +41,18 @@ function AppContent() {
 
   // Main application routing
   if (isAuthenticated) {
+    // /issues/:orgSlug/:issueId - drill-down from the metrics dashboard
+    const issueMatch = currentPath.match(/^\/issues\/([^/]+)\/(\d+)\/?$/);
+    if (issueMatch) {
+      return <IssueDetail orgSlug={decodeURIComponent(issueMatch[1])} issueId={issueMatch[2]} />;
+    }
+
+    // /replays/:orgSlug/:replayId - from the replay list on the metrics dashboard
+    const replayMatch = currentPath.match(/^\/replays\/([^/]+)\/([0-9a-f]{32})\/?$/);
+    if (replayMatch) {
+      return <ReplayDetail orgSlug={decodeURIComponent(replayMatch[1])} replayId={replayMatch[2]} />;
+    }
+
     return <Dashboard />;
   }
 
@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useState } from 'react';
+import './AlertsOverview.css';
+
+// Metric and issue alert rules merged by the server (see server/services/alerts.js)
+interface AlertIncident {
+  id: string;
+  identifier: string;
+  title: string;
+  status: string;
+  dateStarted: string | null;
+  dateClosed: string | null;
+}
+
+interface AlertRule {
+  id: string;
+  type: 'metric' | 'issue';
+  name: string;
+  projects: string[];
+  environment: string | null;
+  condition: string | null;
+  state: 'critical' | 'warning' | 'triggered' | 'ok' | 'disabled';
+  lastTriggered: string | null;
+  incidents: AlertIncident[];
+}
+
+interface UnalertedProject {
+  id: string;
+  slug: string;
+  name: string;
+  platform: string | null;
+}
+
+interface AlertsOverviewProps {
+  orgSlug: string;
+  // Time range query string (statsPeriod or start/end), shared with the rest of the dashboard
+  timeRangeQuery: string;
+  // Project picked on the dashboard (slug - alert rules name projects by slug), if any
+  projectSlug?: string;
+}
+
+const STATE_LABELS: Record<AlertRule['state'], string> = {
+  critical: '🔴 Critical',
+  warning: '🟠 Warning',
+  triggered: '🔔 Triggered',
+  ok: '🟢 OK',
+  disabled: '⏸️ Disabled'
+};
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleString() : 'Never';
+
+export function AlertsOverview({ orgSlug, timeRangeQuery, projectSlug }: AlertsOverviewProps) {
+  const [rules, setRules] = useState<AlertRule[]>([]);
+  const [unalerted, setUnalerted] = useState<UnalertedProject[]>([]);
+  const [failedProjects, setFailedProjects] = useState<string[]>([]);
+  const [type, setType] = useState('');
+  const [state, setState] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams(timeRangeQuery);
+      if (projectSlug) {
+        params.set('project', projectSlug);
+      }
+      if (type) {
+        params.set('type', type);
+      }
+      if (state) {
+        params.set('state', state);
+      }
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/alerts?${params}`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || 'Failed to fetch alerts');
+      }
+
+      const data = await response.json();
+      setRules(data.rules || []);
+      setUnalerted(data.projectsWithoutAlerts || []);
+      setFailedProjects(data.failedProjects || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch alerts');
+    } finally {
+      setLoading(false);
+    }
+  }, [orgSlug, timeRangeQuery, projectSlug, type, state]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  return (
+    <div className="alerts-overview">
+      <div className="chart-container alerts-coverage">
+        <h3>Projects Without Alerting</h3>
+        {unalerted.length > 0 ? (
+          <>
+            <p className="alerts-coverage-hint">
+              No enabled metric or issue alert covers these projects - errors here go unnoticed until someone looks.
+            </p>
+            <ul className="unalerted-projects">
+              {unalerted.map(project => (
+                <li key={project.id}>
+                  <span className="unalerted-name">{project.name}</span>
+                  {project.platform && <span className="unalerted-platform">{project.platform}</span>}
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          !loading && !error && <p className="alerts-empty">✅ Every project has at least one enabled alert rule</p>
+        )}
+        {failedProjects.length > 0 && (
+          <p className="alerts-warning">
+            ⚠️ Couldn't read issue alerts for: {failedProjects.join(', ')}
+          </p>
+        )}
+      </div>
+
+      <div className="chart-container alerts-rules">
+        <div className="chart-header">
+          <h3>Alert Rules</h3>
+          <div className="chart-controls">
+            <select value={type} onChange={(e) => setType(e.target.value)} className="chart-selector" aria-label="Alert type">
+              <option value="">All types</option>
+              <option value="metric">Metric alerts</option>
+              <option value="issue">Issue alerts</option>
+            </select>
+            <select value={state} onChange={(e) => setState(e.target.value)} className="chart-selector" aria-label="Alert state">
+              <option value="">Any state</option>
+              {Object.entries(STATE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {error && <p className="alerts-error">{error}</p>}
+
+        <div className="alerts-table-wrapper">
+          <table className="alerts-table">
+            <thead>
+              <tr>
+                <th>State</th>
+                <th>Rule</th>
+                <th>Type</th>
+                <th>Projects</th>
+                <th>Last Triggered</th>
+                <th>Recent Incidents</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.id}>
+                  <td className={`alert-state state-${rule.state}`}>{STATE_LABELS[rule.state]}</td>
+                  <td>
+                    <span className="alert-name">{rule.name}</span>
+                    {rule.condition && <span className="alert-condition">{rule.condition}</span>}
+                  </td>
+                  <td>{rule.type === 'metric' ? 'Metric' : 'Issue'}</td>
+                  <td>{rule.projects.length > 0 ? rule.projects.join(', ') : 'All projects'}</td>
+                  <td>{formatDate(rule.lastTriggered)}</td>
+                  <td>
+                    {rule.incidents.length > 0 ? (
+                      <ul className="alert-incidents">
+                        {rule.incidents.map(incident => (
+                          <li key={incident.id} className={`incident-${incident.status}`}>
+                            #{incident.identifier} {incident.status} · {formatDate(incident.dateStarted)}
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <span className="alert-muted">{rule.type === 'metric' ? 'None in range' : '—'}</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!loading && rules.length === 0 && (
+            <p className="alerts-empty">No alert rules match these filters</p>
+          )}
+          {loading && rules.length === 0 && (
+            <p className="alerts-empty">Loading alert rules…</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,10 @@
 import { useAuth } from '../contexts/AuthContext';
 import { SentryMetrics } from './SentryMetrics';
+import { SessionsPanel } from './SessionsPanel';
 import './Dashboard.css';
 
 export function Dashboard() {
-  const { user, logout } = useAuth();
+  const { user, logout, disconnect } = useAuth();
 
   const handleLogout = async () => {
     try {
@@ -13,6 +14,18 @@ export function Dashboard() {
     }
   };
 
+  const handleDisconnect = async () => {
+    if (!window.confirm('Disconnect Sentry? This revokes access and signs you out on every device.')) {
+      return;
+    }
+
+    try {
+      await disconnect();
+    } catch (error) {
+      console.error('Disconnect error:', error);
+    }
+  };
+
   if (!user) {
     return <div>Loading...</div>;
   }
@@ -26,6 +39,9 @@ export function Dashboard() {
             <p>Welcome back, {user.name}!</p>
           </div>
           <div className="header-right">
+            <button onClick={handleDisconnect} className="disconnect-button">
+              Disconnect Sentry
+            </button>
             <button onClick={handleLogout} className="logout-button">
               Logout
             </button>
@@ -53,6 +69,8 @@ export function Dashboard() {
           </div>
         </div>
 
+        {/* Active sessions across devices */}
+        <SessionsPanel />
 
         {/* Sentry Metrics Dashboard */}
         <SentryMetrics />
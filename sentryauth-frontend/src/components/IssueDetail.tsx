@@ -0,0 +1,344 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { navigate } from '../navigation';
+import './Dashboard.css';
+import './IssueDetail.css';
+
+interface Issue {
+  id: string;
+  shortId: string;
+  title: string;
+  culprit: string | null;
+  level: string;
+  status: string;
+  count: string;
+  userCount: number;
+  firstSeen: string;
+  lastSeen: string;
+  permalink: string;
+  project: { slug: string; name: string };
+}
+
+interface StackFrame {
+  filename: string | null;
+  function: string | null;
+  lineNo: number | null;
+  colNo: number | null;
+  inApp: boolean;
+  context: [number, string][];
+}
+
+interface ExceptionValue {
+  type: string;
+  value: string;
+  mechanism: { type: string; handled: boolean } | null;
+  frames: StackFrame[];
+}
+
+interface Breadcrumb {
+  timestamp: string | null;
+  category: string | null;
+  level: string;
+  message: string | null;
+  data: Record<string, unknown> | null;
+}
+
+// The latest event, as trimmed by the server (see server/services/event-details.js)
+interface LatestEvent {
+  id: string;
+  dateCreated: string | null;
+  release: string | null;
+  environment: string | null;
+  user: { id?: string; email?: string; username?: string; ip_address?: string } | null;
+  exceptions: ExceptionValue[];
+  breadcrumbs: Breadcrumb[];
+}
+
+interface IssueTag {
+  key: string;
+  name: string;
+  totalValues: number;
+  topValues: { value: string; name: string; count: number }[];
+}
+
+interface IssueDetailProps {
+  orgSlug: string;
+  issueId: string;
+}
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleString() : 'Unknown';
+
+export function IssueDetail({ orgSlug, issueId }: IssueDetailProps) {
+  const { login } = useAuth();
+  const [issue, setIssue] = useState<Issue | null>(null);
+  const [event, setEvent] = useState<LatestEvent | null>(null);
+  const [tags, setTags] = useState<IssueTag[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [missingScopes, setMissingScopes] = useState<string[]>([]);
+  // Only in-app frames are shown until the user asks for the full trace
+  const [showAllFrames, setShowAllFrames] = useState(false);
+
+  const fetchIssue = useCallback(async () => {
+    const base = `${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/issues/${issueId}`;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setMissingScopes([]);
+
+      const [issueResponse, eventResponse, tagsResponse] = await Promise.all([
+        fetch(base, { credentials: 'include' }),
+        fetch(`${base}/events/latest`, { credentials: 'include' }),
+        fetch(`${base}/tags`, { credentials: 'include' })
+      ]);
+
+      if (issueResponse.status === 403) {
+        const data = await issueResponse.json();
+        if (data.missingScopes?.length) {
+          setMissingScopes(data.missingScopes);
+          throw new Error(`Sentry access is missing these scopes: ${data.missingScopes.join(', ')}`);
+        }
+      }
+
+      if (issueResponse.status === 404) {
+        throw new Error('Issue not found - it may have been deleted or merged');
+      }
+
+      if (!issueResponse.ok) {
+        throw new Error('Failed to fetch issue');
+      }
+
+      setIssue((await issueResponse.json()).issue);
+      // The event and tags are extras: show the issue even if they fail
+      setEvent(eventResponse.ok ? (await eventResponse.json()).event : null);
+      setTags(tagsResponse.ok ? (await tagsResponse.json()).tags || [] : []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch issue');
+    } finally {
+      setLoading(false);
+    }
+  }, [orgSlug, issueId]);
+
+  useEffect(() => {
+    fetchIssue();
+  }, [fetchIssue]);
+
+  const renderFrames = (frames: StackFrame[]) => {
+    const hasInApp = frames.some(frame => frame.inApp);
+    // Sentry lists the innermost call last; show it first like most stack trace views
+    const visible = [...frames].reverse().filter(frame => showAllFrames || !hasInApp || frame.inApp);
+
+    return (
+      <ol className="stack-frames">
+        {visible.map((frame, index) => (
+          <li key={index} className={`stack-frame${frame.inApp ? ' in-app' : ''}`}>
+            <div className="frame-location">
+              <span className="frame-file">{frame.filename || '<unknown>'}</span>
+              {frame.function && <span className="frame-function"> in {frame.function}</span>}
+              {frame.lineNo !== null && (
+                <span className="frame-line"> at line {frame.lineNo}{frame.colNo !== null ? `:${frame.colNo}` : ''}</span>
+              )}
+            </div>
+            {frame.context.length > 0 && (
+              <pre className="frame-context">
+                {frame.context.map(([lineNo, source]) => (
+                  <div key={lineNo} className={lineNo === frame.lineNo ? 'context-line current' : 'context-line'}>
+                    <span className="context-line-no">{lineNo}</span>
+                    {source}
+                  </div>
+                ))}
+              </pre>
+            )}
+          </li>
+        ))}
+      </ol>
+    );
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div className="loading-state">
+          <div className="loading-spinner"></div>
+          <p>Loading issue...</p>
+        </div>
+      );
+    }
+
+    if (error || !issue) {
+      return (
+        <div className="activity-section issue-error">
+          <h3>❌ Error Loading Issue</h3>
+          <p>{error}</p>
+          {missingScopes.length > 0 ? (
+            <button onClick={() => login({ scopes: missingScopes })} className="logout-button">
+              Grant access in Sentry
+            </button>
+          ) : (
+            <button onClick={fetchIssue} className="logout-button">
+              Retry
+            </button>
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="activity-section issue-summary">
+          <div className="issue-heading">
+            <span className={`issue-level level-${issue.level}`}>{issue.level}</span>
+            <span className="issue-short-id">{issue.shortId}</span>
+            <span className="issue-status">{issue.status}</span>
+          </div>
+          <h2 className="issue-title">{issue.title}</h2>
+          {issue.culprit && <p className="issue-culprit">{issue.culprit}</p>}
+
+          <div className="issue-stats">
+            <div className="issue-stat">
+              <span className="issue-stat-value">{Number(issue.count).toLocaleString()}</span>
+              <span className="issue-stat-label">Events</span>
+            </div>
+            <div className="issue-stat">
+              <span className="issue-stat-value">{issue.userCount.toLocaleString()}</span>
+              <span className="issue-stat-label">Users Affected</span>
+            </div>
+            <div className="issue-stat">
+              <span className="issue-stat-value">{formatDate(issue.firstSeen)}</span>
+              <span className="issue-stat-label">First Seen</span>
+            </div>
+            <div className="issue-stat">
+              <span className="issue-stat-value">{formatDate(issue.lastSeen)}</span>
+              <span className="issue-stat-label">Last Seen</span>
+            </div>
+          </div>
+
+          <a href={issue.permalink} target="_blank" rel="noopener noreferrer" className="issue-permalink">
+            Open in Sentry ↗
+          </a>
+        </div>
+
+        <div className="activity-section">
+          <div className="section-header">
+            <h3>Stack Trace</h3>
+            {event && event.exceptions.length > 0 && (
+              <label className="frames-toggle">
+                <input
+                  type="checkbox"
+                  checked={showAllFrames}
+                  onChange={(e) => setShowAllFrames(e.target.checked)}
+                />
+                Show all frames
+              </label>
+            )}
+          </div>
+          {event && event.exceptions.length > 0 ? (
+            event.exceptions.map((exception, index) => (
+              <div key={index} className="exception">
+                <div className="exception-header">
+                  <span className="exception-type">{exception.type}</span>
+                  {exception.mechanism && exception.mechanism.handled === false && (
+                    <span className="exception-unhandled">unhandled</span>
+                  )}
+                </div>
+                <p className="exception-value">{exception.value}</p>
+                {renderFrames(exception.frames)}
+              </div>
+            ))
+          ) : (
+            <p className="issue-empty">No exception in the latest event.</p>
+          )}
+          {event && (
+            <p className="event-meta">
+              Latest event {event.id} · {formatDate(event.dateCreated)}
+              {event.environment && ` · ${event.environment}`}
+              {event.release && ` · ${event.release}`}
+              {event.user && ` · user ${event.user.email || event.user.username || event.user.id || event.user.ip_address}`}
+            </p>
+          )}
+        </div>
+
+        <div className="activity-section">
+          <h3>Breadcrumbs</h3>
+          {event && event.breadcrumbs.length > 0 ? (
+            <table className="breadcrumbs-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Category</th>
+                  <th>Level</th>
+                  <th>Message</th>
+                </tr>
+              </thead>
+              <tbody>
+                {event.breadcrumbs.map((crumb, index) => (
+                  <tr key={index}>
+                    <td>{crumb.timestamp ? new Date(crumb.timestamp).toLocaleTimeString() : ''}</td>
+                    <td>{crumb.category || 'default'}</td>
+                    <td className={`level-${crumb.level}`}>{crumb.level}</td>
+                    <td className="breadcrumb-message">
+                      {crumb.message || (crumb.data ? JSON.stringify(crumb.data) : '')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="issue-empty">No breadcrumbs in the latest event.</p>
+          )}
+        </div>
+
+        <div className="activity-section">
+          <h3>Tags</h3>
+          {tags.length > 0 ? (
+            <div className="issue-tags">
+              {tags.map(tag => (
+                <div key={tag.key} className="issue-tag">
+                  <h4>{tag.name || tag.key}</h4>
+                  {tag.topValues.map(value => {
+                    const share = tag.totalValues > 0 ? (value.count / tag.totalValues) * 100 : 0;
+                    return (
+                      <div key={value.value} className="tag-value">
+                        <div className="tag-value-bar" style={{ width: `${share}%` }}></div>
+                        <span className="tag-value-name">{value.name || value.value}</span>
+                        <span className="tag-value-share">{share.toFixed(0)}%</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="issue-empty">No tags recorded for this issue.</p>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="dashboard">
+      <header className="dashboard-header">
+        <div className="header-content">
+          <div className="header-left">
+            <h1>Issue</h1>
+            <p>{issue ? `${issue.project.name} · ${orgSlug}` : orgSlug}</p>
+          </div>
+          <div className="header-right">
+            <button onClick={() => navigate('/')} className="logout-button">
+              ← Back to Dashboard
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="dashboard-main issue-detail">
+        {renderContent()}
+      </main>
+    </div>
+  );
+}
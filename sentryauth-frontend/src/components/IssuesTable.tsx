@@ -0,0 +1,467 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { navigate, issuePath } from '../navigation';
+import './IssuesTable.css';
+
+interface Issue {
+  id: string;
+  shortId: string;
+  title: string;
+  culprit: string | null;
+  level: string;
+  status: string;
+  count: string;
+  userCount: number;
+  firstSeen: string;
+  lastSeen: string;
+  isBookmarked: boolean;
+  assignedTo: { type: string; id: string; name: string } | null;
+}
+
+interface Assignee {
+  id: string;
+  name: string;
+}
+
+// A saved search, stored per user on the server
+interface IssuePreset {
+  id: number;
+  name: string;
+  query: string;
+  sort: string;
+  environments: string[];
+  projectIds: string[];
+}
+
+interface IssuesTableProps {
+  orgSlug: string;
+  // Time range query string (statsPeriod or start/end), shared with the rest of the dashboard
+  timeRangeQuery: string;
+  // Project (numeric ID), environment and release picked on the dashboard, if any
+  projectId?: string;
+  environment?: string;
+  release?: string;
+  // Called when a saved filter switches project or environment (undefined means all)
+  onFiltersChange?: (filters: { projectId?: string; environment?: string }) => void;
+}
+
+// Sentry sorts issues server-side, always descending
+const SORT_OPTIONS = [
+  { value: 'date', label: 'Last Seen' },
+  { value: 'new', label: 'First Seen' },
+  { value: 'freq', label: 'Events' },
+  { value: 'user', label: 'Users' },
+  { value: 'priority', label: 'Priority' }
+];
+
+// Minutes, as Sentry's ignoreDuration expects; empty means until unignored
+const IGNORE_DURATIONS = [
+  { value: '30', label: '30 minutes' },
+  { value: '120', label: '2 hours' },
+  { value: '1440', label: '24 hours' },
+  { value: '10080', label: '1 week' },
+  { value: '', label: 'Forever' }
+];
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+export function IssuesTable({ orgSlug, timeRangeQuery, projectId, environment, release, onFiltersChange }: IssuesTableProps) {
+  const { user, login } = useAuth();
+  const [issues, setIssues] = useState<Issue[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [assignees, setAssignees] = useState<{ members: Assignee[]; teams: Assignee[] }>({ members: [], teams: [] });
+  const [ignoreDuration, setIgnoreDuration] = useState('1440');
+  const [loading, setLoading] = useState(false);
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // searchInput is what's typed; query is what was last searched for
+  const [searchInput, setSearchInput] = useState('');
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState('date');
+  const [presets, setPresets] = useState<IssuePreset[]>([]);
+  const [selectedPresetId, setSelectedPresetId] = useState('');
+
+  // Triage writes to Sentry, which needs event:write on top of the read-only login scopes
+  const canTriage = Boolean(user?.features?.triage);
+
+  const fetchIssues = useCallback(async (cursor?: string) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams(timeRangeQuery);
+      params.set('sort', sort);
+      if (query) {
+        params.set('query', query);
+      }
+      if (projectId) {
+        params.set('project', projectId);
+      }
+      if (environment) {
+        params.set('environment', environment);
+      }
+      if (release) {
+        params.set('release', release);
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/issues?${params}`, {
+        credentials: 'include'
+      });
+
+      if (response.status === 400) {
+        // Usually a typo in the search query - show Sentry's explanation
+        const data = await response.json();
+        throw new Error(data.details || 'Invalid search');
+      }
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch issues');
+      }
+
+      const data = await response.json();
+      setIssues(previous => cursor ? [...previous, ...(data.issues || [])] : data.issues || []);
+      setNextCursor(data.nextCursor || null);
+      if (!cursor) {
+        setSelected(new Set());
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch issues');
+    } finally {
+      setLoading(false);
+    }
+  }, [orgSlug, timeRangeQuery, projectId, environment, release, query, sort]);
+
+  useEffect(() => {
+    fetchIssues();
+  }, [fetchIssues]);
+
+  const fetchPresets = useCallback(async () => {
+    try {
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/issue-presets`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error('Failed to fetch saved filters');
+      }
+      const data = await response.json();
+      setPresets(data.presets || []);
+    } catch (err) {
+      console.error('Failed to fetch saved filters:', err);
+    }
+  }, [orgSlug]);
+
+  useEffect(() => {
+    fetchPresets();
+  }, [fetchPresets]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setQuery(searchInput.trim());
+    setSelectedPresetId('');
+  };
+
+  const applyPreset = (presetId: string) => {
+    setSelectedPresetId(presetId);
+    const preset = presets.find(candidate => String(candidate.id) === presetId);
+    if (preset) {
+      setSearchInput(preset.query);
+      setQuery(preset.query);
+      setSort(preset.sort);
+      onFiltersChange?.({ projectId: preset.projectIds[0], environment: preset.environments[0] });
+    }
+  };
+
+  const savePreset = async () => {
+    const name = window.prompt('Save this search as:', presets.find(p => String(p.id) === selectedPresetId)?.name || '');
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/issue-presets`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: name.trim(),
+          query: searchInput.trim(),
+          sort,
+          project: projectId || undefined,
+          environment: environment || undefined
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to save filter');
+      }
+
+      await fetchPresets();
+      setQuery(data.preset.query);
+      setSelectedPresetId(String(data.preset.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save filter');
+    }
+  };
+
+  const deletePreset = async () => {
+    const preset = presets.find(candidate => String(candidate.id) === selectedPresetId);
+    if (!preset || !window.confirm(`Delete the saved filter "${preset.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/issue-presets/${preset.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error('Failed to delete filter');
+      }
+
+      setSelectedPresetId('');
+      await fetchPresets();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete filter');
+    }
+  };
+
+  // Column header that switches the sort order (Sentry only sorts descending)
+  const sortableHeader = (label: string, value: string) => (
+    <th>
+      <button
+        className={`sort-header${sort === value ? ' active' : ''}`}
+        onClick={() => setSort(value)}
+        title={`Sort by ${label.toLowerCase()}`}
+      >
+        {label}{sort === value ? ' ▼' : ''}
+      </button>
+    </th>
+  );
+
+  useEffect(() => {
+    if (!canTriage) {
+      return;
+    }
+
+    fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/assignees`, { credentials: 'include' })
+      .then(response => response.ok ? response.json() : { members: [], teams: [] })
+      .then(data => setAssignees({ members: data.members || [], teams: data.teams || [] }))
+      .catch(err => console.error('Failed to fetch assignees:', err));
+  }, [orgSlug, canTriage]);
+
+  const toggleIssue = (issueId: string) => {
+    const next = new Set(selected);
+    if (next.has(issueId)) {
+      next.delete(issueId);
+    } else {
+      next.add(issueId);
+    }
+    setSelected(next);
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.size === issues.length ? new Set() : new Set(issues.map(issue => issue.id)));
+  };
+
+  const applyAction = async (action: string, params: Record<string, string> = {}) => {
+    if (selected.size === 0) {
+      return;
+    }
+
+    try {
+      setUpdating(true);
+      setError(null);
+
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/issues`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ issueIds: Array.from(selected), action, ...params })
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || data.error || 'Failed to update issues');
+      }
+
+      // The server dropped its cached issue lists, so this reload shows the new state
+      await fetchIssues();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update issues');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleAssign = (assignee: string) => {
+    if (assignee === 'unassign') {
+      applyAction('unassign');
+    } else if (assignee) {
+      applyAction('assign', { assignee });
+    }
+  };
+
+  const allSelected = issues.length > 0 && selected.size === issues.length;
+  const actionsDisabled = !canTriage || updating || selected.size === 0;
+
+  return (
+    <div className="chart-container issues-table-card">
+      <div className="chart-header">
+        <h3>Issues</h3>
+        {!canTriage && (
+          <button onClick={() => login({ feature: 'triage' })} className="triage-enable-button">
+            Enable triage (event:write)
+          </button>
+        )}
+      </div>
+
+      <div className="issue-filters">
+        <form onSubmit={handleSearch} className="issue-search">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="is:unresolved level:error"
+            aria-label="Search issues (Sentry search syntax)"
+          />
+          <button type="submit">Search</button>
+        </form>
+        <select value={sort} onChange={(e) => setSort(e.target.value)} aria-label="Sort by">
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>Sort: {option.label}</option>
+          ))}
+        </select>
+        <select value={selectedPresetId} onChange={(e) => applyPreset(e.target.value)} aria-label="Saved filters">
+          <option value="">Saved filters…</option>
+          {presets.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </select>
+        <button onClick={savePreset}>Save</button>
+        <button onClick={deletePreset} disabled={!selectedPresetId}>Delete</button>
+      </div>
+
+      <div className="bulk-actions">
+        <span className="bulk-selected">{selected.size} selected</span>
+        <button disabled={actionsDisabled} onClick={() => applyAction('resolve')}>Resolve</button>
+        <button disabled={actionsDisabled} onClick={() => applyAction('unresolve')}>Unresolve</button>
+        <span className="bulk-group">
+          <button
+            disabled={actionsDisabled}
+            onClick={() => applyAction('ignore', ignoreDuration ? { ignoreDuration } : {})}
+          >
+            Ignore
+          </button>
+          <select
+            value={ignoreDuration}
+            onChange={(e) => setIgnoreDuration(e.target.value)}
+            disabled={actionsDisabled}
+            aria-label="Ignore for"
+          >
+            {IGNORE_DURATIONS.map(duration => (
+              <option key={duration.value} value={duration.value}>{duration.label}</option>
+            ))}
+          </select>
+        </span>
+        <select
+          value=""
+          onChange={(e) => handleAssign(e.target.value)}
+          disabled={actionsDisabled}
+          aria-label="Assign to"
+        >
+          <option value="">Assign to…</option>
+          <option value="unassign">Unassigned</option>
+          {assignees.teams.length > 0 && (
+            <optgroup label="Teams">
+              {assignees.teams.map(team => (
+                <option key={team.id} value={team.id}>{team.name}</option>
+              ))}
+            </optgroup>
+          )}
+          {assignees.members.length > 0 && (
+            <optgroup label="Members">
+              {assignees.members.map(member => (
+                <option key={member.id} value={member.id}>{member.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <button disabled={actionsDisabled} onClick={() => applyAction('bookmark')}>Bookmark</button>
+        <button disabled={actionsDisabled} onClick={() => applyAction('unbookmark')}>Remove Bookmark</button>
+      </div>
+
+      {error && <p className="issues-error">{error}</p>}
+
+      <div className="issues-table-wrapper">
+        <table className="issues-table">
+          <thead>
+            <tr>
+              <th>
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={toggleAll}
+                  disabled={!canTriage || issues.length === 0}
+                  aria-label="Select all issues"
+                />
+              </th>
+              <th>Issue</th>
+              <th>Level</th>
+              <th>Status</th>
+              <th>Assignee</th>
+              {sortableHeader('Events', 'freq')}
+              {sortableHeader('Users', 'user')}
+              {sortableHeader('First Seen', 'new')}
+              {sortableHeader('Last Seen', 'date')}
+            </tr>
+          </thead>
+          <tbody>
+            {issues.map(issue => (
+              <tr key={issue.id} className={selected.has(issue.id) ? 'selected' : ''}>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={selected.has(issue.id)}
+                    onChange={() => toggleIssue(issue.id)}
+                    disabled={!canTriage}
+                    aria-label={`Select ${issue.shortId}`}
+                  />
+                </td>
+                <td className="issue-cell">
+                  <button className="issue-link" onClick={() => navigate(issuePath(orgSlug, issue.id))}>
+                    {issue.isBookmarked && <span className="issue-bookmark" title="Bookmarked">★ </span>}
+                    {issue.title}
+                  </button>
+                  <span className="issue-cell-meta">
+                    {issue.shortId}{issue.culprit ? ` · ${issue.culprit}` : ''}
+                  </span>
+                </td>
+                <td className={`level-${issue.level}`}>{issue.level}</td>
+                <td>{issue.status}</td>
+                <td>{issue.assignedTo?.name || '—'}</td>
+                <td>{Number(issue.count).toLocaleString()}</td>
+                <td>{issue.userCount.toLocaleString()}</td>
+                <td>{new Date(issue.firstSeen).toLocaleString()}</td>
+                <td>{new Date(issue.lastSeen).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && issues.length === 0 && (
+          <p className="issues-empty">
+            {query ? 'No issues match this search' : 'No issues for the selected time period'}
+          </p>
+        )}
+      </div>
+
+      {nextCursor && (
+        <button className="load-more-button" disabled={loading} onClick={() => fetchIssues(nextCursor)}>
+          {loading ? 'Loading…' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -1,15 +1,39 @@
-import { useState } from 'react';
-import { useAuth } from '../contexts/AuthContext';
+import { useEffect, useState } from 'react';
+import { useAuth, type SentryInstance } from '../contexts/AuthContext';
 import './LoginPage.css';
 
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
 export function LoginPage() {
   const { login } = useAuth();
   const [isLoading, setIsLoading] = useState(false);
+  const [instances, setInstances] = useState<SentryInstance[]>([]);
+  const [selectedInstance, setSelectedInstance] = useState<string>('');
+
+  useEffect(() => {
+    const fetchInstances = async () => {
+      try {
+        const response = await fetch(`${apiUrl}/api/auth/instances`, {
+          credentials: 'include'
+        });
+        if (!response.ok) {
+          return;
+        }
+        const data = await response.json();
+        setInstances(data.instances || []);
+        setSelectedInstance(data.defaultInstanceId || '');
+      } catch (error) {
+        console.error('Failed to fetch Sentry instances:', error);
+      }
+    };
+
+    fetchInstances();
+  }, []);
 
   const handleLogin = async () => {
     setIsLoading(true);
     try {
-      await login();
+      await login(selectedInstance ? { instance: selectedInstance } : {});
     } catch (error) {
       console.error('Login error:', error);
       setIsLoading(false);
@@ -57,6 +81,24 @@ export function LoginPage() {
             </div>
           </div>
 
+          {instances.length > 1 && (
+            <div className="instance-picker">
+              <label htmlFor="sentry-instance">Sentry instance</label>
+              <select
+                id="sentry-instance"
+                value={selectedInstance}
+                onChange={(e) => setSelectedInstance(e.target.value)}
+                disabled={isLoading}
+              >
+                {instances.map(instance => (
+                  <option key={instance.id} value={instance.id}>
+                    {instance.name} ({instance.baseUrl.replace(/^https?:\/\//, '')})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <button 
             className={`login-button ${isLoading ? 'loading' : ''}`}
             onClick={handleLogin}
@@ -0,0 +1,184 @@
+import { useCallback, useEffect, useState } from 'react';
+import './OrganizationsOverview.css';
+
+// One row per organization (see server/services/org-overview.js)
+interface OrgTotals {
+  projects: number;
+  members: number;
+  issues: number;
+  errorIssues: number;
+  alertRules: number;
+  replays: number;
+}
+
+interface OrgRow {
+  slug: string;
+  name: string;
+  status: 'ok' | 'partial' | 'forbidden' | 'failed';
+  error: string | null;
+  // null when the org couldn't be loaded at all
+  totals: OrgTotals | null;
+  totalEvents: number | null;
+}
+
+interface CombinedTotals extends OrgTotals {
+  organizations: number;
+  failedOrganizations: number;
+}
+
+interface OrganizationsOverviewProps {
+  // Time range query string (statsPeriod or start/end), shared with the rest of the dashboard
+  timeRangeQuery: string;
+  onSelectOrg: (orgSlug: string) => void;
+}
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const STATUS_LABELS: Record<OrgRow['status'], string> = {
+  ok: '✅ OK',
+  partial: '⚠️ Partial',
+  forbidden: '🔒 No access',
+  failed: '❌ Failed'
+};
+
+const COLUMNS: { key: keyof OrgTotals; label: string }[] = [
+  { key: 'projects', label: 'Projects' },
+  { key: 'members', label: 'Members' },
+  { key: 'issues', label: 'Issues' },
+  { key: 'errorIssues', label: 'Error Issues' },
+  { key: 'alertRules', label: 'Alert Rules' },
+  { key: 'replays', label: 'Replays' }
+];
+
+export function OrganizationsOverview({ timeRangeQuery, onSelectOrg }: OrganizationsOverviewProps) {
+  const [organizations, setOrganizations] = useState<OrgRow[]>([]);
+  const [totals, setTotals] = useState<CombinedTotals | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchOverview = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`${apiUrl}/api/dashboard/overview?${timeRangeQuery}`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || 'Failed to fetch organizations overview');
+      }
+
+      const data = await response.json();
+      setOrganizations(data.organizations || []);
+      setTotals(data.totals || null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch organizations overview');
+    } finally {
+      setLoading(false);
+    }
+  }, [timeRangeQuery]);
+
+  useEffect(() => {
+    fetchOverview();
+  }, [fetchOverview]);
+
+  if (error) {
+    return <p className="orgs-error">{error}</p>;
+  }
+
+  if (loading && organizations.length === 0) {
+    return <p className="orgs-empty">Loading every organization…</p>;
+  }
+
+  return (
+    <div className="organizations-overview">
+      {totals && (
+        <div className="metrics-overview">
+          <div className="metric-card">
+            <div className="metric-icon">🏢</div>
+            <div className="metric-content">
+              <h3>{totals.organizations - totals.failedOrganizations} / {totals.organizations}</h3>
+              <p>Organizations Loaded</p>
+            </div>
+          </div>
+
+          <div className="metric-card">
+            <div className="metric-icon">📁</div>
+            <div className="metric-content">
+              <h3>{totals.projects}</h3>
+              <p>Projects</p>
+            </div>
+          </div>
+
+          <div className="metric-card">
+            <div className="metric-icon">🚨</div>
+            <div className="metric-content">
+              <h3>{totals.issues}</h3>
+              <p>Issues ({totals.errorIssues} errors)</p>
+            </div>
+          </div>
+
+          <div className="metric-card">
+            <div className="metric-icon">⚠️</div>
+            <div className="metric-content">
+              <h3>{totals.alertRules}</h3>
+              <p>Alert Rules</p>
+            </div>
+          </div>
+
+          <div className="metric-card">
+            <div className="metric-icon">👥</div>
+            <div className="metric-content">
+              <h3>{totals.members}</h3>
+              <p>Members</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="chart-container">
+        <h3>Organizations</h3>
+        {organizations.length > 0 ? (
+          <div className="orgs-table-wrapper">
+            <table className="orgs-table">
+              <thead>
+                <tr>
+                  <th>Organization</th>
+                  <th>Status</th>
+                  {COLUMNS.map(column => (
+                    <th key={column.key}>{column.label}</th>
+                  ))}
+                  <th>Events</th>
+                </tr>
+              </thead>
+              <tbody>
+                {organizations.map(org => (
+                  <tr
+                    key={org.slug}
+                    className="orgs-row"
+                    onClick={() => onSelectOrg(org.slug)}
+                    title="Open this organization's dashboard"
+                  >
+                    <td className="org-name">
+                      {org.name}
+                      {org.error && <span className="org-error">{org.error}</span>}
+                    </td>
+                    <td className={`org-status status-${org.status}`}>{STATUS_LABELS[org.status]}</td>
+                    {COLUMNS.map(column => (
+                      <td key={column.key}>{org.totals ? org.totals[column.key].toLocaleString() : '–'}</td>
+                    ))}
+                    <td>{org.totalEvents === null ? '–' : org.totalEvents.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="orgs-empty">No organizations found</p>
+        )}
+      </div>
+    </div>
+  );
+}
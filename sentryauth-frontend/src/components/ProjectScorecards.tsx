@@ -0,0 +1,268 @@
+import { useCallback, useEffect, useState } from 'react';
+import './ProjectScorecards.css';
+
+// Scorecards as built by server/services/project-scorecards.js
+interface Comparison {
+  current: number;
+  previous: number;
+  // Percent change against the previous period; null when there was nothing to compare with
+  change: number | null;
+}
+
+interface IssuesByLevel {
+  fatal: number;
+  error: number;
+  warning: number;
+  info: number;
+  debug: number;
+}
+
+interface Scorecard {
+  id: string;
+  slug: string;
+  name: string;
+  platform: string | null;
+  grade: string;
+  score: number;
+  deductions: { reason: string; points: number }[];
+  issuesByLevel: { current: IssuesByLevel; previous: IssuesByLevel };
+  issues: Comparison;
+  newIssues: Comparison;
+  regressedIssues: Comparison;
+  events: Comparison;
+  usersAffected: Comparison;
+}
+
+interface GradeStep {
+  grade: string;
+  minScore: number;
+}
+
+interface ProjectScorecardsProps {
+  orgSlug: string;
+  // Time range query string (statsPeriod or start/end), shared with the rest of the dashboard
+  timeRangeQuery: string;
+  environment?: string;
+}
+
+type SortKey = 'score' | 'name' | 'issues' | 'newIssues' | 'regressedIssues' | 'events' | 'usersAffected';
+
+const SORT_OPTIONS: { value: SortKey; label: string }[] = [
+  { value: 'score', label: 'Score' },
+  { value: 'name', label: 'Name' },
+  { value: 'issues', label: 'Issues' },
+  { value: 'newIssues', label: 'New issues' },
+  { value: 'regressedIssues', label: 'Regressed issues' },
+  { value: 'events', label: 'Events' },
+  { value: 'usersAffected', label: 'Users affected' }
+];
+
+const LEVELS: (keyof IssuesByLevel)[] = ['fatal', 'error', 'warning', 'info', 'debug'];
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const compareCards = (a: Scorecard, b: Scorecard, sortKey: SortKey) => {
+  if (sortKey === 'name') {
+    return a.name.localeCompare(b.name);
+  }
+  if (sortKey === 'score') {
+    return a.score - b.score;
+  }
+  return a[sortKey].current - b[sortKey].current;
+};
+
+// More of everything on a scorecard is worse, so growth is shown in red
+function Trend({ comparison }: { comparison: Comparison }) {
+  if (comparison.change === null) {
+    return comparison.current > 0
+      ? <span className="scorecard-trend trend-up" title="Nothing in the previous period">new</span>
+      : <span className="scorecard-trend">—</span>;
+  }
+  if (comparison.change === 0) {
+    return <span className="scorecard-trend">±0%</span>;
+  }
+  return (
+    <span
+      className={comparison.change > 0 ? 'scorecard-trend trend-up' : 'scorecard-trend trend-down'}
+      title={`${comparison.previous.toLocaleString()} in the previous period`}
+    >
+      {comparison.change > 0 ? '▲' : '▼'} {Math.abs(comparison.change)}%
+    </span>
+  );
+}
+
+export function ProjectScorecards({ orgSlug, timeRangeQuery, environment }: ProjectScorecardsProps) {
+  const [scorecards, setScorecards] = useState<Scorecard[]>([]);
+  const [scale, setScale] = useState<GradeStep[]>([]);
+  const [truncated, setTruncated] = useState(false);
+  const [sortKey, setSortKey] = useState<SortKey>('score');
+  // Worst first by default: lowest score, or the most issues / events
+  const [ascending, setAscending] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchScorecards = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams(timeRangeQuery);
+      if (environment) {
+        params.set('environment', environment);
+      }
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/scorecards?${params}`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || 'Failed to fetch project scorecards');
+      }
+
+      const data = await response.json();
+      setScorecards(data.projects || []);
+      setScale(data.scale || []);
+      setTruncated(Boolean(data.truncated));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch project scorecards');
+    } finally {
+      setLoading(false);
+    }
+  }, [orgSlug, timeRangeQuery, environment]);
+
+  useEffect(() => {
+    fetchScorecards();
+  }, [fetchScorecards]);
+
+  const handleSortChange = (value: SortKey) => {
+    setSortKey(value);
+    // Names read best A-Z; everything else starts with the worst projects
+    setAscending(value === 'name' || value === 'score');
+  };
+
+  // Best grade is first in the scale, worst last
+  const gradeTone = (grade: string) => {
+    const rank = scale.findIndex(step => step.grade === grade);
+    if (rank === 0) {
+      return 'good';
+    }
+    return rank === scale.length - 1 ? 'bad' : 'fair';
+  };
+
+  if (error) {
+    return <p className="scorecards-error">{error}</p>;
+  }
+
+  if (loading && scorecards.length === 0) {
+    return <p className="scorecards-empty">Loading scorecards…</p>;
+  }
+
+  const sorted = [...scorecards].sort((a, b) => {
+    const order = compareCards(a, b, sortKey);
+    return (ascending ? order : -order) || a.name.localeCompare(b.name);
+  });
+
+  return (
+    <div className="project-scorecards">
+      <div className="scorecards-toolbar">
+        <span className="scorecards-scale">
+          Grades: {scale.map(step => `${step.grade} ≥ ${step.minScore}`).join(' · ')}
+        </span>
+        <div className="scorecards-sort">
+          <select
+            value={sortKey}
+            onChange={(e) => handleSortChange(e.target.value as SortKey)}
+            className="chart-selector"
+            aria-label="Sort scorecards by"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                Sort by {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            className="chart-selector"
+            onClick={() => setAscending(!ascending)}
+            title={ascending ? 'Ascending' : 'Descending'}
+          >
+            {ascending ? '↑' : '↓'}
+          </button>
+        </div>
+      </div>
+
+      {truncated && (
+        <p className="scorecards-warning">
+          ⚠️ This organization has more issues than one scorecard request reads; some counts are low.
+        </p>
+      )}
+
+      {sorted.length > 0 ? (
+        <div className="scorecards-grid">
+          {sorted.map(card => (
+            <div key={card.id} className="chart-container scorecard">
+              <div className="scorecard-header">
+                <div>
+                  <h3>{card.name}</h3>
+                  {card.platform && <span className="scorecard-platform">{card.platform}</span>}
+                </div>
+                <div className={`scorecard-grade grade-${gradeTone(card.grade)}`} title={`Score ${card.score} / 100`}>
+                  {card.grade}
+                  <span className="scorecard-score">{card.score}</span>
+                </div>
+              </div>
+
+              <table className="scorecard-table">
+                <tbody>
+                  <tr>
+                    <th>Issues</th>
+                    <td>{card.issues.current.toLocaleString()}</td>
+                    <td><Trend comparison={card.issues} /></td>
+                  </tr>
+                  <tr>
+                    <th>New</th>
+                    <td>{card.newIssues.current.toLocaleString()}</td>
+                    <td><Trend comparison={card.newIssues} /></td>
+                  </tr>
+                  <tr>
+                    <th>Regressed</th>
+                    <td>{card.regressedIssues.current.toLocaleString()}</td>
+                    <td><Trend comparison={card.regressedIssues} /></td>
+                  </tr>
+                  <tr>
+                    <th>Events</th>
+                    <td>{card.events.current.toLocaleString()}</td>
+                    <td><Trend comparison={card.events} /></td>
+                  </tr>
+                  <tr>
+                    <th>Users affected</th>
+                    <td>{card.usersAffected.current.toLocaleString()}</td>
+                    <td><Trend comparison={card.usersAffected} /></td>
+                  </tr>
+                </tbody>
+              </table>
+
+              <div className="scorecard-levels">
+                {LEVELS.filter(level => card.issuesByLevel.current[level] > 0).map(level => (
+                  <span key={level} className={`scorecard-level level-${level}`}>
+                    {card.issuesByLevel.current[level]} {level}
+                  </span>
+                ))}
+              </div>
+
+              {card.deductions.length > 0 && (
+                <ul className="scorecard-deductions">
+                  {card.deductions.map(deduction => (
+                    <li key={deduction.reason}>−{deduction.points} {deduction.reason}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="scorecards-empty">No projects to score</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import './ReleaseHealth.css';
+
+// One row per release, as built by server/services/release-health.js (rates are percentages)
+interface ReleaseHealthRow {
+  version: string;
+  shortVersion: string;
+  dateCreated: string;
+  sessions: number;
+  users: number;
+  crashFreeSessions: number | null;
+  crashFreeUsers: number | null;
+  adoption: number | null;
+  previousVersion: string | null;
+  crashFreeSessionsChange: number | null;
+  regressed: boolean;
+}
+
+interface ReleaseHealthProps {
+  orgSlug: string;
+  // Time range query string (statsPeriod or start/end), shared with the rest of the dashboard
+  timeRangeQuery: string;
+  // Project (numeric ID) and environment picked on the dashboard, if any
+  projectId?: string;
+  environment?: string;
+}
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const formatPercent = (value: number | null) => value === null ? '—' : `${value.toFixed(2)}%`;
+
+const formatChange = (change: number) => `${change > 0 ? '+' : ''}${change.toFixed(2)} pts`;
+
+export function ReleaseHealth({ orgSlug, timeRangeQuery, projectId, environment }: ReleaseHealthProps) {
+  const [releases, setReleases] = useState<ReleaseHealthRow[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchReleaseHealth = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams(timeRangeQuery);
+      if (projectId) {
+        params.set('project', projectId);
+      }
+      if (environment) {
+        params.set('environment', environment);
+      }
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/release-health?${params}`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || 'Failed to fetch release health');
+      }
+
+      const data = await response.json();
+      setReleases(data.releases || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch release health');
+    } finally {
+      setLoading(false);
+    }
+  }, [orgSlug, timeRangeQuery, projectId, environment]);
+
+  useEffect(() => {
+    fetchReleaseHealth();
+  }, [fetchReleaseHealth]);
+
+  // Only releases with sessions in the window can be charted, oldest first
+  const chartData = releases
+    .filter(release => release.sessions > 0)
+    .reverse()
+    .map(release => ({
+      release: release.shortVersion,
+      'Crash-free sessions': release.crashFreeSessions,
+      'Crash-free users': release.crashFreeUsers
+    }));
+
+  const latest = releases.find(release => release.sessions > 0);
+
+  return (
+    <div className="chart-container release-health-card">
+      <div className="chart-header">
+        <h3>Release Health</h3>
+        {latest && latest.crashFreeSessionsChange !== null && (
+          <span
+            className={`release-indicator ${latest.regressed ? 'regressed' : 'healthy'}`}
+            title={`Crash-free sessions of ${latest.shortVersion} compared with ${latest.previousVersion}`}
+          >
+            {latest.regressed ? '▼ Regressed' : '▲ No regression'} vs previous release
+            ({formatChange(latest.crashFreeSessionsChange)})
+          </span>
+        )}
+      </div>
+
+      {error && <p className="release-health-error">{error}</p>}
+
+      {chartData.length > 0 && (
+        <ResponsiveContainer width="100%" height={280}>
+          <BarChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" />
+            <XAxis dataKey="release" tick={{ fill: '#e2e8f0' }} />
+            {/* Crash-free rates sit close to 100%, so start the axis just below the lowest */}
+            <YAxis
+              tick={{ fill: '#e2e8f0' }}
+              domain={[(dataMin: number) => Math.max(0, Math.floor(dataMin) - 1), 100]}
+              tickFormatter={(value) => `${value}%`}
+            />
+            <Tooltip
+              formatter={(value) => formatPercent(Number(value))}
+              contentStyle={{
+                backgroundColor: '#2d3748',
+                border: '1px solid #4a5568',
+                borderRadius: '8px',
+                color: '#e2e8f0'
+              }}
+            />
+            <Legend />
+            <Bar dataKey="Crash-free sessions" fill="#63b3ed" />
+            <Bar dataKey="Crash-free users" fill="#9f7aea" />
+          </BarChart>
+        </ResponsiveContainer>
+      )}
+
+      {releases.length > 0 && (
+        <div className="release-health-table-wrapper">
+          <table className="release-health-table">
+            <thead>
+              <tr>
+                <th>Release</th>
+                <th>Created</th>
+                <th>Adoption</th>
+                <th>Crash-free Sessions</th>
+                <th>Crash-free Users</th>
+                <th>vs Previous</th>
+              </tr>
+            </thead>
+            <tbody>
+              {releases.map(release => (
+                <tr key={release.version} className={release.regressed ? 'regressed' : undefined}>
+                  <td className="release-version" title={release.version}>{release.shortVersion}</td>
+                  <td>{new Date(release.dateCreated).toLocaleDateString()}</td>
+                  <td>{formatPercent(release.adoption)}</td>
+                  <td>{formatPercent(release.crashFreeSessions)}</td>
+                  <td>{formatPercent(release.crashFreeUsers)}</td>
+                  <td className={release.regressed ? 'release-change regressed' : 'release-change'}>
+                    {release.crashFreeSessionsChange === null
+                      ? '—'
+                      : `${release.regressed ? '▼ ' : ''}${formatChange(release.crashFreeSessionsChange)}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!loading && !error && releases.length === 0 && (
+        <p className="release-health-empty">No releases found for the selected filters</p>
+      )}
+      {loading && releases.length === 0 && (
+        <p className="release-health-empty">Loading release health…</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { navigate, issuePath } from '../navigation';
+import { formatDuration } from '../format';
+import type { Replay } from './ReplaysTable';
+import './Dashboard.css';
+import './IssueDetail.css';
+import './ReplayDetail.css';
+
+// An issue one of the replay's errors belongs to
+interface ReplayIssue {
+  id: string;
+  shortId: string;
+  title: string;
+  level: string;
+  project: string;
+  count: number;
+  lastSeen: string;
+}
+
+interface ReplayDetailProps {
+  orgSlug: string;
+  replayId: string;
+}
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleString() : 'Unknown';
+
+export function ReplayDetail({ orgSlug, replayId }: ReplayDetailProps) {
+  const { login } = useAuth();
+  const [replay, setReplay] = useState<Replay | null>(null);
+  const [issues, setIssues] = useState<ReplayIssue[]>([]);
+  const [playerUrl, setPlayerUrl] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [missingScopes, setMissingScopes] = useState<string[]>([]);
+
+  const fetchReplay = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setMissingScopes([]);
+
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/replays/${replayId}`, {
+        credentials: 'include'
+      });
+
+      if (response.status === 403) {
+        const data = await response.json();
+        if (data.missingScopes?.length) {
+          setMissingScopes(data.missingScopes);
+          throw new Error(`Sentry access is missing these scopes: ${data.missingScopes.join(', ')}`);
+        }
+      }
+
+      if (response.status === 404) {
+        throw new Error('Replay not found - it may have expired or been deleted');
+      }
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch replay');
+      }
+
+      const data = await response.json();
+      setReplay(data.replay);
+      setIssues(data.issues || []);
+      setPlayerUrl(data.replayUrl || null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch replay');
+    } finally {
+      setLoading(false);
+    }
+  }, [orgSlug, replayId]);
+
+  useEffect(() => {
+    fetchReplay();
+  }, [fetchReplay]);
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div className="loading-state">
+          <div className="loading-spinner"></div>
+          <p>Loading replay...</p>
+        </div>
+      );
+    }
+
+    if (error || !replay) {
+      return (
+        <div className="activity-section issue-error">
+          <h3>❌ Error Loading Replay</h3>
+          <p>{error}</p>
+          {missingScopes.length > 0 ? (
+            <button onClick={() => login({ scopes: missingScopes })} className="logout-button">
+              Grant access in Sentry
+            </button>
+          ) : (
+            <button onClick={fetchReplay} className="logout-button">
+              Retry
+            </button>
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="activity-section">
+          <h2 className="issue-title">{replay.user ? replay.user.name : 'Anonymous user'}</h2>
+          <p className="replay-client">
+            {[replay.browser, replay.os, replay.environment].filter(Boolean).join(' · ') || 'Unknown client'}
+            {replay.releases.length > 0 && ` · ${replay.releases.join(', ')}`}
+          </p>
+
+          <div className="issue-stats">
+            <div className="issue-stat">
+              <span className="issue-stat-value">{formatDate(replay.startedAt)}</span>
+              <span className="issue-stat-label">Started</span>
+            </div>
+            <div className="issue-stat">
+              <span className="issue-stat-value">{formatDuration(replay.duration)}</span>
+              <span className="issue-stat-label">Duration</span>
+            </div>
+            <div className="issue-stat">
+              <span className="issue-stat-value">{replay.countErrors.toLocaleString()}</span>
+              <span className="issue-stat-label">Errors</span>
+            </div>
+            <div className="issue-stat">
+              <span className="issue-stat-value">{replay.countUrls.toLocaleString()}</span>
+              <span className="issue-stat-label">URLs Visited</span>
+            </div>
+          </div>
+
+          {playerUrl && (
+            <a href={playerUrl} target="_blank" rel="noopener noreferrer" className="issue-permalink">
+              Watch in Sentry's replay player ↗
+            </a>
+          )}
+        </div>
+
+        <div className="activity-section">
+          <h3>Linked Issues</h3>
+          {issues.length > 0 ? (
+            <ul className="replay-issues">
+              {issues.map(issue => (
+                <li key={issue.id}>
+                  <button className="replay-issue" onClick={() => navigate(issuePath(orgSlug, issue.id))}>
+                    <span className={`issue-level level-${issue.level}`}>{issue.level}</span>
+                    <span className="replay-issue-title">{issue.title}</span>
+                    <span className="replay-issue-meta">
+                      {issue.shortId} · {issue.count} {issue.count === 1 ? 'error' : 'errors'} in this replay
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="issue-empty">
+              {replay.countErrors > 0 ? 'The errors in this replay could not be matched to issues.' : 'No errors in this replay.'}
+            </p>
+          )}
+        </div>
+
+        <div className="activity-section">
+          <h3>URLs Visited</h3>
+          {replay.urls.length > 0 ? (
+            <ol className="replay-url-list">
+              {replay.urls.map((url, index) => (
+                <li key={index}>{url}</li>
+              ))}
+            </ol>
+          ) : (
+            <p className="issue-empty">No URLs recorded.</p>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="dashboard">
+      <header className="dashboard-header">
+        <div className="header-content">
+          <div className="header-left">
+            <h1>Replay</h1>
+            <p>{orgSlug} · {replayId}</p>
+          </div>
+          <div className="header-right">
+            <button onClick={() => navigate('/')} className="logout-button">
+              ← Back to Dashboard
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="dashboard-main issue-detail">
+        {renderContent()}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import { useCallback, useEffect, useState } from 'react';
+import { navigate, replayPath } from '../navigation';
+import { formatDuration } from '../format';
+import './ReplaysTable.css';
+
+// A replay as trimmed by the server (see server/services/replay-details.js)
+export interface Replay {
+  id: string;
+  projectId: string | null;
+  startedAt: string | null;
+  finishedAt: string | null;
+  duration: number | null;
+  urls: string[];
+  countUrls: number;
+  countErrors: number;
+  user: { id: string | null; name: string; email: string | null } | null;
+  browser: string | null;
+  os: string | null;
+  environment: string | null;
+  releases: string[];
+}
+
+interface ReplaysTableProps {
+  orgSlug: string;
+  // Time range query string (statsPeriod or start/end), shared with the rest of the dashboard
+  timeRangeQuery: string;
+  // Project (numeric ID), environment and release picked on the dashboard, if any
+  projectId?: string;
+  environment?: string;
+  release?: string;
+}
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+export function ReplaysTable({ orgSlug, timeRangeQuery, projectId, environment, release }: ReplaysTableProps) {
+  const [replays, setReplays] = useState<Replay[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // userInput is what's typed; user is what was last searched for
+  const [userInput, setUserInput] = useState('');
+  const [user, setUser] = useState('');
+  const [hasErrors, setHasErrors] = useState(false);
+
+  const fetchReplays = useCallback(async (cursor?: string) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams(timeRangeQuery);
+      params.set('limit', '25');
+      if (projectId) {
+        params.set('project', projectId);
+      }
+      if (environment) {
+        params.set('environment', environment);
+      }
+      if (release) {
+        params.set('release', release);
+      }
+      if (user) {
+        params.set('user', user);
+      }
+      if (hasErrors) {
+        params.set('hasErrors', 'true');
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/replays?${params}`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || 'Failed to fetch replays');
+      }
+
+      const data = await response.json();
+      setReplays(previous => cursor ? [...previous, ...(data.replays || [])] : data.replays || []);
+      setNextCursor(data.nextCursor || null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch replays');
+    } finally {
+      setLoading(false);
+    }
+  }, [orgSlug, timeRangeQuery, projectId, environment, release, user, hasErrors]);
+
+  useEffect(() => {
+    fetchReplays();
+  }, [fetchReplays]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setUser(userInput.trim());
+  };
+
+  return (
+    <div className="chart-container replays-table-card">
+      <div className="chart-header">
+        <h3>Session Replays</h3>
+      </div>
+
+      <div className="replay-filters">
+        <form onSubmit={handleSearch} className="replay-search">
+          <input
+            type="search"
+            value={userInput}
+            onChange={(e) => setUserInput(e.target.value)}
+            placeholder="User email or username"
+            aria-label="Filter replays by user"
+          />
+          <button type="submit">Filter</button>
+        </form>
+        <label className="replay-has-errors">
+          <input type="checkbox" checked={hasErrors} onChange={(e) => setHasErrors(e.target.checked)} />
+          Has errors
+        </label>
+      </div>
+
+      {error && <p className="replays-error">{error}</p>}
+
+      <div className="replays-table-wrapper">
+        <table className="replays-table">
+          <thead>
+            <tr>
+              <th>Started</th>
+              <th>User</th>
+              <th>URLs</th>
+              <th>Duration</th>
+              <th>Errors</th>
+              <th>Browser / OS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {replays.map(replay => (
+              <tr key={replay.id}>
+                <td>
+                  <button className="replay-link" onClick={() => navigate(replayPath(orgSlug, replay.id))}>
+                    {replay.startedAt ? new Date(replay.startedAt).toLocaleString() : replay.id}
+                  </button>
+                </td>
+                <td>{replay.user ? replay.user.name : 'Anonymous'}</td>
+                <td className="replay-urls" title={replay.urls.join('\n')}>
+                  {replay.urls[0] || '—'}
+                  {replay.countUrls > 1 && <span className="replay-more"> +{replay.countUrls - 1} more</span>}
+                </td>
+                <td>{formatDuration(replay.duration)}</td>
+                <td className={replay.countErrors > 0 ? 'replay-errors' : undefined}>{replay.countErrors}</td>
+                <td>{[replay.browser, replay.os].filter(Boolean).join(' · ') || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && replays.length === 0 && (
+          <p className="replays-empty">No replays match these filters</p>
+        )}
+      </div>
+
+      {nextCursor && (
+        <button className="replays-load-more" disabled={loading} onClick={() => fetchReplays(nextCursor)}>
+          {loading ? 'Loading…' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+}
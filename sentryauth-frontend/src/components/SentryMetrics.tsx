@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { 
   BarChart, 
   Bar, 
@@ -16,6 +16,15 @@ import {
   Area,
   AreaChart
 } from 'recharts';
+import { useAuth } from '../contexts/AuthContext';
+import { navigate, issuePath } from '../navigation';
+import { IssuesTable } from './IssuesTable';
+import { ReleaseHealth } from './ReleaseHealth';
+import { ReplaysTable } from './ReplaysTable';
+import { AlertsOverview } from './AlertsOverview';
+import { TeamsOverview } from './TeamsOverview';
+import { OrganizationsOverview } from './OrganizationsOverview';
+import { ProjectScorecards } from './ProjectScorecards';
 import './SentryMetrics.css';
 
 interface Organization {
@@ -31,6 +40,49 @@ interface Project {
   platform?: string;
 }
 
+// The window the dashboard covers: a relative statsPeriod or an absolute start/end
+interface Environment {
+  id: string;
+  name: string;
+}
+
+interface Release {
+  version: string;
+  shortVersion?: string;
+  dateCreated: string;
+}
+
+interface TimeRange {
+  statsPeriod: string;
+  start: string;
+  end: string;
+  interval: string;
+}
+
+// events-stats as normalized by the server: one series per group (or a single total)
+interface EventStats {
+  yAxis: string;
+  label: string;
+  groupBy: string | null;
+  series: {
+    name: string;
+    data: { timestamp: string; count: number }[];
+  }[];
+}
+
+// The issue fields the dashboard lists (Sentry sends many more)
+interface IssueSummary {
+  id: string;
+  shortId: string;
+  title: string;
+  culprit: string | null;
+  level: string;
+  count: string;
+  userCount: number;
+  firstSeen: string;
+  lastSeen: string;
+}
+
 interface DashboardMetrics {
   organization: Organization;
   projects: any[];
@@ -38,7 +90,25 @@ interface DashboardMetrics {
   issues: any[];
   alertRules: any[];
   replays: any[];
-  eventStats: any;
+  eventStats: EventStats | null;
+  // The window the server actually used, with absolute bounds
+  timeRange?: {
+    statsPeriod: string | null;
+    start: string;
+    end: string;
+    interval: string;
+  };
+  // How much Sentry's rate limiting slowed this load down
+  throttling?: {
+    throttled: number;
+    retries: number;
+    waitedMs: number;
+    rateLimit: {
+      limit: number | null;
+      remaining: number | null;
+      resetAt: string | null;
+    } | null;
+  };
   metrics: {
     totalProjects: number;
     totalMembers: number;
@@ -57,43 +127,78 @@ interface DashboardMetrics {
       totalEvents: number;
       avgEventsPerProject: number;
     };
-    recentIssues: any[];
+    recentIssues: IssueSummary[];
     recentReplays: any[];
+    newIssuesTimeline?: { timestamp: string; count: number }[];
   };
 }
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D'];
 
+const TIME_RANGE_PRESETS = [
+  { value: '24h', label: 'Last 24 Hours' },
+  { value: '7d', label: 'Last 7 Days' },
+  { value: '14d', label: 'Last 14 Days' },
+  { value: '30d', label: 'Last 30 Days' },
+  { value: '90d', label: 'Last 90 Days' }
+];
+
+const Y_AXIS_OPTIONS = [
+  { value: 'count()', label: 'Events' },
+  { value: 'count_unique(user)', label: 'Unique Users' },
+  { value: 'failure_rate()', label: 'Failure Rate' }
+];
+
+// Empty interval lets the server pick one that suits the range
+const INTERVAL_OPTIONS = [
+  { value: '', label: 'Auto' },
+  { value: '1h', label: 'Hourly' },
+  { value: '1d', label: 'Daily' },
+  { value: '1w', label: 'Weekly' }
+];
+
+// Dashboard sections; every tab shares the selectors above it
+const TABS = [
+  { value: 'overview', label: '📊 Overview' },
+  { value: 'scorecards', label: '🏅 Scorecards' },
+  { value: 'alerts', label: '🚨 Alerts' },
+  { value: 'teams', label: '👥 Teams' }
+];
+
+// Only offered to users who belong to more than one organization
+const ALL_ORGANIZATIONS_TAB = { value: 'organizations', label: '🌐 All Organizations' };
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
 export function SentryMetrics() {
   const [organizations, setOrganizations] = useState<Organization[]>([]);
   const [projects, setProjects] = useState<Project[]>([]);
   const [selectedOrg, setSelectedOrg] = useState<string>('');
   const [selectedProject, setSelectedProject] = useState<string>('all');
+  const [environments, setEnvironments] = useState<Environment[]>([]);
+  const [releases, setReleases] = useState<Release[]>([]);
+  // Empty means every environment / release
+  const [selectedEnvironment, setSelectedEnvironment] = useState<string>('');
+  const [selectedRelease, setSelectedRelease] = useState<string>('');
+  const [timeRange, setTimeRange] = useState<TimeRange>({ statsPeriod: '14d', start: '', end: '', interval: '' });
+  const [eventYAxis, setEventYAxis] = useState<string>('count()');
+  const [eventGroupBy, setEventGroupBy] = useState<string>('');
+  const [activeTab, setActiveTab] = useState<string>('overview');
   const [metrics, setMetrics] = useState<DashboardMetrics | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  // Scopes the server said are missing (403 from the scope guard) - offer to re-consent for them
+  const [missingScopes, setMissingScopes] = useState<string[]>([]);
+  const { login } = useAuth();
 
-  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
-
-  useEffect(() => {
-    fetchOrganizations();
+  // Environments and releases belong to one organization, so switching orgs clears them
+  const selectOrganization = useCallback((orgSlug: string) => {
+    setSelectedOrg(orgSlug);
+    setSelectedEnvironment('');
+    setSelectedRelease('');
   }, []);
 
-  useEffect(() => {
-    if (selectedOrg) {
-      fetchProjects(selectedOrg);
-      fetchMetrics(selectedOrg);
-    }
-  }, [selectedOrg]);
-
-  useEffect(() => {
-    if (selectedOrg) {
-      console.log('🔄 Project changed, refetching metrics for:', selectedProject);
-      fetchMetrics(selectedOrg);
-    }
-  }, [selectedProject]);
-
-  const fetchOrganizations = async () => {
+  const fetchOrganizations = useCallback(async () => {
     try {
       setLoading(true);
       const response = await fetch(`${apiUrl}/api/dashboard/organizations`, {
@@ -108,16 +213,16 @@ export function SentryMetrics() {
       setOrganizations(data.organizations || []);
       
       if (data.organizations && data.organizations.length > 0) {
-        setSelectedOrg(data.organizations[0].slug);
+        selectOrganization(data.organizations[0].slug);
       }
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to fetch organizations');
     } finally {
       setLoading(false);
     }
-  };
+  }, [selectOrganization]);
 
-  const fetchProjects = async (orgSlug: string) => {
+  const fetchProjects = useCallback(async (orgSlug: string) => {
     try {
       const response = await fetch(`${apiUrl}/api/dashboard/${orgSlug}/projects`, {
         credentials: 'include'
@@ -132,17 +237,105 @@ export function SentryMetrics() {
     } catch (err) {
       console.error('Failed to fetch projects:', err);
     }
-  };
+  }, []);
+
+  const fetchEnvironments = useCallback(async (orgSlug: string) => {
+    try {
+      const response = await fetch(`${apiUrl}/api/dashboard/${orgSlug}/environments`, {
+        credentials: 'include'
+      });
 
-  const fetchMetrics = async (orgSlug: string) => {
+      if (!response.ok) {
+        throw new Error('Failed to fetch environments');
+      }
+
+      const data = await response.json();
+      setEnvironments(data.environments || []);
+    } catch (err) {
+      console.error('Failed to fetch environments:', err);
+    }
+  }, []);
+
+  const selectedProjectId = projects.find(project => project.slug === selectedProject)?.id;
+
+  // Newest releases first, limited to the selected project when there is one
+  const fetchReleases = useCallback(async (orgSlug: string) => {
+    try {
+      const query = selectedProjectId ? `?project=${encodeURIComponent(selectedProjectId)}` : '';
+      const response = await fetch(`${apiUrl}/api/dashboard/${orgSlug}/releases${query}`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch releases');
+      }
+
+      const data = await response.json();
+      setReleases(data.releases || []);
+    } catch (err) {
+      console.error('Failed to fetch releases:', err);
+    }
+  }, [selectedProjectId]);
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, [fetchOrganizations]);
+
+  useEffect(() => {
+    if (selectedOrg) {
+      fetchProjects(selectedOrg);
+      fetchEnvironments(selectedOrg);
+    }
+  }, [selectedOrg, fetchProjects, fetchEnvironments]);
+
+  // fetchReleases changes with the selected project, so this also refetches on project changes
+  useEffect(() => {
+    if (selectedOrg) {
+      fetchReleases(selectedOrg);
+    }
+  }, [selectedOrg, fetchReleases]);
+
+  // statsPeriod, or whole days in the user's timezone: start of the first through end of the last
+  const buildTimeRangeParams = useCallback(() => {
+    const params = new URLSearchParams();
+    if (timeRange.statsPeriod) {
+      params.set('statsPeriod', timeRange.statsPeriod);
+    } else if (timeRange.start && timeRange.end) {
+      params.set('start', new Date(`${timeRange.start}T00:00:00`).toISOString());
+      params.set('end', new Date(`${timeRange.end}T23:59:59`).toISOString());
+    }
+    return params;
+  }, [timeRange.statsPeriod, timeRange.start, timeRange.end]);
+
+  // refresh skips the server's response cache and fetches fresh data from Sentry
+  const fetchMetrics = useCallback(async (orgSlug: string, refresh = false) => {
     try {
       setLoading(true);
       setError(null);
+      setMissingScopes([]);
       
-      let url = `${apiUrl}/api/dashboard/metrics/${orgSlug}`;
+      const params = buildTimeRangeParams();
       if (selectedProject && selectedProject !== 'all') {
-        url += `?project=${selectedProject}`;
+        params.set('project', selectedProject);
+      }
+      if (selectedEnvironment) {
+        params.set('environment', selectedEnvironment);
+      }
+      if (selectedRelease) {
+        params.set('release', selectedRelease);
+      }
+      if (timeRange.interval) {
+        params.set('interval', timeRange.interval);
       }
+      params.set('yAxis', eventYAxis);
+      if (eventGroupBy) {
+        params.set('groupBy', eventGroupBy);
+      }
+      if (refresh) {
+        params.set('refresh', '1');
+      }
+      const query = params.toString();
+      const url = `${apiUrl}/api/dashboard/metrics/${orgSlug}${query ? `?${query}` : ''}`;
       
       console.log('🔄 Fetching metrics from:', url);
       
@@ -150,6 +343,19 @@ export function SentryMetrics() {
         credentials: 'include'
       });
       
+      if (response.status === 403) {
+        const data = await response.json();
+        if (data.missingScopes?.length) {
+          setMissingScopes(data.missingScopes);
+          throw new Error(`Sentry access is missing these scopes: ${data.missingScopes.join(', ')}`);
+        }
+      }
+
+      if (response.status === 400) {
+        const data = await response.json();
+        throw new Error(data.details || 'Invalid time range');
+      }
+
       if (!response.ok) {
         throw new Error('Failed to fetch metrics');
       }
@@ -167,7 +373,18 @@ export function SentryMetrics() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [buildTimeRangeParams, selectedProject, selectedEnvironment, selectedRelease, timeRange.interval, eventYAxis, eventGroupBy]);
+
+  // A custom range needs both dates before there's anything to fetch
+  const customRangeIncomplete = !timeRange.statsPeriod && (!timeRange.start || !timeRange.end);
+
+  // fetchMetrics changes whenever a filter it sends changes, so this refetches on org, project,
+  // environment, release, time range and chart option changes alike
+  useEffect(() => {
+    if (selectedOrg && !customRangeIncomplete) {
+      fetchMetrics(selectedOrg);
+    }
+  }, [selectedOrg, customRangeIncomplete, fetchMetrics]);
 
   const formatIssuesForPieChart = (issuesByLevel: Record<string, number>) => {
     console.log('📊 Formatting issues by level:', issuesByLevel);
@@ -192,26 +409,65 @@ export function SentryMetrics() {
       .sort((a, b) => b.count - a.count);
   };
 
-  const formatRecentIssuesForChart = (recentIssues: any[]) => {
-    const last7Days = [];
-    const today = new Date();
-    
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      const issuesOnDate = recentIssues.filter(issue => 
-        issue.firstSeen.split('T')[0] === dateStr
-      ).length;
-      
-      last7Days.push({
-        date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        issues: issuesOnDate
+  // The server buckets new issues by the selected interval; label hourly buckets with a time too
+  const formatNewIssuesForChart = (timeline: { timestamp: string; count: number }[], interval = '1d') => {
+    const hourly = /[smh]$/.test(interval);
+    return timeline.map(bucket => {
+      const date = new Date(bucket.timestamp);
+      return {
+        date: hourly
+          ? date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric' })
+          : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+        issues: bucket.count
+      };
+    });
+  };
+
+  // One row per timestamp with a column per series, the shape recharts stacks
+  const formatEventStatsForChart = (eventStats: EventStats) => {
+    const hourly = /[smh]$/.test(metrics?.timeRange?.interval || '1d');
+    const rows = new Map<string, Record<string, string | number>>();
+
+    eventStats.series.forEach(series => {
+      series.data.forEach(point => {
+        if (!rows.has(point.timestamp)) {
+          const date = new Date(point.timestamp);
+          rows.set(point.timestamp, {
+            date: hourly
+              ? date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric' })
+              : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+          });
+        }
+        rows.get(point.timestamp)![series.name] = point.count;
       });
+    });
+
+    return Array.from(rows.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([, row]) => row);
+  };
+
+  const formatEventValue = (value: number) =>
+    eventYAxis === 'failure_rate()' ? `${(value * 100).toFixed(1)}%` : value.toLocaleString();
+
+  const formatTimeRangeLabel = () => {
+    if (timeRange.statsPeriod) {
+      return TIME_RANGE_PRESETS.find(preset => preset.value === timeRange.statsPeriod)?.label || timeRange.statsPeriod;
+    }
+    return `${timeRange.start} – ${timeRange.end}`;
+  };
+
+  const handleTimeRangePresetChange = (value: string) => {
+    if (value === 'custom') {
+      // Start with the last 7 days so the date inputs aren't empty
+      const end = new Date();
+      const start = new Date(end);
+      start.setDate(start.getDate() - 7);
+      const toDateInput = (date: Date) => date.toLocaleDateString('en-CA');
+      setTimeRange({ ...timeRange, statsPeriod: '', start: toDateInput(start), end: toDateInput(end) });
+    } else {
+      setTimeRange({ ...timeRange, statsPeriod: value, start: '', end: '' });
     }
-    
-    return last7Days;
   };
 
   if (loading && !metrics) {
@@ -231,9 +487,15 @@ export function SentryMetrics() {
         <div className="error-state">
           <h3>❌ Error Loading Metrics</h3>
           <p>{error}</p>
-          <button onClick={() => window.location.reload()} className="retry-button">
-            Retry
-          </button>
+          {missingScopes.length > 0 ? (
+            <button onClick={() => login({ scopes: missingScopes })} className="retry-button">
+              Grant access in Sentry
+            </button>
+          ) : (
+            <button onClick={() => window.location.reload()} className="retry-button">
+              Retry
+            </button>
+          )}
         </div>
       </div>
     );
@@ -247,7 +509,7 @@ export function SentryMetrics() {
           {organizations.length > 1 && (
             <select 
               value={selectedOrg} 
-              onChange={(e) => setSelectedOrg(e.target.value)}
+              onChange={(e) => selectOrganization(e.target.value)}
               className="org-selector"
             >
               {organizations.map(org => (
@@ -272,11 +534,156 @@ export function SentryMetrics() {
               ))}
             </select>
           )}
+
+          {environments.length > 0 && (
+            <select
+              value={selectedEnvironment}
+              onChange={(e) => setSelectedEnvironment(e.target.value)}
+              className="environment-selector"
+            >
+              <option value="">All Environments</option>
+              {environments.map(environment => (
+                <option key={environment.name} value={environment.name}>
+                  {environment.name}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {(releases.length > 0 || selectedRelease) && (
+            <select
+              value={selectedRelease}
+              onChange={(e) => setSelectedRelease(e.target.value)}
+              className="release-selector"
+            >
+              <option value="">All Releases</option>
+              {/* Keep the chosen release listed even if the project's list doesn't have it */}
+              {selectedRelease && !releases.some(release => release.version === selectedRelease) && (
+                <option value={selectedRelease}>{selectedRelease}</option>
+              )}
+              {releases.map(release => (
+                <option key={release.version} value={release.version}>
+                  {release.shortVersion || release.version}
+                </option>
+              ))}
+            </select>
+          )}
+
+          <select
+            value={timeRange.statsPeriod || 'custom'}
+            onChange={(e) => handleTimeRangePresetChange(e.target.value)}
+            className="time-range-selector"
+          >
+            {TIME_RANGE_PRESETS.map(preset => (
+              <option key={preset.value} value={preset.value}>
+                {preset.label}
+              </option>
+            ))}
+            <option value="custom">Custom Range…</option>
+          </select>
+
+          {!timeRange.statsPeriod && (
+            <div className="custom-range">
+              <input
+                type="date"
+                value={timeRange.start}
+                max={timeRange.end || undefined}
+                onChange={(e) => setTimeRange({ ...timeRange, start: e.target.value })}
+                aria-label="Start date"
+              />
+              <span>to</span>
+              <input
+                type="date"
+                value={timeRange.end}
+                min={timeRange.start || undefined}
+                onChange={(e) => setTimeRange({ ...timeRange, end: e.target.value })}
+                aria-label="End date"
+              />
+            </div>
+          )}
+
+          <select
+            value={timeRange.interval}
+            onChange={(e) => setTimeRange({ ...timeRange, interval: e.target.value })}
+            className="interval-selector"
+            title="Chart interval"
+          >
+            {INTERVAL_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+
+          {selectedOrg && (
+            <button
+              onClick={() => fetchMetrics(selectedOrg, true)}
+              className="refresh-button"
+              disabled={loading}
+              title="Fetch fresh data from Sentry"
+            >
+              🔄 Refresh
+            </button>
+          )}
         </div>
       </div>
 
-      {metrics && (
+      <div className="dashboard-tabs" role="tablist">
+        {(organizations.length > 1 ? [...TABS, ALL_ORGANIZATIONS_TAB] : TABS).map(tab => (
+          <button
+            key={tab.value}
+            role="tab"
+            aria-selected={activeTab === tab.value}
+            className={activeTab === tab.value ? 'dashboard-tab active' : 'dashboard-tab'}
+            onClick={() => setActiveTab(tab.value)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'scorecards' && selectedOrg && (
+        <ProjectScorecards
+          orgSlug={selectedOrg}
+          timeRangeQuery={buildTimeRangeParams().toString()}
+          environment={selectedEnvironment || undefined}
+        />
+      )}
+
+      {activeTab === 'alerts' && selectedOrg && (
+        <AlertsOverview
+          orgSlug={selectedOrg}
+          timeRangeQuery={buildTimeRangeParams().toString()}
+          projectSlug={selectedProject !== 'all' ? selectedProject : undefined}
+        />
+      )}
+
+      {activeTab === 'teams' && selectedOrg && (
+        <TeamsOverview orgSlug={selectedOrg} timeRangeQuery={buildTimeRangeParams().toString()} />
+      )}
+
+      {activeTab === 'organizations' && (
+        <OrganizationsOverview
+          timeRangeQuery={buildTimeRangeParams().toString()}
+          onSelectOrg={(orgSlug) => {
+            if (orgSlug !== selectedOrg) {
+              selectOrganization(orgSlug);
+            }
+            setActiveTab('overview');
+          }}
+        />
+      )}
+
+      {activeTab === 'overview' && metrics && (
         <>
+          {metrics.throttling && (metrics.throttling.throttled > 0 || metrics.throttling.retries > 0) && (
+            <div className="throttling-notice">
+              ⏳ Sentry rate-limited this dashboard ({metrics.throttling.throttled} throttled,{' '}
+              {metrics.throttling.retries} retried, waited {(metrics.throttling.waitedMs / 1000).toFixed(1)}s).
+              Some numbers may be incomplete.
+            </div>
+          )}
+
           {/* Overview Cards */}
           <div className="metrics-overview">
             <div className="metric-card">
@@ -382,9 +789,9 @@ export function SentryMetrics() {
 
             {/* Recent Issues Trend */}
             <div className="chart-container">
-              <h3>New Issues (Last 7 Days)</h3>
+              <h3>New Issues ({formatTimeRangeLabel()})</h3>
               <ResponsiveContainer width="100%" height={300}>
-                <AreaChart data={formatRecentIssuesForChart(metrics.metrics.recentIssues)}>
+                <AreaChart data={formatNewIssuesForChart(metrics.metrics.newIssuesTimeline || [], metrics.timeRange?.interval)}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" />
                   <XAxis dataKey="date" tick={{ fill: '#e2e8f0' }} />
                   <YAxis tick={{ fill: '#e2e8f0' }} />
@@ -401,6 +808,132 @@ export function SentryMetrics() {
               </ResponsiveContainer>
             </div>
 
+            {/* Event Volume */}
+            <div className="chart-container event-volume-card">
+              <div className="chart-header">
+                <h3>Event Volume ({formatTimeRangeLabel()})</h3>
+                <div className="chart-controls">
+                  <select
+                    value={eventYAxis}
+                    onChange={(e) => setEventYAxis(e.target.value)}
+                    className="chart-selector"
+                    aria-label="Metric"
+                  >
+                    {Y_AXIS_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={eventGroupBy}
+                    onChange={(e) => setEventGroupBy(e.target.value)}
+                    className="chart-selector"
+                    aria-label="Group by"
+                  >
+                    <option value="">Total</option>
+                    <option value="project">By Project</option>
+                  </select>
+                </div>
+              </div>
+              {metrics.eventStats && metrics.eventStats.series.length > 0 ? (
+                <ResponsiveContainer width="100%" height={300}>
+                  <AreaChart data={formatEventStatsForChart(metrics.eventStats)}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" />
+                    <XAxis dataKey="date" tick={{ fill: '#e2e8f0' }} />
+                    <YAxis tick={{ fill: '#e2e8f0' }} tickFormatter={formatEventValue} />
+                    <Tooltip 
+                      formatter={(value) => formatEventValue(Number(value))}
+                      contentStyle={{ 
+                        backgroundColor: '#2d3748', 
+                        border: '1px solid #4a5568',
+                        borderRadius: '8px',
+                        color: '#e2e8f0'
+                      }} 
+                    />
+                    {metrics.eventStats.series.length > 1 && <Legend />}
+                    {metrics.eventStats.series.map((series, index) => (
+                      <Area
+                        key={series.name}
+                        type="monotone"
+                        dataKey={series.name}
+                        // Rates don't add up, so only counts are stacked
+                        stackId={metrics.eventStats?.yAxis === 'failure_rate()' ? undefined : 'events'}
+                        stroke={COLORS[index % COLORS.length]}
+                        fill={COLORS[index % COLORS.length]}
+                        fillOpacity={0.6}
+                      />
+                    ))}
+                  </AreaChart>
+                </ResponsiveContainer>
+              ) : (
+                <div style={{ height: 300, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#a0aec0' }}>
+                  No event data for the selected time period
+                </div>
+              )}
+            </div>
+
+            {/* Recent Issues - click through to the issue detail page */}
+            <div className="chart-container recent-issues-card">
+              <h3>Recent Issues ({formatTimeRangeLabel()})</h3>
+              {metrics.metrics.recentIssues.length > 0 ? (
+                <ul className="issue-list">
+                  {metrics.metrics.recentIssues.map(issue => (
+                    <li key={issue.id}>
+                      <button
+                        className="issue-list-item"
+                        onClick={() => navigate(issuePath(selectedOrg, issue.id))}
+                      >
+                        <span className={`issue-list-level level-${issue.level}`}>{issue.level}</span>
+                        <span className="issue-list-main">
+                          <span className="issue-list-title">{issue.title}</span>
+                          <span className="issue-list-meta">
+                            {issue.shortId}{issue.culprit ? ` · ${issue.culprit}` : ''}
+                          </span>
+                        </span>
+                        <span className="issue-list-count">{Number(issue.count).toLocaleString()} events</span>
+                        <span className="issue-list-count">{issue.userCount.toLocaleString()} users</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div style={{ padding: '2rem 0', textAlign: 'center', color: '#a0aec0' }}>
+                  No new issues for the selected time period
+                </div>
+              )}
+            </div>
+
+            {/* Issues table with bulk triage actions */}
+            <IssuesTable
+              orgSlug={selectedOrg}
+              timeRangeQuery={buildTimeRangeParams().toString()}
+              projectId={selectedProjectId}
+              environment={selectedEnvironment || undefined}
+              release={selectedRelease || undefined}
+              onFiltersChange={({ projectId, environment }) => {
+                setSelectedProject(projects.find(project => project.id === projectId)?.slug || 'all');
+                setSelectedEnvironment(environment || '');
+              }}
+            />
+
+            {/* Crash-free rates and adoption per release, compared with the previous one */}
+            <ReleaseHealth
+              orgSlug={selectedOrg}
+              timeRangeQuery={buildTimeRangeParams().toString()}
+              projectId={selectedProjectId}
+              environment={selectedEnvironment || undefined}
+            />
+
+            {/* Session replays with user / has-errors filters; rows open the replay detail page */}
+            <ReplaysTable
+              orgSlug={selectedOrg}
+              timeRangeQuery={buildTimeRangeParams().toString()}
+              projectId={selectedProjectId}
+              environment={selectedEnvironment || undefined}
+              release={selectedRelease || undefined}
+            />
+
             {/* Organization Summary */}
             <div className="chart-container summary-card">
               <h3>Organization Summary</h3>
@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './SessionsPanel.css';
+
+interface ActiveSession {
+  id: string;
+  current: boolean;
+  createdAt: string | null;
+  lastSeenAt: string | null;
+  userAgent: string | null;
+  ip: string | null;
+  expiresAt: string;
+}
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleString() : 'Unknown';
+
+export function SessionsPanel() {
+  const { checkAuth } = useAuth();
+  const [sessions, setSessions] = useState<ActiveSession[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [endingId, setEndingId] = useState<string | null>(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await fetch(`${apiUrl}/api/auth/sessions`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch sessions');
+      }
+
+      const data = await response.json();
+      setSessions(data.sessions || []);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch sessions');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const endSession = async (session: ActiveSession) => {
+    if (session.current && !window.confirm('This is your current session. Sign out here?')) {
+      return;
+    }
+
+    try {
+      setEndingId(session.id);
+      const response = await fetch(`${apiUrl}/api/auth/sessions/${session.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to end session');
+      }
+
+      if (session.current) {
+        await checkAuth();
+        return;
+      }
+      await fetchSessions();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to end session');
+    } finally {
+      setEndingId(null);
+    }
+  };
+
+  return (
+    <div className="activity-section sessions-panel">
+      <h3>Sessions</h3>
+      {error && <p className="sessions-error">{error}</p>}
+      <div className="details-table">
+        {sessions.map(session => (
+          <div key={session.id} className="detail-row session-row">
+            <div className="session-details">
+              <span className="detail-label">
+                {session.userAgent || 'Unknown device'}
+                {session.current && <span className="session-current">This device</span>}
+              </span>
+              <span className="session-meta">
+                Signed in {formatDate(session.createdAt)} · Last seen {formatDate(session.lastSeenAt)}
+                {session.ip && ` · ${session.ip}`}
+              </span>
+            </div>
+            <button
+              className="session-end-button"
+              onClick={() => endSession(session)}
+              disabled={endingId === session.id}
+            >
+              {session.current ? 'Sign out' : 'End session'}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import { useCallback, useEffect, useState } from 'react';
+import './TeamsOverview.css';
+
+// Teams joined with members and projects by the server (see server/services/ownership.js)
+interface TeamMember {
+  id: string;
+  name: string;
+  email: string | null;
+  role: string | null;
+  pending: boolean;
+}
+
+interface TeamProject {
+  id: string;
+  slug: string;
+  name: string;
+  platform: string | null;
+}
+
+interface Team {
+  id: string;
+  slug: string;
+  name: string;
+  members: TeamMember[];
+  projects: TeamProject[];
+  // null when Sentry couldn't count them
+  openIssues: number | null;
+}
+
+interface TeamsOverviewProps {
+  orgSlug: string;
+  // Time range query string (statsPeriod or start/end), shared with the rest of the dashboard
+  timeRangeQuery: string;
+}
+
+const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+export function TeamsOverview({ orgSlug, timeRangeQuery }: TeamsOverviewProps) {
+  const [teams, setTeams] = useState<Team[]>([]);
+  const [unownedProjects, setUnownedProjects] = useState<TeamProject[]>([]);
+  const [teamlessMembers, setTeamlessMembers] = useState<TeamMember[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchTeams = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`${apiUrl}/api/dashboard/${encodeURIComponent(orgSlug)}/teams?${timeRangeQuery}`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || 'Failed to fetch teams');
+      }
+
+      const data = await response.json();
+      setTeams(data.teams || []);
+      setUnownedProjects(data.unownedProjects || []);
+      setTeamlessMembers(data.teamlessMembers || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch teams');
+    } finally {
+      setLoading(false);
+    }
+  }, [orgSlug, timeRangeQuery]);
+
+  useEffect(() => {
+    fetchTeams();
+  }, [fetchTeams]);
+
+  if (error) {
+    return <p className="teams-error">{error}</p>;
+  }
+
+  if (loading && teams.length === 0) {
+    return <p className="teams-empty">Loading teams…</p>;
+  }
+
+  return (
+    <div className="teams-overview">
+      {(unownedProjects.length > 0 || teamlessMembers.length > 0) && (
+        <div className="chart-container ownership-gaps">
+          <h3>Ownership Gaps</h3>
+          {unownedProjects.length > 0 && (
+            <div className="ownership-gap">
+              <h4>Projects with no owning team</h4>
+              <ul className="gap-list">
+                {unownedProjects.map(project => (
+                  <li key={project.id}>{project.name}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {teamlessMembers.length > 0 && (
+            <div className="ownership-gap">
+              <h4>Members in no team</h4>
+              <ul className="gap-list">
+                {teamlessMembers.map(member => (
+                  <li key={member.id} title={member.email || undefined}>{member.name}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {teams.length > 0 ? (
+        <div className="teams-grid">
+          {teams.map(team => (
+            <div key={team.id} className="chart-container team-card">
+              <div className="team-card-header">
+                <h3>#{team.slug}</h3>
+                <span
+                  className={team.openIssues ? 'team-open-issues has-issues' : 'team-open-issues'}
+                  title="Unresolved issues seen in the selected time range, in this team's projects"
+                >
+                  {team.openIssues === null ? '?' : team.openIssues.toLocaleString()} open
+                </span>
+              </div>
+
+              <h4>Projects ({team.projects.length})</h4>
+              {team.projects.length > 0 ? (
+                <ul className="team-list">
+                  {team.projects.map(project => (
+                    <li key={project.id}>
+                      {project.name}
+                      {project.platform && <span className="team-list-meta"> {project.platform}</span>}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="team-none">Owns no projects</p>
+              )}
+
+              <h4>Members ({team.members.length})</h4>
+              {team.members.length > 0 ? (
+                <ul className="team-list">
+                  {team.members.map(member => (
+                    <li key={member.id} title={member.email || undefined}>
+                      {member.name}
+                      {member.pending && <span className="team-list-meta"> (invited)</span>}
+                      {member.role && !member.pending && <span className="team-list-meta"> {member.role}</span>}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="team-none">No members</p>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="teams-empty">This organization has no teams</p>
+      )}
+    </div>
+  );
+}
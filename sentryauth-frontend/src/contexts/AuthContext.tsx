@@ -1,5 +1,11 @@
 import { createContext, useContext, useState, useEffect, ReactNode } from 'react';
 
+export interface SentryInstance {
+  id: string;
+  name: string;
+  baseUrl: string;
+}
+
 interface User {
   id: number;
   sentry_id: string;
@@ -9,14 +15,29 @@ interface User {
   avatar_url?: string;
   created_at: string;
   updated_at: string;
+  // Sentry instance the user signed in with (sentry.io or self-hosted)
+  instance: SentryInstance;
+  // Sentry scopes actually granted, and which dashboard features they unlock
+  scopes: string[];
+  features: Record<string, boolean>;
+}
+
+interface LoginOptions {
+  // Ask for extra Sentry scopes on top of the base set (incremental consent)
+  scopes?: string[];
+  // Or ask for everything a dashboard feature needs, e.g. 'triage'
+  feature?: string;
+  // Which Sentry instance to sign in with (see GET /api/auth/instances)
+  instance?: string;
 }
 
 interface AuthContextType {
   user: User | null;
   isLoading: boolean;
   isAuthenticated: boolean;
-  login: () => Promise<void>;
+  login: (options?: LoginOptions) => Promise<void>;
   logout: () => Promise<void>;
+  disconnect: () => Promise<void>;
   checkAuth: () => Promise<void>;
 }
 
@@ -48,9 +69,21 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
-  const login = async () => {
+  const login = async (options: LoginOptions = {}) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
+      const params = new URLSearchParams();
+      if (options.scopes?.length) {
+        params.set('scopes', options.scopes.join(','));
+      }
+      if (options.feature) {
+        params.set('feature', options.feature);
+      }
+      if (options.instance) {
+        params.set('instance', options.instance);
+      }
+      const query = params.toString() ? `?${params}` : '';
+
+      const response = await fetch(`${API_BASE_URL}/api/auth/login${query}`, {
         credentials: 'include',
       });
 
@@ -81,6 +114,19 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
+  const disconnect = async () => {
+    // Revokes the Sentry token and ends every session for this user
+    const response = await fetch(`${API_BASE_URL}/api/auth/connection`, {
+      method: 'DELETE',
+      credentials: 'include',
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to disconnect Sentry');
+    }
+    setUser(null);
+  };
+
   useEffect(() => {
     checkAuth();
   }, []);
@@ -91,6 +137,7 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     isAuthenticated: !!user,
     login,
     logout,
+    disconnect,
     checkAuth,
   };
 
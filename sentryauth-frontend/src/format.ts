@@ -0,0 +1,13 @@
+// Seconds as "1h 2m", "3m 12s" or "45s"
+export function formatDuration(seconds: number | null) {
+  if (seconds === null || seconds === undefined) {
+    return '—';
+  }
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return minutes > 0 ? `${minutes}m ${total % 60}s` : `${total}s`;
+}
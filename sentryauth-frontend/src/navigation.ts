@@ -0,0 +1,11 @@
+// Client-side navigation: App re-renders on popstate, so push the path and announce it
+export function navigate(path: string) {
+  window.history.pushState({}, '', path);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+}
+
+export const issuePath = (orgSlug: string, issueId: string) =>
+  `/issues/${encodeURIComponent(orgSlug)}/${encodeURIComponent(issueId)}`;
+
+export const replayPath = (orgSlug: string, replayId: string) =>
+  `/replays/${encodeURIComponent(orgSlug)}/${encodeURIComponent(replayId)}`;
@@ -19,7 +19,19 @@ const { v4: uuidv4 } = require('uuid');
 
 const { sentryOAuthService } = require('./services/sentry-oauth.js');
 const { SentryAPIService } = require('./services/sentry-api.js');
+const { tokenManager } = require('./services/token-manager.js');
+const { FEATURE_SCOPES, resolveRequestedScopes, parseGrantedScopes, getMissingScopes, getAvailableFeatures } = require('./services/scopes.js');
 const database = require('./database');
+const { getInstance, listPublicInstances, getRegionUrls, DEFAULT_INSTANCE_ID } = require('./services/sentry-instances.js');
+const { parseTimeRange } = require('./services/time-range.js');
+const { parseEventStatsOptions } = require('./services/event-stats.js');
+const { buildIssueUpdate, parseIssueIds } = require('./services/issue-actions.js');
+const { requireBodyObject } = require('./services/request-params.js');
+const { parseIssueFilters, parseIssuePreset, parseEnvironmentFilters, MAX_PRESETS_PER_ORG } = require('./services/issue-filters.js');
+const { parseReplayFilters, summarizeReplay } = require('./services/replay-details.js');
+const { parseAlertFilters } = require('./services/alerts.js');
+const { createSessionStore, getPublicSessionId } = require('./stores/session-store');
+const { sendJsonWithEtag } = require('./services/response-cache.js');
 
 const sentryAPI = new SentryAPIService();
 
@@ -37,18 +49,36 @@ app.use(cors({
 }));
 
 // 🍪 Session configuration for Sentry OAuth
-// In production, use a persistent session store (Redis, database, etc.)
+// Sessions are kept in a store that matches the user store (or SESSION_STORE),
+// and expire on the server at the same time as the cookie
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+const sessionStore = createSessionStore({ ttlMs: SESSION_MAX_AGE_MS });
+
 app.use(session({
+  store: sessionStore,
   secret: process.env.SESSION_SECRET || 'sentry-demo-secret-key',
   resave: false,
   saveUninitialized: false,
   cookie: {
     secure: process.env.NODE_ENV === 'production',
     httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+    maxAge: SESSION_MAX_AGE_MS
   }
 }));
 
+// 👀 Track when each signed-in session was last used (at most once a minute, to limit store writes)
+const LAST_SEEN_UPDATE_MS = 60 * 1000;
+app.use((req, res, next) => {
+  if (req.session && req.session.userId) {
+    const lastSeen = req.session.lastSeenAt ? new Date(req.session.lastSeenAt).getTime() : 0;
+    if (Date.now() - lastSeen > LAST_SEEN_UPDATE_MS) {
+      req.session.lastSeenAt = new Date().toISOString();
+      req.session.ip = req.ip;
+    }
+  }
+  next();
+});
+
 // 🔒 Authentication middleware - checks if user has valid session
 const requireAuth = (req, res, next) => {
   if (req.session && req.session.userId) {
@@ -58,6 +88,54 @@ const requireAuth = (req, res, next) => {
   }
 };
 
+// 🛡️ Scope-aware guard for routes that call the Sentry API
+// Loads the signed-in user once (as req.user), checks there is a Sentry token and that
+// the granted scopes cover the route. Missing scopes get a 403 with a re-consent URL
+// so the client can ask for just those scopes instead of hitting Sentry and failing.
+const requireSentryScopes = (requiredScopes = []) => async (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const user = await database.findUserById(req.session.userId);
+    if (!user || !user.access_token) {
+      return res.status(401).json({ error: 'No Sentry access token found' });
+    }
+
+    const missingScopes = getMissingScopes(user.granted_scopes, requiredScopes);
+    if (missingScopes.length > 0) {
+      console.log(`🚫 User ${user.sentry_id} is missing scopes for ${req.path}: ${missingScopes.join(', ')}`);
+      return res.status(403).json({
+        error: 'Missing Sentry scopes',
+        missingScopes,
+        requiredScopes,
+        reconsentUrl: `/api/auth/login?scopes=${encodeURIComponent(missingScopes.join(','))}`
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// 🔑 Sentry credentials for the signed-in user (set by requireSentryScopes)
+// ?refresh=1 skips the response cache for this request and stores fresh data
+const sentryCredentials = (req, { bypassCache = req.query.refresh === '1' } = {}) => ({
+  ...tokenManager.forUser(req.user),
+  bypassCache
+});
+
+// ⚠️ Pass 400s (bad query params) and Sentry's 401/403/404 through to the client instead of a blanket 500
+// A refresh token Sentry no longer accepts comes back as a 401 telling the client to log in again
+const sendSentryError = (res, error, message, extra = {}) => {
+  const status = [400, 401, 403, 404].includes(error.status) ? error.status : 500;
+  const reauth = error.loginRequired ? { loginRequired: true, loginUrl: '/api/auth/login' } : {};
+  res.status(status).json({ error: message, details: error.message, ...reauth, ...extra });
+};
+
 console.log('🛠️  Setting up Sentry OAuth routes...\n');
 
 // 📋 SENTRY OAUTH ROUTES 
@@ -82,27 +160,68 @@ app.get('/api/auth/me', requireAuth, async (req, res) => {
 
     console.log(`📊 User info requested for Sentry ID: ${user.sentry_id}`);
     
-    // Return user without sensitive data (access token)
-    const { access_token, ...safeUser } = user;
-    res.json({ user: safeUser });
+    // Return user without sensitive data (access + refresh tokens), plus what the granted scopes allow
+    const { access_token, refresh_token, granted_scopes, org_regions, ...safeUser } = user;
+    const { id, name, baseUrl } = getInstance(user.sentry_instance);
+    res.json({
+      user: {
+        ...safeUser,
+        instance: { id, name, baseUrl },
+        scopes: parseGrantedScopes(granted_scopes),
+        features: getAvailableFeatures(granted_scopes)
+      }
+    });
   } catch (error) {
     console.error('❌ Error fetching user:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// 🌐 Sentry instances the login page can offer (sentry.io and/or self-hosted)
+app.get('/api/auth/instances', (req, res) => {
+  res.json({ instances: listPublicInstances(), defaultInstanceId: DEFAULT_INSTANCE_ID });
+});
+
 // 🚀 Step 1: Initiate Sentry OAuth login
-app.get('/api/auth/login', (req, res) => {
+// Optional ?scopes=event:write,alerts:read or ?feature=triage asks for extra scopes (incremental consent)
+// Optional ?instance=<id> picks the Sentry instance (see GET /api/auth/instances)
+app.get('/api/auth/login', async (req, res) => {
   try {
     console.log('\n🔐 STARTING SENTRY OAUTH FLOW');
     console.log('Step 1: Generating authorization URL...');
+
+    // Keep scopes the user already granted so re-consent only ever adds permissions
+    // (only on the same Sentry instance - another instance means another account)
+    const currentUser = req.session.userId ? await database.findUserById(req.session.userId) : null;
+    let scopes;
+    let instanceId;
+    try {
+      instanceId = getInstance(req.query.instance || currentUser?.sentry_instance).id;
+      scopes = resolveRequestedScopes({
+        scopes: req.query.scopes,
+        feature: req.query.feature,
+        grantedScopes: currentUser?.sentry_instance === instanceId ? currentUser.granted_scopes : null
+      });
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+    req.session.oauthRequestedScopes = scopes;
+    req.session.oauthInstanceId = instanceId;
     
     // Generate secure state parameter to prevent CSRF attacks
     const state = uuidv4();
     req.session.oauthState = state;
+
+    // 🔐 PKCE: keep the verifier in the session, send only its S256 challenge to Sentry
+    let codeChallenge;
+    if (sentryOAuthService.config.usePkce) {
+      const pkce = sentryOAuthService.generatePkcePair();
+      req.session.oauthCodeVerifier = pkce.codeVerifier;
+      codeChallenge = pkce.codeChallenge;
+    }
     
     // Get Sentry authorization URL
-    const authUrl = sentryOAuthService.getAuthorizationUrl(state);
+    const authUrl = sentryOAuthService.getAuthorizationUrl(state, { codeChallenge, scopes, instanceId });
     
     console.log('✅ Authorization URL generated');
     console.log('🔗 Redirecting user to Sentry for authentication\n');
@@ -129,8 +248,19 @@ app.get('/api/auth/callback', async (req, res) => {
     }
     console.log('✅ State parameter verified');
 
-    // Clear the state from session
+    // Clear the state (and PKCE verifier) from session - both are single use
+    const codeVerifier = req.session.oauthCodeVerifier;
+    const requestedScopes = req.session.oauthRequestedScopes;
+    const instanceId = req.session.oauthInstanceId || DEFAULT_INSTANCE_ID;
     delete req.session.oauthState;
+    delete req.session.oauthCodeVerifier;
+    delete req.session.oauthRequestedScopes;
+    delete req.session.oauthInstanceId;
+
+    if (sentryOAuthService.config.usePkce && !codeVerifier) {
+      console.log('❌ PKCE is enabled but no code verifier was found in the session');
+      return res.status(400).json({ error: 'Missing PKCE code verifier' });
+    }
 
     if (!code) {
       console.log('❌ No authorization code received from Sentry');
@@ -140,27 +270,38 @@ app.get('/api/auth/callback', async (req, res) => {
 
     // 🎫 Step 3: Exchange code for access token + get user info
     console.log('Step 3: Exchanging code for token and fetching user data...');
-    const { user: sentryUser, accessToken } = await sentryOAuthService.completeOAuthFlow(code);
+    const { user: sentryUser, tokens } = await sentryOAuthService.completeOAuthFlow(code, { codeVerifier, instanceId });
+
+    // Sentry normally echoes the granted scopes; fall back to what we asked for if it doesn't
+    if (!tokens.scope && requestedScopes) {
+      tokens.scope = requestedScopes.join(' ');
+    }
     
     console.log('✅ Successfully retrieved user data from Sentry:');
     console.log(`   - Sentry ID: ${sentryUser.id}`);
     console.log(`   - Email: ${sentryUser.email}`);
     console.log(`   - Name: ${sentryUser.name}`);
+    console.log(`   - Instance: ${instanceId}`);
 
-    // 👤 Step 4: Create or update user in our system
-    let user = await database.findUserBySentryId(sentryUser.id);
+    // 👤 Step 4: Create or update user in our system (Sentry IDs are per instance)
+    let user = await database.findUserBySentryId(sentryUser.id, instanceId);
 
     if (user) {
       console.log('🔄 Updating existing user with fresh Sentry data');
-      user = await database.updateUser(sentryUser, accessToken);
+      user = await database.updateUser(sentryUser, tokens, instanceId);
     } else {
       console.log('👤 Creating new user from Sentry OAuth data');
-      user = await database.createUser(sentryUser, accessToken);
+      user = await database.createUser(sentryUser, tokens, instanceId);
     }
 
     // 🍪 Step 5: Create user session
     req.session.userId = user.id;
     req.session.sentryId = sentryUser.id;
+    // Device details for the "Sessions" panel
+    req.session.createdAt = new Date().toISOString();
+    req.session.lastSeenAt = req.session.createdAt;
+    req.session.userAgent = req.get('user-agent') || null;
+    req.session.ip = req.ip;
     console.log('✅ User session created');
 
     console.log('🎉 SENTRY OAUTH FLOW COMPLETED SUCCESSFULLY\n');
@@ -177,8 +318,23 @@ app.get('/api/auth/callback', async (req, res) => {
 });
 
 // 🚪 Logout and destroy session
-app.post('/api/auth/logout', (req, res) => {
+// Pass { "revoke": true } (or set SENTRY_REVOKE_ON_LOGOUT=true) to also revoke the Sentry token
+app.post('/api/auth/logout', async (req, res) => {
   console.log('🚪 User logging out, destroying session');
+
+  const shouldRevoke = req.body?.revoke ?? process.env.SENTRY_REVOKE_ON_LOGOUT === 'true';
+  let tokenRevoked = false;
+
+  if (shouldRevoke && req.session?.userId) {
+    console.log('🚫 Revoking Sentry token as part of logout');
+    try {
+      ({ revoked: tokenRevoked } = await tokenManager.revokeUserTokens(req.session.userId));
+    } catch (error) {
+      // Still log the user out; the token just stays valid at Sentry until it expires
+      console.error('❌ Error revoking token during logout:', error);
+    }
+  }
+
   req.session.destroy((err) => {
     if (err) {
       console.error('❌ Error destroying session:', err);
@@ -186,10 +342,98 @@ app.post('/api/auth/logout', (req, res) => {
     }
     res.clearCookie('connect.sid');
     console.log('✅ User session destroyed');
-    res.json({ message: 'Logged out successfully' });
+    res.json({ message: 'Logged out successfully', tokenRevoked });
   });
 });
 
+// 🔌 Disconnect Sentry: revoke the token, delete it from the store, end all of the user's sessions
+app.delete('/api/auth/connection', requireAuth, async (req, res) => {
+  const { userId } = req.session;
+
+  try {
+    console.log(`🔌 Disconnecting Sentry for user: ${userId}`);
+
+    const { revoked } = await tokenManager.revokeUserTokens(userId);
+    sentryAPI.invalidateUserCache(userId);
+
+    // The tokens are already gone, so the disconnect has happened even if other sessions linger;
+    // those sessions can't reach Sentry any more and expire on their own
+    let sessionsEnded = null;
+    try {
+      sessionsEnded = await sessionStore.destroyByUserId(userId);
+    } catch (error) {
+      console.error('❌ Error ending sessions after disconnecting Sentry:', error);
+    }
+
+    // The current session is already gone from the store; drop it from this request too
+    req.session.destroy(() => {
+      res.clearCookie('connect.sid');
+      console.log(`✅ Sentry disconnected (token revoked: ${revoked}, sessions ended: ${sessionsEnded})`);
+      res.json({ message: 'Sentry disconnected', tokenRevoked: revoked, sessionsEnded });
+    });
+  } catch (error) {
+    console.error('❌ Error disconnecting Sentry:', error);
+    res.status(500).json({ error: 'Failed to disconnect Sentry' });
+  }
+});
+
+// 🖥️ List the current user's active sessions (one per browser/device)
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await sessionStore.listByUserId(req.session.userId);
+
+    res.json({
+      sessions: sessions
+        .map(({ sid, sess, expiresAt }) => ({
+          id: getPublicSessionId(sid),
+          current: sid === req.sessionID,
+          createdAt: sess.createdAt || null,
+          lastSeenAt: sess.lastSeenAt || null,
+          userAgent: sess.userAgent || null,
+          ip: sess.ip || null,
+          expiresAt: new Date(expiresAt).toISOString()
+        }))
+        .sort((a, b) => new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0))
+    });
+  } catch (error) {
+    console.error('❌ Error listing sessions:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// 🚪 End one of the current user's sessions (e.g. left open on a shared machine)
+app.delete('/api/auth/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const sessions = await sessionStore.listByUserId(req.session.userId);
+    const target = sessions.find(({ sid }) => getPublicSessionId(sid) === req.params.id);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    console.log(`🚪 User ${req.session.userId} ending session ${req.params.id}`);
+
+    if (target.sid === req.sessionID) {
+      return req.session.destroy((err) => {
+        if (err) {
+          console.error('❌ Error destroying session:', err);
+          return res.status(500).json({ error: 'Failed to end session' });
+        }
+        res.clearCookie('connect.sid');
+        res.json({ message: 'Session ended', current: true });
+      });
+    }
+
+    await new Promise((resolve, reject) => {
+      sessionStore.destroy(target.sid, (err) => (err ? reject(err) : resolve()));
+    });
+    res.json({ message: 'Session ended', current: false });
+  } catch (error) {
+    console.error('❌ Error ending session:', error);
+    res.status(500).json({ error: 'Failed to end session' });
+  }
+});
+
 // 🔒 Example protected route
 app.get('/api/protected', requireAuth, (req, res) => {
   console.log(`🔒 Protected route accessed by user: ${req.session.userId}`);
@@ -202,174 +446,478 @@ app.get('/api/protected', requireAuth, (req, res) => {
 });
 
 // 📊 Get user's Sentry organizations
-app.get('/api/dashboard/organizations', requireAuth, async (req, res) => {
+app.get('/api/dashboard/organizations', requireSentryScopes(FEATURE_SCOPES.organizations), async (req, res) => {
   try {
-    const user = await database.findUserById(req.session.userId);
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No Sentry access token found' });
-    }
 
-    console.log(`📊 Fetching organizations for user: ${user.sentry_id}`);
-    const organizations = await sentryAPI.getOrganizations(user.access_token);
+    console.log(`📊 Fetching organizations for user: ${req.user.sentry_id}`);
+    const organizations = await sentryAPI.getOrganizations(sentryCredentials(req));
+
+    // 🌍 Remember each org's region host so its API calls go to the right place
+    await database.updateUserOrgRegions(req.user.id, getRegionUrls(organizations, getInstance(req.user.sentry_instance)));
     
-    res.json({ organizations });
+    sendJsonWithEtag(req, res, { organizations });
   } catch (error) {
     console.error('❌ Error fetching organizations:', error);
-    res.status(500).json({ error: 'Failed to fetch organizations' });
+    sendSentryError(res, error, 'Failed to fetch organizations');
+  }
+});
+
+// 🌐 Health numbers for every organization the token can see, plus combined totals
+// Takes the dashboard time range; orgs that fail or deny access are reported per row
+app.get('/api/dashboard/overview', requireSentryScopes(FEATURE_SCOPES.dashboard), async (req, res) => {
+  try {
+    const timeRange = parseTimeRange(req.query);
+    const credentials = sentryCredentials(req);
+
+    const organizations = await sentryAPI.getOrganizations(credentials);
+    // Same as /organizations: remember region hosts, and use them for this request too
+    const regionUrls = getRegionUrls(organizations, getInstance(req.user.sentry_instance));
+    await database.updateUserOrgRegions(req.user.id, regionUrls);
+    credentials.regionUrls = { ...credentials.regionUrls, ...regionUrls };
+
+    const overview = await sentryAPI.getOrganizationsOverview(organizations, credentials, timeRange);
+    sendJsonWithEtag(req, res, overview);
+  } catch (error) {
+    console.error('❌ Error fetching organizations overview:', error);
+    sendSentryError(res, error, 'Failed to fetch organizations overview');
   }
 });
 
 // 📊 Get comprehensive dashboard metrics for a specific organization
-app.get('/api/dashboard/metrics/:orgSlug', requireAuth, async (req, res) => {
+app.get('/api/dashboard/metrics/:orgSlug', requireSentryScopes(FEATURE_SCOPES.dashboard), async (req, res) => {
   try {
     const { orgSlug } = req.params;
     const { project } = req.query;
-    const user = await database.findUserById(req.session.userId);
-    
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No Sentry access token found' });
-    }
+    // ?statsPeriod=24h or ?start=...&end=... (ISO 8601), plus an optional ?interval=1h
+    const timeRange = parseTimeRange(req.query);
+    // Event volume chart: ?yAxis=count_unique(user) and/or ?groupBy=project
+    const eventStatsOptions = parseEventStatsOptions(req.query);
+    // ?environment= (repeatable) and ?release= narrow issues, replays and event volume
+    const filters = parseEnvironmentFilters(req.query);
 
-    console.log(`📊 Fetching dashboard metrics for organization: ${orgSlug}`, { project });
-    console.log(`🔑 Access token length: ${user.access_token.length}`);
+    console.log(`📊 Fetching dashboard metrics for organization: ${orgSlug}`, { project, ...timeRange, ...eventStatsOptions, ...filters });
     
-    const options = project ? { project } : {};
-    const metrics = await sentryAPI.getDashboardMetrics(orgSlug, user.access_token, options);
+    const options = { ...timeRange, ...eventStatsOptions, ...filters };
+    if (project) {
+      options.project = project;
+    }
+    const metrics = await sentryAPI.getDashboardMetrics(orgSlug, sentryCredentials(req), options);
     
     console.log(`✅ Successfully fetched metrics for ${orgSlug}`);
-    res.json(metrics);
+    sendJsonWithEtag(req, res, metrics);
   } catch (error) {
     console.error('❌ Error fetching dashboard metrics:', error);
     console.error('❌ Error stack:', error.stack);
-    res.status(500).json({ 
-      error: 'Failed to fetch dashboard metrics', 
-      details: error.message,
-      orgSlug 
-    });
+    sendSentryError(res, error, 'Failed to fetch dashboard metrics', { orgSlug: req.params.orgSlug });
   }
 });
 
 // 📊 Get specific data types for an organization
-app.get('/api/dashboard/:orgSlug/projects', requireAuth, async (req, res) => {
+// List routes accept ?cursor= and return nextCursor (null when there's nothing more to load)
+// Projects are read across pages (the project picker needs them all); issues and replays one page at a time
+app.get('/api/dashboard/:orgSlug/projects', requireSentryScopes(FEATURE_SCOPES.projects), async (req, res) => {
   try {
     const { orgSlug } = req.params;
-    const user = await database.findUserById(req.session.userId);
-    
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No Sentry access token found' });
-    }
 
-    const projects = await sentryAPI.getProjects(orgSlug, user.access_token);
-    res.json({ projects });
+    const { items: projects, nextCursor } = await sentryAPI.getProjects(orgSlug, sentryCredentials(req), {
+      cursor: req.query.cursor
+    });
+    sendJsonWithEtag(req, res, { projects, nextCursor });
   } catch (error) {
     console.error('❌ Error fetching projects:', error);
-    res.status(500).json({ error: 'Failed to fetch projects' });
+    sendSentryError(res, error, 'Failed to fetch projects');
   }
 });
 
-app.get('/api/dashboard/:orgSlug/issues', requireAuth, async (req, res) => {
+// 🌍 Environments and releases for the dashboard filters
+app.get('/api/dashboard/:orgSlug/environments', requireSentryScopes(FEATURE_SCOPES.projects), async (req, res) => {
   try {
     const { orgSlug } = req.params;
-    const user = await database.findUserById(req.session.userId);
-    
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No Sentry access token found' });
+
+    const environments = await sentryAPI.getEnvironments(orgSlug, sentryCredentials(req));
+    sendJsonWithEtag(req, res, { environments });
+  } catch (error) {
+    console.error('❌ Error fetching environments:', error);
+    sendSentryError(res, error, 'Failed to fetch environments');
+  }
+});
+
+// ?project= (ID) limits releases to one project, ?query= matches versions
+app.get('/api/dashboard/:orgSlug/releases', requireSentryScopes(FEATURE_SCOPES.projects), async (req, res) => {
+  try {
+    const { orgSlug } = req.params;
+
+    const { items: releases, nextCursor } = await sentryAPI.getReleases(orgSlug, sentryCredentials(req), {
+      projectId: req.query.project,
+      query: req.query.query,
+      cursor: req.query.cursor,
+      maxPages: 1
+    });
+    sendJsonWithEtag(req, res, { releases, nextCursor });
+  } catch (error) {
+    console.error('❌ Error fetching releases:', error);
+    sendSentryError(res, error, 'Failed to fetch releases');
+  }
+});
+
+// 🩺 Crash-free sessions/users and adoption for the newest releases
+// Takes the dashboard time range, ?project= (ID) and ?environment=
+app.get('/api/dashboard/:orgSlug/release-health', requireSentryScopes(FEATURE_SCOPES.releaseHealth), async (req, res) => {
+  try {
+    const { orgSlug } = req.params;
+    const { project } = req.query;
+    if (project && !/^-?\d+$/.test(project)) {
+      return res.status(400).json({ error: 'Invalid request', details: 'project must be a numeric project ID' });
     }
 
+    const releaseHealth = await sentryAPI.getReleaseHealth(orgSlug, sentryCredentials(req), {
+      ...parseTimeRange(req.query),
+      environments: parseEnvironmentFilters(req.query).environments,
+      projectId: project
+    });
+    sendJsonWithEtag(req, res, releaseHealth);
+  } catch (error) {
+    console.error('❌ Error fetching release health:', error);
+    sendSentryError(res, error, 'Failed to fetch release health');
+  }
+});
+
+// 🏅 Health grade per project, compared with the previous period of the same length
+// Takes the dashboard time range and ?environment=
+app.get('/api/dashboard/:orgSlug/scorecards', requireSentryScopes(FEATURE_SCOPES.scorecards), async (req, res) => {
+  try {
+    const { orgSlug } = req.params;
+
+    const scorecards = await sentryAPI.getProjectScorecards(orgSlug, sentryCredentials(req), {
+      ...parseTimeRange(req.query),
+      environments: parseEnvironmentFilters(req.query).environments
+    });
+    sendJsonWithEtag(req, res, scorecards);
+  } catch (error) {
+    console.error('❌ Error fetching project scorecards:', error);
+    sendSentryError(res, error, 'Failed to fetch project scorecards');
+  }
+});
+
+app.get('/api/dashboard/:orgSlug/issues', requireSentryScopes(FEATURE_SCOPES.issues), async (req, res) => {
+  try {
+    const { orgSlug } = req.params;
+
+    // ?query= (Sentry search syntax), ?sort=, ?environment= and ?project= (IDs, repeatable), ?release=
     const options = {
-      statsPeriod: req.query.statsPeriod || '14d',
-      limit: Math.min(parseInt(req.query.limit) || 100, 100)
+      ...parseTimeRange(req.query),
+      ...parseIssueFilters(req.query),
+      release: parseEnvironmentFilters(req.query).release,
+      limit: Math.min(parseInt(req.query.limit) || 100, 100), // per page - use nextCursor for more
+      cursor: req.query.cursor,
+      maxPages: 1
     };
 
-    const issues = await sentryAPI.getIssues(orgSlug, user.access_token, options);
-    res.json({ issues });
+    const { items: issues, nextCursor, hits } = await sentryAPI.getIssues(orgSlug, sentryCredentials(req), options);
+    sendJsonWithEtag(req, res, { issues, nextCursor, total: hits });
   } catch (error) {
     console.error('❌ Error fetching issues:', error);
-    res.status(500).json({ error: 'Failed to fetch issues', details: error.message });
+    sendSentryError(res, error, 'Failed to fetch issues');
   }
 });
 
-app.get('/api/dashboard/:orgSlug/alert-rules', requireAuth, async (req, res) => {
+// 💾 Saved issue filters, per user and organization (kept in the user store)
+const toPublicPreset = (preset) => ({
+  id: preset.id,
+  name: preset.name,
+  query: preset.query,
+  sort: preset.sort,
+  environments: preset.environments,
+  projectIds: preset.project_ids,
+  updatedAt: preset.updated_at
+});
+
+app.get('/api/dashboard/:orgSlug/issue-presets', requireAuth, async (req, res) => {
+  try {
+    const presets = await database.listIssuePresets(req.session.userId, req.params.orgSlug);
+    res.json({ presets: presets.map(toPublicPreset) });
+  } catch (error) {
+    console.error('❌ Error listing issue presets:', error);
+    res.status(500).json({ error: 'Failed to list issue presets' });
+  }
+});
+
+// Body: { name, query, sort, environment, project } - saving an existing name overwrites it
+app.post('/api/dashboard/:orgSlug/issue-presets', requireAuth, async (req, res) => {
   try {
     const { orgSlug } = req.params;
-    const user = await database.findUserById(req.session.userId);
-    
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No Sentry access token found' });
+    const preset = parseIssuePreset(requireBodyObject(req.body));
+
+    const existing = await database.listIssuePresets(req.session.userId, orgSlug);
+    if (existing.length >= MAX_PRESETS_PER_ORG && !existing.some(saved => saved.name === preset.name)) {
+      return res.status(400).json({ error: `At most ${MAX_PRESETS_PER_ORG} saved filters per organization` });
     }
 
-    const alertRules = await sentryAPI.getAlertRules(orgSlug, user.access_token);
-    res.json({ alertRules });
+    const saved = await database.saveIssuePreset(req.session.userId, orgSlug, preset);
+    res.status(201).json({ preset: toPublicPreset(saved) });
+  } catch (error) {
+    console.error('❌ Error saving issue preset:', error);
+    res.status(error.status === 400 ? 400 : 500).json({ error: 'Failed to save issue preset', details: error.message });
+  }
+});
+
+app.delete('/api/dashboard/:orgSlug/issue-presets/:presetId(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const deleted = await database.deleteIssuePreset(req.session.userId, Number(req.params.presetId));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    res.json({ message: 'Preset deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting issue preset:', error);
+    res.status(500).json({ error: 'Failed to delete issue preset' });
+  }
+});
+
+// 🔎 Issue detail: the issue, its latest event and its tags
+// (the \d+ pattern keeps anything but a numeric issue ID out of Sentry URL paths)
+app.get('/api/dashboard/:orgSlug/issues/:issueId(\\d+)', requireSentryScopes(FEATURE_SCOPES.issues), async (req, res) => {
+  try {
+    const { orgSlug, issueId } = req.params;
+
+    const issue = await sentryAPI.getIssue(orgSlug, issueId, sentryCredentials(req));
+    sendJsonWithEtag(req, res, { issue });
+  } catch (error) {
+    console.error('❌ Error fetching issue:', error);
+    sendSentryError(res, error, 'Failed to fetch issue', { issueId: req.params.issueId });
+  }
+});
+
+app.get('/api/dashboard/:orgSlug/issues/:issueId(\\d+)/events/latest', requireSentryScopes(FEATURE_SCOPES.issues), async (req, res) => {
+  try {
+    const { orgSlug, issueId } = req.params;
+
+    const event = await sentryAPI.getIssueLatestEvent(orgSlug, issueId, sentryCredentials(req));
+    sendJsonWithEtag(req, res, { event });
+  } catch (error) {
+    console.error('❌ Error fetching latest event:', error);
+    sendSentryError(res, error, 'Failed to fetch latest event', { issueId: req.params.issueId });
+  }
+});
+
+app.get('/api/dashboard/:orgSlug/issues/:issueId(\\d+)/tags', requireSentryScopes(FEATURE_SCOPES.issues), async (req, res) => {
+  try {
+    const { orgSlug, issueId } = req.params;
+
+    const tags = await sentryAPI.getIssueTags(orgSlug, issueId, sentryCredentials(req));
+    sendJsonWithEtag(req, res, { tags });
+  } catch (error) {
+    console.error('❌ Error fetching issue tags:', error);
+    sendSentryError(res, error, 'Failed to fetch issue tags', { issueId: req.params.issueId });
+  }
+});
+
+app.get('/api/dashboard/:orgSlug/issues/:issueId(\\d+)/tags/:tagKey/values', requireSentryScopes(FEATURE_SCOPES.issues), async (req, res) => {
+  try {
+    const { orgSlug, issueId, tagKey } = req.params;
+
+    const { items: values, nextCursor } = await sentryAPI.getIssueTagValues(orgSlug, issueId, tagKey, sentryCredentials(req), {
+      cursor: req.query.cursor,
+      maxPages: 1
+    });
+    sendJsonWithEtag(req, res, { tagKey, values, nextCursor });
+  } catch (error) {
+    console.error('❌ Error fetching issue tag values:', error);
+    sendSentryError(res, error, 'Failed to fetch issue tag values', { issueId: req.params.issueId });
+  }
+});
+
+// ✏️ Issue triage (needs event:write - the "triage" feature)
+// Body: { action, ...params } - see issue-actions.js for actions and their parameters
+app.put('/api/dashboard/:orgSlug/issues/:issueId(\\d+)', requireSentryScopes(FEATURE_SCOPES.triage), async (req, res) => {
+  try {
+    const { orgSlug, issueId } = req.params;
+    const changes = buildIssueUpdate(requireBodyObject(req.body));
+
+    console.log(`✏️  Updating issue ${issueId} in ${orgSlug}:`, changes);
+    const issue = await sentryAPI.updateIssue(orgSlug, issueId, changes, sentryCredentials(req));
+    res.json({ issue });
+  } catch (error) {
+    console.error('❌ Error updating issue:', error);
+    sendSentryError(res, error, 'Failed to update issue', { issueId: req.params.issueId });
+  }
+});
+
+// Bulk version: { issueIds: [...], action, ...params }
+app.put('/api/dashboard/:orgSlug/issues', requireSentryScopes(FEATURE_SCOPES.triage), async (req, res) => {
+  try {
+    const { orgSlug } = req.params;
+    const { issueIds, ...update } = requireBodyObject(req.body);
+    const ids = parseIssueIds(issueIds);
+    const changes = buildIssueUpdate(update);
+
+    console.log(`✏️  Updating ${ids.length} issue(s) in ${orgSlug}:`, changes);
+    const result = await sentryAPI.updateIssues(orgSlug, ids, changes, sentryCredentials(req));
+    res.json({ updated: ids, changes: result });
+  } catch (error) {
+    console.error('❌ Error updating issues:', error);
+    sendSentryError(res, error, 'Failed to update issues');
+  }
+});
+
+// 👥 Who issues can be assigned to: members as user:<id>, teams as team:<id>
+app.get('/api/dashboard/:orgSlug/assignees', requireSentryScopes(FEATURE_SCOPES.assignees), async (req, res) => {
+  try {
+    const { orgSlug } = req.params;
+    const credentials = sentryCredentials(req);
+
+    const [{ items: members }, { items: teams }] = await Promise.all([
+      sentryAPI.getMembers(orgSlug, credentials),
+      sentryAPI.getTeams(orgSlug, credentials)
+    ]);
+
+    sendJsonWithEtag(req, res, {
+      // Pending invites have no Sentry user yet, so they can't be assigned
+      members: members
+        .filter(member => member.user)
+        .map(member => ({ id: `user:${member.user.id}`, name: member.user.name || member.email, email: member.email })),
+      teams: teams.map(team => ({ id: `team:${team.id}`, name: `#${team.slug}` }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching assignees:', error);
+    sendSentryError(res, error, 'Failed to fetch assignees');
+  }
+});
+
+app.get('/api/dashboard/:orgSlug/alert-rules', requireSentryScopes(FEATURE_SCOPES.alerts), async (req, res) => {
+  try {
+    const { orgSlug } = req.params;
+
+    const alertRules = await sentryAPI.getAlertRules(orgSlug, sentryCredentials(req));
+    sendJsonWithEtag(req, res, { alertRules });
   } catch (error) {
     console.error('❌ Error fetching alert rules:', error);
-    res.status(500).json({ error: 'Failed to fetch alert rules' });
+    sendSentryError(res, error, 'Failed to fetch alert rules');
   }
 });
 
-app.get('/api/dashboard/:orgSlug/replays', requireAuth, async (req, res) => {
+// 👥 Teams: members, owned projects and open issues, plus unowned projects and teamless members
+app.get('/api/dashboard/:orgSlug/teams', requireSentryScopes(FEATURE_SCOPES.teams), async (req, res) => {
+  try {
+    const { orgSlug } = req.params;
+
+    const ownership = await sentryAPI.getTeamOwnership(orgSlug, sentryCredentials(req), parseTimeRange(req.query));
+    sendJsonWithEtag(req, res, ownership);
+  } catch (error) {
+    console.error('❌ Error fetching teams:', error);
+    sendSentryError(res, error, 'Failed to fetch teams');
+  }
+});
+
+// 🚨 Metric and issue alert rules together, with state, recent incidents and uncovered projects
+// Takes the dashboard time range plus ?type=metric|issue, ?state= and ?project= (slug)
+app.get('/api/dashboard/:orgSlug/alerts', requireSentryScopes(FEATURE_SCOPES.alerts), async (req, res) => {
+  try {
+    const { orgSlug } = req.params;
+
+    const overview = await sentryAPI.getAlertsOverview(orgSlug, sentryCredentials(req), {
+      ...parseTimeRange(req.query),
+      ...parseAlertFilters(req.query)
+    });
+    sendJsonWithEtag(req, res, overview);
+  } catch (error) {
+    console.error('❌ Error fetching alerts overview:', error);
+    sendSentryError(res, error, 'Failed to fetch alerts');
+  }
+});
+
+// ?project= (IDs, repeatable), ?user= (email or username) and ?hasErrors=true narrow the list
+app.get('/api/dashboard/:orgSlug/replays', requireSentryScopes(FEATURE_SCOPES.replays), async (req, res) => {
   try {
     const { orgSlug } = req.params;
-    const user = await database.findUserById(req.session.userId);
-    
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No Sentry access token found' });
-    }
 
     const options = {
-      statsPeriod: req.query.statsPeriod || '14d',
-      limit: req.query.limit || '100'
+      ...parseTimeRange(req.query),
+      ...parseEnvironmentFilters(req.query),
+      ...parseReplayFilters(req.query),
+      limit: req.query.limit || '100',
+      cursor: req.query.cursor,
+      maxPages: 1
     };
 
-    const replays = await sentryAPI.getReplays(orgSlug, user.access_token, options);
-    res.json({ replays });
+    const { items, nextCursor } = await sentryAPI.getReplays(orgSlug, sentryCredentials(req), options);
+    sendJsonWithEtag(req, res, { replays: items.map(summarizeReplay), nextCursor });
   } catch (error) {
     console.error('❌ Error fetching replays:', error);
-    res.status(500).json({ error: 'Failed to fetch replays' });
+    sendSentryError(res, error, 'Failed to fetch replays');
+  }
+});
+
+// 🎬 One replay: metadata, the issues its errors belong to and a link to Sentry's player
+app.get('/api/dashboard/:orgSlug/replays/:replayId([0-9a-f]{32})', requireSentryScopes(FEATURE_SCOPES.replays), async (req, res) => {
+  try {
+    const { orgSlug, replayId } = req.params;
+
+    const details = await sentryAPI.getReplayDetails(orgSlug, replayId, sentryCredentials(req));
+    sendJsonWithEtag(req, res, details);
+  } catch (error) {
+    console.error('❌ Error fetching replay:', error);
+    sendSentryError(res, error, 'Failed to fetch replay');
   }
 });
 
+// 🗄️ Response cache hit/miss stats
+app.get('/api/dashboard/cache-stats', requireAuth, (req, res) => {
+  res.json(sentryAPI.cache.getStats());
+});
+
 // 🔍 Debug endpoint to test individual API calls
-app.get('/api/debug/:orgSlug/:endpoint', requireAuth, async (req, res) => {
+const DEBUG_ENDPOINT_SCOPES = {
+  issues: FEATURE_SCOPES.issues,
+  replays: FEATURE_SCOPES.replays,
+  projects: FEATURE_SCOPES.projects,
+  members: FEATURE_SCOPES.members,
+  'alert-rules': FEATURE_SCOPES.alerts,
+  org: FEATURE_SCOPES.organizations
+};
+
+app.get('/api/debug/:orgSlug/:endpoint', (req, res, next) => {
+  requireSentryScopes(DEBUG_ENDPOINT_SCOPES[req.params.endpoint] || [])(req, res, next);
+}, async (req, res) => {
   try {
     const { orgSlug, endpoint } = req.params;
-    const user = await database.findUserById(req.session.userId);
-    
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No Sentry access token found' });
-    }
 
     console.log(`🔍 Debug endpoint called: ${endpoint} for org: ${orgSlug}`);
-    console.log(`🔑 Using access token: ${user.access_token.substring(0, 10)}...`);
+    // Always go to Sentry - this endpoint exists to test the live API
+    const credentials = sentryCredentials(req, { bypassCache: true });
     
     let result;
     switch (endpoint) {
       case 'issues':
-        result = await sentryAPI.getIssues(orgSlug, user.access_token, { limit: 10 });
+        result = await sentryAPI.getIssues(orgSlug, credentials, { limit: 10, maxPages: 1 });
         break;
       case 'replays':
-        result = await sentryAPI.getReplays(orgSlug, user.access_token, { limit: 10 });
+        result = await sentryAPI.getReplays(orgSlug, credentials, { limit: 10, maxPages: 1 });
         break;
       case 'projects':
-        result = await sentryAPI.getProjects(orgSlug, user.access_token);
+        result = await sentryAPI.getProjects(orgSlug, credentials);
         break;
       case 'members':
-        result = await sentryAPI.getMembers(orgSlug, user.access_token);
+        result = await sentryAPI.getMembers(orgSlug, credentials);
         break;
       case 'alert-rules':
-        result = await sentryAPI.getAlertRules(orgSlug, user.access_token);
+        result = await sentryAPI.getAlertRules(orgSlug, credentials);
         break;
       case 'org':
-        result = await sentryAPI.getOrganization(orgSlug, user.access_token);
+        result = await sentryAPI.getOrganization(orgSlug, credentials);
         break;
       default:
         return res.status(400).json({ error: 'Invalid endpoint. Use: issues, replays, projects, members, alert-rules, org' });
     }
     
+    // Paginated lists come back as { items, nextCursor, hits }
+    const data = result && Array.isArray(result.items) ? result.items : result;
     res.json({ 
       endpoint, 
       orgSlug,
-      count: Array.isArray(result) ? result.length : 'N/A',
-      data: result 
+      count: Array.isArray(data) ? data.length : 'N/A',
+      nextCursor: result?.nextCursor ?? null,
+      data 
     });
   } catch (error) {
     console.error('❌ Debug endpoint error:', error);
@@ -378,18 +926,12 @@ app.get('/api/debug/:orgSlug/:endpoint', requireAuth, async (req, res) => {
 });
 
 // 🔍 Test basic organizations endpoint to verify API access
-app.get('/api/test/organizations', requireAuth, async (req, res) => {
+app.get('/api/test/organizations', requireSentryScopes(FEATURE_SCOPES.organizations), async (req, res) => {
   try {
-    const user = await database.findUserById(req.session.userId);
-    
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No Sentry access token found' });
-    }
 
     console.log(`🧪 Testing basic organizations API access`);
-    console.log(`🔑 Access token length: ${user.access_token.length}`);
     
-    const organizations = await sentryAPI.getOrganizations(user.access_token);
+    const organizations = await sentryAPI.getOrganizations(sentryCredentials(req, { bypassCache: true }));
     
     res.json({ 
       success: true,
@@ -422,6 +964,10 @@ app.get('/api/demo/stats', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // express.json() rejects malformed bodies (including a bare null) with a 400
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body must be valid JSON' });
+  }
   console.error('❌ Unhandled error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -435,11 +981,13 @@ app.use((req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\n🛑 SIGTERM received, shutting down gracefully');
+  sessionStore.stopCleanup();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('\n🛑 SIGINT received, shutting down gracefully');
+  sessionStore.stopCleanup();
   process.exit(0);
 });
 
@@ -453,17 +1001,28 @@ app.listen(PORT, () => {
   console.log('');
   console.log('📋 Available endpoints:');
   console.log('   - GET  /health                           (Health check)');
+  console.log('   - GET  /api/auth/instances               (Sentry instances to sign in with)');
   console.log('   - GET  /api/auth/login                   (Start OAuth flow)');
   console.log('   - GET  /api/auth/callback                (OAuth callback)');
   console.log('   - GET  /api/auth/me                      (Get current user)');
   console.log('   - POST /api/auth/logout                  (Logout)');
+  console.log('   - DELETE /api/auth/connection            (Revoke token + end all sessions)');
+  console.log('   - GET  /api/auth/sessions                (List active sessions)');
+  console.log('   - DELETE /api/auth/sessions/:id          (End a session)');
   console.log('   - GET  /api/protected                    (Protected route example)');
   console.log('   - GET  /api/dashboard/organizations      (Get user\'s Sentry orgs)');
   console.log('   - GET  /api/dashboard/metrics/:orgSlug   (Get org dashboard metrics)');
   console.log('   - GET  /api/dashboard/:orgSlug/projects  (Get org projects)');
   console.log('   - GET  /api/dashboard/:orgSlug/issues    (Get org issues)');
+  console.log('   - GET  /api/dashboard/:orgSlug/issues/:issueId (Get issue details)');
+  console.log('   - GET  /api/dashboard/:orgSlug/issues/:issueId/events/latest (Get latest event)');
+  console.log('   - GET  /api/dashboard/:orgSlug/issues/:issueId/tags (Get issue tags)');
+  console.log('   - PUT  /api/dashboard/:orgSlug/issues[/:issueId] (Resolve/ignore/assign/bookmark issues)');
+  console.log('   - GET  /api/dashboard/:orgSlug/assignees (Members and teams to assign issues to)');
+  console.log('   - GET/POST/DELETE /api/dashboard/:orgSlug/issue-presets (Saved issue filters)');
   console.log('   - GET  /api/dashboard/:orgSlug/alert-rules (Get org alert rules)');
   console.log('   - GET  /api/dashboard/:orgSlug/replays   (Get org replays)');
+  console.log('   - GET  /api/dashboard/cache-stats        (Response cache hit/miss stats)');
   console.log('   - GET  /api/demo/stats                   (User storage stats)');
   console.log('');
   console.log('🚀 Ready to demonstrate Sentry OAuth authentication!');
@@ -0,0 +1,187 @@
+/**
+ * 🎯 ALERT RULES OVERVIEW
+ *
+ * Sentry keeps two kinds of alert rules in two places:
+ *
+ * - metric alerts: per organization (/alert-rules/), firing incidents that
+ *   move through warning/critical until they resolve
+ * - issue alerts:  per project (/projects/:org/:project/rules/), firing
+ *   actions when an issue matches; Sentry only tells us when one last fired
+ *
+ * This module merges both into one list of rules with a current state and
+ * recent activity, filters it, and finds projects no rule covers.
+ *
+ * 📚 https://docs.sentry.io/api/alerts/
+ */
+
+const { badRequest } = require('./request-params');
+
+const ALERT_TYPES = ['metric', 'issue'];
+
+// What each rule's state means:
+// critical / warning - a metric alert has an open incident at that level
+// triggered          - an issue alert fired within the time range
+// ok                 - enabled, nothing firing
+// disabled           - turned off in Sentry
+const ALERT_STATES = ['critical', 'warning', 'triggered', 'ok', 'disabled'];
+
+// Sentry's AlertRuleStatus for a metric rule that was turned off
+const METRIC_RULE_DISABLED = 5;
+
+// Sentry's incident statuses
+const INCIDENT_STATUS = { 1: 'open', 2: 'resolved', 10: 'warning', 20: 'critical' };
+
+// Incidents kept per metric rule, newest first
+const MAX_INCIDENTS_PER_RULE = 5;
+
+/**
+ * 🔍 Read type / state / project (slug) from a query string
+ */
+function parseAlertFilters(input = {}) {
+  const type = input.type || null;
+  if (type && !ALERT_TYPES.includes(type)) {
+    throw badRequest(`Unknown type "${type}". Use one of: ${ALERT_TYPES.join(', ')}`);
+  }
+
+  const state = input.state || null;
+  if (state && !ALERT_STATES.includes(state)) {
+    throw badRequest(`Unknown state "${state}". Use one of: ${ALERT_STATES.join(', ')}`);
+  }
+
+  return { type, state, project: input.project ? String(input.project) : null };
+}
+
+function summarizeIncident(incident) {
+  return {
+    id: String(incident.id),
+    identifier: incident.identifier,
+    title: incident.title,
+    status: INCIDENT_STATUS[incident.status] || 'open',
+    dateStarted: incident.dateStarted || null,
+    dateClosed: incident.dateClosed || null
+  };
+}
+
+/**
+ * 📈 A metric alert rule with its incidents in the time range
+ * State comes from the newest open incident; closed incidents leave the rule "ok".
+ */
+function summarizeMetricRule(rule, incidents = []) {
+  const recent = incidents
+    .map(summarizeIncident)
+    .sort((a, b) => new Date(b.dateStarted) - new Date(a.dateStarted));
+  const open = recent.find(incident => !incident.dateClosed && incident.status !== 'resolved');
+
+  let state = 'ok';
+  if (rule.status === METRIC_RULE_DISABLED || rule.snooze) {
+    state = 'disabled';
+  } else if (open) {
+    state = open.status === 'warning' ? 'warning' : 'critical';
+  }
+
+  return {
+    id: `metric:${rule.id}`,
+    type: 'metric',
+    name: rule.name,
+    projects: rule.projects || [],
+    environment: rule.environment || null,
+    condition: rule.aggregate ? `${rule.aggregate}${rule.query ? ` where ${rule.query}` : ''}` : null,
+    state,
+    lastTriggered: recent.length > 0 ? recent[0].dateStarted : null,
+    incidents: recent.slice(0, MAX_INCIDENTS_PER_RULE)
+  };
+}
+
+/**
+ * 🔔 An issue alert rule of one project
+ * `since` is the start of the time range: a rule that fired after it is "triggered".
+ */
+function summarizeIssueRule(rule, projectSlug, since) {
+  const lastTriggered = rule.lastTriggered || null;
+
+  let state = 'ok';
+  if (rule.status === 'disabled' || rule.snooze) {
+    state = 'disabled';
+  } else if (lastTriggered && new Date(lastTriggered) >= since) {
+    state = 'triggered';
+  }
+
+  return {
+    id: `issue:${rule.id}`,
+    type: 'issue',
+    name: rule.name,
+    projects: [projectSlug],
+    environment: rule.environment || null,
+    condition: (rule.conditions || []).map(condition => condition.name).filter(Boolean).join('; ') || null,
+    state,
+    lastTriggered,
+    incidents: []
+  };
+}
+
+/**
+ * 🔀 Merge metric rules, issue rules per project and incidents into one list
+ *
+ * metricRules        - org alert rules
+ * issueRulesByProject - { [projectSlug]: rules }
+ * incidents          - org incidents in the time range (matched by alertRule.id)
+ * since              - start of the time range
+ *
+ * Firing rules come first, then by name.
+ */
+function mergeAlertRules({ metricRules = [], issueRulesByProject = {}, incidents = [], since }) {
+  const incidentsByRule = new Map();
+  incidents.forEach(incident => {
+    const ruleId = incident.alertRule && String(incident.alertRule.id);
+    if (ruleId) {
+      incidentsByRule.set(ruleId, [...(incidentsByRule.get(ruleId) || []), incident]);
+    }
+  });
+
+  const rules = [
+    ...metricRules.map(rule => summarizeMetricRule(rule, incidentsByRule.get(String(rule.id)))),
+    ...Object.entries(issueRulesByProject).flatMap(([projectSlug, projectRules]) =>
+      projectRules.map(rule => summarizeIssueRule(rule, projectSlug, since))
+    )
+  ];
+
+  return rules.sort((a, b) =>
+    ALERT_STATES.indexOf(a.state) - ALERT_STATES.indexOf(b.state) || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * 🧹 Apply { type, state, project } to merged rules
+ */
+function filterAlertRules(rules, { type, state, project } = {}) {
+  return rules.filter(rule =>
+    (!type || rule.type === type) &&
+    (!state || rule.state === state) &&
+    (!project || rule.projects.includes(project))
+  );
+}
+
+/**
+ * 🕳️ Projects with no enabled rule of either kind
+ * A metric rule with no projects listed covers the whole organization.
+ */
+function findUnalertedProjects(projects, rules) {
+  const enabled = rules.filter(rule => rule.state !== 'disabled');
+  if (enabled.some(rule => rule.type === 'metric' && rule.projects.length === 0)) {
+    return [];
+  }
+
+  const covered = new Set(enabled.flatMap(rule => rule.projects));
+  return projects
+    .filter(project => !covered.has(project.slug))
+    .map(project => ({ id: String(project.id), slug: project.slug, name: project.name, platform: project.platform || null }));
+}
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_STATES,
+  parseAlertFilters,
+  mergeAlertRules,
+  filterAlertRules,
+  findUnalertedProjects
+};
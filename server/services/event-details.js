@@ -0,0 +1,98 @@
+/**
+ * 🎯 EVENT DETAILS
+ *
+ * A Sentry event keeps its interesting parts in `entries`, a list of
+ * { type, data } blocks (exception, breadcrumbs, request, ...). This module pulls
+ * out what the issue detail page shows so the frontend never has to know
+ * about entry types:
+ *
+ * - exceptions: type, value and stack frames (innermost call last, like Python)
+ * - breadcrumbs: what happened right before the error
+ *
+ * 📚 https://develop.sentry.dev/sdk/data-model/event-payloads/
+ */
+
+// Breadcrumb trails can run to hundreds of entries; the last ones matter most
+const MAX_BREADCRUMBS = 100;
+
+function findEntry(event, type) {
+  return (event.entries || []).find(entry => entry.type === type)?.data || null;
+}
+
+/**
+ * 🧱 Keep the frame fields the stack trace view needs
+ */
+function toFrame(frame) {
+  return {
+    filename: frame.filename || frame.absPath || frame.module || null,
+    function: frame.function || null,
+    module: frame.module || null,
+    lineNo: frame.lineNo ?? null,
+    colNo: frame.colNo ?? null,
+    inApp: Boolean(frame.inApp),
+    // [[lineNo, source], ...] around the failing line
+    context: Array.isArray(frame.context) ? frame.context : []
+  };
+}
+
+/**
+ * 💥 Exceptions from an event, the one finally raised first (chained causes follow)
+ */
+function extractExceptions(event) {
+  const exception = findEntry(event, 'exception');
+  const values = exception && Array.isArray(exception.values) ? exception.values : [];
+
+  return values.map(value => ({
+    type: value.type || 'Error',
+    value: value.value || '',
+    module: value.module || null,
+    mechanism: value.mechanism ? { type: value.mechanism.type, handled: value.mechanism.handled } : null,
+    frames: (value.stacktrace?.frames || []).map(toFrame)
+  })).reverse();
+}
+
+/**
+ * 🍞 The last MAX_BREADCRUMBS breadcrumbs, oldest first
+ */
+function extractBreadcrumbs(event) {
+  const breadcrumbs = findEntry(event, 'breadcrumbs');
+  const values = breadcrumbs && Array.isArray(breadcrumbs.values) ? breadcrumbs.values : [];
+
+  return values.slice(-MAX_BREADCRUMBS).map(crumb => ({
+    timestamp: crumb.timestamp || null,
+    type: crumb.type || 'default',
+    category: crumb.category || null,
+    level: crumb.level || 'info',
+    message: crumb.message || null,
+    data: crumb.data || null
+  }));
+}
+
+/**
+ * 🧹 The parts of an event the issue detail page shows
+ */
+function summarizeEvent(event) {
+  if (!event) {
+    return null;
+  }
+
+  return {
+    id: event.eventID || event.id,
+    title: event.title,
+    message: event.message || null,
+    platform: event.platform || null,
+    dateCreated: event.dateCreated || null,
+    user: event.user || null,
+    tags: event.tags || [],
+    release: event.release?.version || null,
+    environment: (event.tags || []).find(tag => tag.key === 'environment')?.value || null,
+    exceptions: extractExceptions(event),
+    breadcrumbs: extractBreadcrumbs(event)
+  };
+}
+
+module.exports = {
+  extractExceptions,
+  extractBreadcrumbs,
+  summarizeEvent
+};
@@ -0,0 +1,90 @@
+/**
+ * 🎯 EVENT VOLUME TIME SERIES
+ *
+ * Sentry's events-stats endpoint answers in a few different shapes:
+ *
+ * - one series:      { data: [[unixSeconds, [{ count }]], ...] }
+ * - grouped (top N): { "<group>": { data: [...], order: 0 }, ... }
+ *
+ * This module keeps the list of yAxis values the dashboard offers and turns
+ * any of those responses into plain series of [{ timestamp, count }].
+ *
+ * 📚 https://docs.sentry.io/api/discover/retrieve-event-statistics-for-an-organization/
+ */
+
+const { badRequest } = require('./request-params');
+
+// yAxis values the dashboard offers; failure_rate() only makes sense for transactions
+const Y_AXIS_OPTIONS = {
+  'count()': { label: 'Events', query: '' },
+  'count_unique(user)': { label: 'Unique users', query: '' },
+  'failure_rate()': { label: 'Failure rate', query: 'event.type:transaction' }
+};
+const DEFAULT_Y_AXIS = 'count()';
+
+const GROUP_BY_OPTIONS = ['project'];
+// How many groups Sentry breaks out; the rest come back as "Other"
+const TOP_EVENTS = 5;
+
+/**
+ * 🔍 Read yAxis / groupBy from a query string (defaults: count(), no grouping)
+ * Throws a 400-style error for values the dashboard doesn't support.
+ */
+function parseEventStatsOptions(query = {}) {
+  const yAxis = query.yAxis || DEFAULT_Y_AXIS;
+  // Own keys only, so "toString" or "constructor" can't pass as a yAxis
+  if (typeof yAxis !== 'string' || !Object.hasOwn(Y_AXIS_OPTIONS, yAxis)) {
+    throw badRequest(`Unsupported yAxis "${yAxis}" (expected one of ${Object.keys(Y_AXIS_OPTIONS).join(', ')})`);
+  }
+
+  const groupBy = query.groupBy || null;
+  if (groupBy && !GROUP_BY_OPTIONS.includes(groupBy)) {
+    throw badRequest(`Unsupported groupBy "${groupBy}" (expected ${GROUP_BY_OPTIONS.join(', ')})`);
+  }
+
+  return { yAxis, groupBy };
+}
+
+/**
+ * 📈 [[unixSeconds, [{ count }]], ...] -> [{ timestamp, count }]
+ * Empty buckets come back as null from Sentry; they're reported as 0.
+ */
+function toPoints(data) {
+  return (Array.isArray(data) ? data : []).map(([seconds, values]) => ({
+    timestamp: new Date(seconds * 1000).toISOString(),
+    count: (Array.isArray(values) ? values : []).reduce((sum, value) => sum + (Number(value?.count) || 0), 0)
+  }));
+}
+
+/**
+ * 🧹 Turn an events-stats response into { yAxis, label, groupBy, series }
+ * where series is [{ name, data: [{ timestamp, count }] }], largest group first
+ */
+function normalizeEventStats(response, { yAxis = DEFAULT_Y_AXIS, groupBy = null } = {}) {
+  const result = { yAxis, label: Y_AXIS_OPTIONS[yAxis]?.label || yAxis, groupBy, series: [] };
+
+  if (!response || typeof response !== 'object') {
+    return result;
+  }
+
+  // Ungrouped, or a grouped query that matched nothing
+  if (Array.isArray(response.data)) {
+    result.series = [{ name: groupBy ? 'Other' : result.label, data: toPoints(response.data) }];
+    return result;
+  }
+
+  result.series = Object.entries(response)
+    .filter(([, group]) => group && Array.isArray(group.data))
+    .sort(([, a], [, b]) => (a.order ?? Infinity) - (b.order ?? Infinity))
+    .map(([name, group]) => ({ name, data: toPoints(group.data) }));
+
+  return result;
+}
+
+module.exports = {
+  Y_AXIS_OPTIONS,
+  DEFAULT_Y_AXIS,
+  TOP_EVENTS,
+  parseEventStatsOptions,
+  normalizeEventStats
+};
@@ -0,0 +1,85 @@
+/**
+ * 🎯 ISSUE TRIAGE ACTIONS
+ *
+ * The dashboard offers a handful of triage actions; Sentry takes all of them
+ * as a PUT to the issue (or bulk issues) endpoint with a partial update body.
+ * This module turns { action, ...params } from the client into that body and
+ * rejects anything else before it reaches Sentry.
+ *
+ * Needs the event:write scope (the "triage" feature in scopes.js).
+ *
+ * 📚 https://docs.sentry.io/api/events/bulk-mutate-a-list-of-organization-issues/
+ */
+
+const { badRequest } = require('./request-params');
+
+// Sentry's bulk endpoint caps how many IDs one request may touch
+const MAX_BULK_ISSUES = 100;
+
+// "user:<id>" or "team:<id>", as listed by the assignees route
+const ASSIGNEE_PATTERN = /^(user|team):\d+$/;
+
+const ACTIONS = {
+  resolve: () => ({ status: 'resolved' }),
+  unresolve: () => ({ status: 'unresolved' }),
+
+  // ignoreDuration is in minutes; leave it out to ignore until the user unignores
+  ignore: ({ ignoreDuration }) => {
+    if (ignoreDuration === undefined || ignoreDuration === null || ignoreDuration === '') {
+      return { status: 'ignored', statusDetails: {} };
+    }
+    const minutes = Number(ignoreDuration);
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+      throw badRequest('ignoreDuration must be a positive number of minutes');
+    }
+    return { status: 'ignored', statusDetails: { ignoreDuration: minutes } };
+  },
+
+  assign: ({ assignee }) => {
+    if (!ASSIGNEE_PATTERN.test(String(assignee || ''))) {
+      throw badRequest('assignee must look like "user:<id>" or "team:<id>"');
+    }
+    return { assignedTo: assignee };
+  },
+  unassign: () => ({ assignedTo: '' }),
+
+  bookmark: () => ({ isBookmarked: true }),
+  unbookmark: () => ({ isBookmarked: false })
+};
+
+/**
+ * 🧮 Build the Sentry update body for an action
+ * Throws a 400-style error for unknown actions or bad parameters.
+ */
+function buildIssueUpdate({ action, ...params } = {}) {
+  // Own keys only: "constructor" or "toString" must not reach Sentry as an action
+  if (typeof action !== 'string' || !Object.hasOwn(ACTIONS, action)) {
+    throw badRequest(`Unknown action "${action}". Use one of: ${Object.keys(ACTIONS).join(', ')}`);
+  }
+  return ACTIONS[action](params);
+}
+
+/**
+ * 🔢 Check a list of issue IDs for a bulk update
+ */
+function parseIssueIds(issueIds) {
+  if (!Array.isArray(issueIds) || issueIds.length === 0) {
+    throw badRequest('issueIds must be a non-empty array');
+  }
+  if (issueIds.length > MAX_BULK_ISSUES) {
+    throw badRequest(`At most ${MAX_BULK_ISSUES} issues can be updated at once`);
+  }
+
+  const ids = [...new Set(issueIds.map(String))];
+  if (ids.some(id => !/^\d+$/.test(id))) {
+    throw badRequest('issueIds must be numeric issue IDs');
+  }
+  return ids;
+}
+
+module.exports = {
+  ISSUE_ACTIONS: Object.keys(ACTIONS),
+  MAX_BULK_ISSUES,
+  buildIssueUpdate,
+  parseIssueIds
+};
@@ -0,0 +1,99 @@
+/**
+ * 🎯 ISSUE SEARCH + SAVED FILTERS
+ *
+ * The issues list takes Sentry's own search syntax (`is:unresolved level:error`)
+ * plus a sort order, environments and projects. This module reads those from a
+ * request and validates the saved filter presets users keep in the user store.
+ * The environment/release filters are shared with the rest of the dashboard.
+ *
+ * 📚 Search syntax: https://docs.sentry.io/concepts/search/
+ */
+
+const { badRequest, toList } = require('./request-params');
+
+// Sort orders Sentry's issue search understands
+const ISSUE_SORTS = ['date', 'new', 'freq', 'user', 'priority'];
+const DEFAULT_ISSUE_SORT = 'date';
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_RELEASE_LENGTH = 200;
+const MAX_PRESET_NAME_LENGTH = 80;
+// Keeps one user from filling the store
+const MAX_PRESETS_PER_ORG = 50;
+
+/**
+ * 🔍 Read query / sort / environment / project from a query string or preset
+ *
+ * Returns { query, sort, environments, projectIds }; projects are numeric IDs.
+ * Throws a 400-style error for unknown sorts or malformed values.
+ */
+function parseIssueFilters(input = {}) {
+  const query = String(input.query || '').trim();
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw badRequest(`query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const sort = input.sort || DEFAULT_ISSUE_SORT;
+  if (!ISSUE_SORTS.includes(sort)) {
+    throw badRequest(`Unknown sort "${sort}". Use one of: ${ISSUE_SORTS.join(', ')}`);
+  }
+
+  const projectIds = toList(input.project);
+  if (projectIds.some(id => !/^-?\d+$/.test(id))) {
+    throw badRequest('project must be a numeric project ID');
+  }
+
+  return { query, sort, environments: toList(input.environment), projectIds };
+}
+
+/**
+ * 🌍 Read environment (repeatable) and release from a query string
+ * Returns { environments, release } with release null when not given.
+ */
+function parseEnvironmentFilters(input = {}) {
+  const release = input.release ? String(input.release).trim() : null;
+  if (release && release.length > MAX_RELEASE_LENGTH) {
+    throw badRequest(`release must be at most ${MAX_RELEASE_LENGTH} characters`);
+  }
+  return { environments: toList(input.environment), release: release || null };
+}
+
+/**
+ * 🔗 Combine search terms into one Sentry query, adding release:"<version>" if given
+ * Sentry has no release parameter on these endpoints; it's filtered through search.
+ */
+function buildSearchQuery(query, release) {
+  const terms = [];
+  if (query) {
+    terms.push(query);
+  }
+  if (release) {
+    terms.push(`release:"${release.replace(/(["\\])/g, '\\$1')}"`);
+  }
+  return terms.join(' ');
+}
+
+/**
+ * 💾 Validate a preset from the client: a name plus the filters it applies
+ */
+function parseIssuePreset(body = {}) {
+  const name = String(body.name || '').trim();
+  if (!name) {
+    throw badRequest('Preset name is required');
+  }
+  if (name.length > MAX_PRESET_NAME_LENGTH) {
+    throw badRequest(`Preset name must be at most ${MAX_PRESET_NAME_LENGTH} characters`);
+  }
+
+  return { name, ...parseIssueFilters(body) };
+}
+
+module.exports = {
+  ISSUE_SORTS,
+  DEFAULT_ISSUE_SORT,
+  MAX_PRESETS_PER_ORG,
+  parseIssueFilters,
+  parseIssuePreset,
+  parseEnvironmentFilters,
+  buildSearchQuery
+};
@@ -0,0 +1,109 @@
+/**
+ * 🎯 ALL-ORGANIZATIONS OVERVIEW
+ *
+ * Engineers often belong to several Sentry organizations. The overview runs
+ * the dashboard metrics for each of them - a few at a time, so one user
+ * can't flood Sentry or our request queue - and reduces every org to one row
+ * of health numbers plus combined totals.
+ *
+ * One org failing (no access, deleted, Sentry errors) never fails the others:
+ * its row just says what went wrong.
+ */
+
+// How many organizations are fetched at once (each one is several Sentry calls)
+const DEFAULT_ORG_CONCURRENCY = 2;
+
+const TOTAL_KEYS = ['projects', 'members', 'issues', 'errorIssues', 'alertRules', 'replays'];
+
+/**
+ * 🚦 Like Promise.allSettled(items.map(fn)), with at most `limit` calls running at once
+ */
+async function settleWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * 📋 One row for an org from its getDashboardMetrics() result (or the error it threw)
+ *
+ * status: ok, partial (some endpoints failed), forbidden (no access to the org)
+ * or failed. Rows that aren't ok carry an error message.
+ */
+function summarizeOrgMetrics(organization, settled) {
+  const row = {
+    slug: organization.slug,
+    name: organization.name || organization.slug,
+    status: 'ok',
+    error: null,
+    totals: null,
+    totalEvents: null
+  };
+
+  if (settled.status === 'rejected') {
+    return { ...row, status: settled.reason.status === 403 ? 'forbidden' : 'failed', error: settled.reason.message };
+  }
+
+  const metrics = settled.value;
+  const failures = metrics.failedEndpoints || [];
+  // Without the org itself (or with the fallback result) there's nothing to show
+  const orgFailure = failures.find(failure => failure.endpoint === 'organization');
+  if (metrics.error || orgFailure) {
+    const status = orgFailure && [401, 403].includes(orgFailure.status) ? 'forbidden' : 'failed';
+    return { ...row, status, error: metrics.error || orgFailure.message };
+  }
+
+  const byLevel = metrics.metrics.issuesByLevel || {};
+  return {
+    ...row,
+    status: failures.length > 0 ? 'partial' : 'ok',
+    error: failures.length > 0 ? `Could not load: ${failures.map(failure => failure.endpoint).join(', ')}` : null,
+    totals: {
+      projects: metrics.metrics.totalProjects,
+      members: metrics.metrics.totalMembers,
+      issues: metrics.metrics.totalIssues,
+      errorIssues: (byLevel.error || 0) + (byLevel.fatal || 0),
+      alertRules: metrics.metrics.totalAlertRules,
+      replays: metrics.metrics.totalReplays
+    },
+    totalEvents: metrics.metrics.projectStats?.totalEvents ?? null
+  };
+}
+
+/**
+ * ➕ Add up the rows that have numbers
+ */
+function combineOrgTotals(rows) {
+  const totals = Object.fromEntries(TOTAL_KEYS.map(key => [key, 0]));
+  rows.filter(row => row.totals).forEach(row => {
+    TOTAL_KEYS.forEach(key => {
+      totals[key] += row.totals[key] || 0;
+    });
+  });
+
+  return {
+    ...totals,
+    organizations: rows.length,
+    failedOrganizations: rows.filter(row => row.status === 'forbidden' || row.status === 'failed').length
+  };
+}
+
+module.exports = {
+  DEFAULT_ORG_CONCURRENCY,
+  settleWithConcurrency,
+  summarizeOrgMetrics,
+  combineOrgTotals
+};
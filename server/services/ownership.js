@@ -0,0 +1,85 @@
+/**
+ * 🎯 TEAMS + OWNERSHIP
+ *
+ * Who owns what, from three lists we can already read with the login scopes:
+ *
+ * - teams    (team:read)    - name and member count
+ * - projects (project:read) - each project's owning `teams`
+ * - members  (member:read)  - each member's `teams` (slugs)
+ *
+ * This module joins them per team and flags the gaps: projects no team owns
+ * and members who belong to no team. Pending invites haven't joined yet, so
+ * they're listed per team but never reported as teamless.
+ *
+ * 📚 https://docs.sentry.io/api/teams/
+ */
+
+// A member's team slugs; newer Sentry versions only send teamRoles
+function memberTeamSlugs(member) {
+  if (Array.isArray(member.teams)) {
+    return member.teams;
+  }
+  return (member.teamRoles || []).map(teamRole => teamRole.teamSlug);
+}
+
+function summarizeMember(member) {
+  return {
+    id: String(member.id),
+    name: member.user?.name || member.name || member.email,
+    email: member.email || null,
+    role: member.orgRole || member.role || null,
+    pending: Boolean(member.pending)
+  };
+}
+
+function summarizeProject(project) {
+  return { id: String(project.id), slug: project.slug, name: project.name, platform: project.platform || null };
+}
+
+/**
+ * 👥 Join teams, members and projects
+ *
+ * openIssuesByTeam is { [teamSlug]: count } of unresolved issues in the team's projects.
+ * Resolves to { teams, unownedProjects, teamlessMembers }; teams are sorted by open
+ * issues, then name. Each team is { id, slug, name, members, projects, openIssues }.
+ */
+function buildTeamOwnership({ teams = [], members = [], projects = [], openIssuesByTeam = {} }) {
+  const membersByTeam = new Map();
+  members.forEach(member => {
+    memberTeamSlugs(member).forEach(slug => {
+      membersByTeam.set(slug, [...(membersByTeam.get(slug) || []), summarizeMember(member)]);
+    });
+  });
+
+  const projectsByTeam = new Map();
+  projects.forEach(project => {
+    (project.teams || []).forEach(team => {
+      projectsByTeam.set(team.slug, [...(projectsByTeam.get(team.slug) || []), summarizeProject(project)]);
+    });
+  });
+
+  const ownership = teams
+    .map(team => ({
+      id: String(team.id),
+      slug: team.slug,
+      name: team.name || team.slug,
+      members: membersByTeam.get(team.slug) || [],
+      projects: projectsByTeam.get(team.slug) || [],
+      openIssues: openIssuesByTeam[team.slug] ?? null
+    }))
+    .sort((a, b) => (b.openIssues || 0) - (a.openIssues || 0) || a.name.localeCompare(b.name));
+
+  return {
+    teams: ownership,
+    unownedProjects: projects
+      .filter(project => !project.teams || project.teams.length === 0)
+      .map(summarizeProject),
+    teamlessMembers: members
+      .filter(member => !member.pending && memberTeamSlugs(member).length === 0)
+      .map(summarizeMember)
+  };
+}
+
+module.exports = {
+  buildTeamOwnership
+};
@@ -0,0 +1,218 @@
+/**
+ * 🎯 PROJECT HEALTH SCORECARDS
+ *
+ * One card per project comparing the selected time range with the window of
+ * the same length right before it:
+ *
+ * - issues by level:  distinct issues with error events in the window (Discover)
+ * - new issues:       issues first seen in the window
+ * - regressed issues: issues Sentry marks regressed that were seen in the window
+ * - events / users:   error events and distinct users they hit (Discover)
+ *
+ * Every project starts at a score of 100 and loses points (each kind capped) for
+ * fatal and error issues, new and regressed issues, and growth in events or
+ * affected users. The score maps onto a grade scale, configurable with
+ * SENTRY_SCORECARD_GRADES as "grade:minimum score" pairs, e.g. "A:90,B:80,C:70,D:60,F:0".
+ *
+ * 📚 https://docs.sentry.io/api/discover/query-discover-events-in-table-format/
+ */
+
+const LEVELS = ['fatal', 'error', 'warning', 'info', 'debug'];
+
+const DEFAULT_GRADE_SCALE = 'A:90,B:80,C:70,D:60,F:0';
+
+// Page budgets per period, so a huge org can't turn one scorecard request into hundreds of calls
+const MAX_ISSUE_PAGES = 3;
+const MAX_EVENT_PAGES = 5;
+
+// Growth in events or users is counted in steps of this many percent
+const GROWTH_STEP_PERCENT = 10;
+
+// Points taken off per unit (issue or growth step), and the most each kind can take off
+const DEDUCTIONS = {
+  fatalIssues: { reason: 'fatal issues', perUnit: 10, max: 30 },
+  errorIssues: { reason: 'error issues', perUnit: 2, max: 20 },
+  newIssues: { reason: 'new issues', perUnit: 3, max: 15 },
+  regressedIssues: { reason: 'regressed issues', perUnit: 5, max: 15 },
+  eventGrowth: { reason: 'more events than the previous period', perUnit: 2, max: 10 },
+  userGrowth: { reason: 'more users affected than the previous period', perUnit: 2, max: 10 }
+};
+
+/**
+ * 🏅 Parse a grade scale like "A:90,B:80,F:0" into [{ grade, minScore }], best grade first
+ *
+ * Scores run from 0 to 100, so the scale needs a grade with minimum 0. Throws on a
+ * malformed scale rather than grading against something nobody configured.
+ */
+function parseGradeScale(value = DEFAULT_GRADE_SCALE) {
+  const scale = String(value).split(',').map(entry => {
+    const [grade, minScore] = entry.split(':').map(part => part.trim());
+    return { grade, minScore: minScore === '' ? NaN : Number(minScore) };
+  });
+
+  const valid = scale.every(({ grade, minScore }) => grade && minScore >= 0 && minScore <= 100)
+    && scale.some(({ minScore }) => minScore === 0)
+    && new Set(scale.map(({ grade }) => grade)).size === scale.length;
+  if (!valid) {
+    throw new Error(`Invalid grade scale "${value}" (expected e.g. ${DEFAULT_GRADE_SCALE})`);
+  }
+
+  return scale.sort((a, b) => b.minScore - a.minScore);
+}
+
+/**
+ * 🏅 Load the grade scale from SENTRY_SCORECARD_GRADES (or the default) once, at startup
+ */
+function loadGradeScale() {
+  try {
+    return parseGradeScale(process.env.SENTRY_SCORECARD_GRADES || DEFAULT_GRADE_SCALE);
+  } catch (error) {
+    throw new Error(`❌ SENTRY_SCORECARD_GRADES: ${error.message}`);
+  }
+}
+
+const GRADE_SCALE = loadGradeScale();
+
+function emptyPeriod() {
+  return {
+    issuesByLevel: Object.fromEntries(LEVELS.map(level => [level, 0])),
+    newIssues: 0,
+    regressedIssues: 0,
+    events: 0,
+    usersAffected: 0
+  };
+}
+
+/**
+ * 🧮 One period's raw Sentry results, summed per project
+ *
+ * levelRows: Discover rows of project.id, level, count_unique(issue)
+ * totalRows: Discover rows of project.id, count(), count_unique(user)
+ * newIssues / regressedIssues: issue lists
+ *
+ * Returns Map<projectId, { issuesByLevel, newIssues, regressedIssues, events, usersAffected }>
+ */
+function summarizePeriod({ levelRows = [], totalRows = [], newIssues = [], regressedIssues = [] }) {
+  const byProject = new Map();
+  const forProject = id => {
+    const key = String(id);
+    if (!byProject.has(key)) {
+      byProject.set(key, emptyPeriod());
+    }
+    return byProject.get(key);
+  };
+
+  levelRows.forEach(row => {
+    // Events without a known level are errors as far as Sentry's issue list is concerned
+    const level = LEVELS.includes(row.level) ? row.level : 'error';
+    forProject(row['project.id']).issuesByLevel[level] += row['count_unique(issue)'] || 0;
+  });
+  totalRows.forEach(row => {
+    const period = forProject(row['project.id']);
+    period.events += row['count()'] || 0;
+    period.usersAffected += row['count_unique(user)'] || 0;
+  });
+  newIssues.filter(issue => issue.project?.id).forEach(issue => {
+    forProject(issue.project.id).newIssues++;
+  });
+  regressedIssues.filter(issue => issue.project?.id).forEach(issue => {
+    forProject(issue.project.id).regressedIssues++;
+  });
+
+  return byProject;
+}
+
+/**
+ * 📈 { current, previous, change }: change is the percent difference, null without a baseline
+ */
+function compare(current, previous) {
+  return {
+    current,
+    previous,
+    change: previous > 0 ? Math.round(((current - previous) / previous) * 100) : null
+  };
+}
+
+function growthSteps(change) {
+  return change > 0 ? Math.floor(change / GROWTH_STEP_PERCENT) : 0;
+}
+
+/**
+ * 💯 Score a project's current period: { score, deductions: [{ reason, points }] }
+ * Growth only counts when there's a previous period to grow from.
+ */
+function scoreProject(current, eventsChange, usersChange) {
+  const units = {
+    fatalIssues: current.issuesByLevel.fatal,
+    errorIssues: current.issuesByLevel.error,
+    newIssues: current.newIssues,
+    regressedIssues: current.regressedIssues,
+    eventGrowth: growthSteps(eventsChange),
+    userGrowth: growthSteps(usersChange)
+  };
+
+  const deductions = Object.entries(DEDUCTIONS)
+    .map(([key, rule]) => ({ reason: rule.reason, points: Math.min(rule.max, units[key] * rule.perUnit) }))
+    .filter(deduction => deduction.points > 0);
+
+  return {
+    score: Math.max(0, 100 - deductions.reduce((sum, deduction) => sum + deduction.points, 0)),
+    deductions
+  };
+}
+
+function gradeFor(score, scale) {
+  return scale.find(({ minScore }) => score >= minScore).grade;
+}
+
+function sumLevels(issuesByLevel) {
+  return LEVELS.reduce((sum, level) => sum + issuesByLevel[level], 0);
+}
+
+/**
+ * 📋 Scorecards for every project, worst score first
+ *
+ * current / previous are the raw period results summarizePeriod() takes; scale
+ * defaults to the configured GRADE_SCALE. Each card is { id, slug, name, platform, grade,
+ * score, deductions, issuesByLevel: { current, previous }, issues, newIssues,
+ * regressedIssues, events, usersAffected } - the last five as compare() results.
+ */
+function buildProjectScorecards({ projects = [], current = {}, previous = {}, scale = GRADE_SCALE }) {
+  const currentByProject = summarizePeriod(current);
+  const previousByProject = summarizePeriod(previous);
+
+  return projects
+    .map(project => {
+      const now = currentByProject.get(String(project.id)) || emptyPeriod();
+      const before = previousByProject.get(String(project.id)) || emptyPeriod();
+
+      const events = compare(now.events, before.events);
+      const usersAffected = compare(now.usersAffected, before.usersAffected);
+      const { score, deductions } = scoreProject(now, events.change, usersAffected.change);
+
+      return {
+        id: String(project.id),
+        slug: project.slug,
+        name: project.name,
+        platform: project.platform || null,
+        grade: gradeFor(score, scale),
+        score,
+        deductions,
+        issuesByLevel: { current: now.issuesByLevel, previous: before.issuesByLevel },
+        issues: compare(sumLevels(now.issuesByLevel), sumLevels(before.issuesByLevel)),
+        newIssues: compare(now.newIssues, before.newIssues),
+        regressedIssues: compare(now.regressedIssues, before.regressedIssues),
+        events,
+        usersAffected
+      };
+    })
+    .sort((a, b) => a.score - b.score || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  GRADE_SCALE,
+  MAX_ISSUE_PAGES,
+  MAX_EVENT_PAGES,
+  parseGradeScale,
+  buildProjectScorecards
+};
@@ -0,0 +1,114 @@
+/**
+ * 🎯 RELEASE HEALTH
+ *
+ * Sentry's sessions endpoint counts sessions and users per release, split by
+ * how each session ended (session.status: healthy, errored, abnormal, crashed).
+ * This module turns two of those queries into one row per release:
+ *
+ * - crash-free sessions: share of sessions that didn't crash
+ * - crash-free users:    share of users who never hit a crash
+ * - adoption:            share of all sessions in the window on that release
+ *
+ * and compares each release with the one before it to flag regressions.
+ *
+ * 📚 https://docs.sentry.io/api/releases/retrieve-release-health-session-statistics/
+ */
+
+const SESSION_FIELDS = ['sum(session)', 'count_unique(user)'];
+
+// How many of the newest releases the dashboard compares
+const MAX_RELEASES = 10;
+// Releases with fewer sessions than this are too noisy to call regressed
+const MIN_SESSIONS = 50;
+// Drop in crash-free sessions (percentage points) that counts as a regression
+const REGRESSION_THRESHOLD = 0.5;
+
+// Two decimals, as Sentry shows crash-free rates (99.95%)
+function toPercent(part, total) {
+  if (!total) {
+    return null;
+  }
+  return Math.round((part / total) * 10000) / 100;
+}
+
+/**
+ * 🧮 Sum a sessions response's totals per release
+ * Returns Map<release, { sessions, users }>
+ */
+function totalsByRelease(response) {
+  const totals = new Map();
+  (response?.groups || []).forEach(group => {
+    const release = group.by?.release;
+    if (!release) {
+      return;
+    }
+    const entry = totals.get(release) || { sessions: 0, users: 0 };
+    entry.sessions += Number(group.totals?.['sum(session)']) || 0;
+    entry.users += Number(group.totals?.['count_unique(user)']) || 0;
+    totals.set(release, entry);
+  });
+  return totals;
+}
+
+/**
+ * 📊 Build the release health rows, newest release first
+ *
+ * releases       - Sentry releases, newest first
+ * totals         - sessions response grouped by release
+ * statusTotals   - sessions response grouped by release and session.status
+ *
+ * Each row is { version, shortVersion, dateCreated, sessions, users,
+ * crashedSessions, crashedUsers, crashFreeSessions, crashFreeUsers, adoption,
+ * previousVersion, crashFreeSessionsChange, regressed }; rates are percentages
+ * and null when the release had no sessions in the window.
+ */
+function summarizeReleaseHealth(releases, totals, statusTotals) {
+  const overall = totalsByRelease(totals);
+  const crashed = totalsByRelease({
+    groups: (statusTotals?.groups || []).filter(group => group.by?.['session.status'] === 'crashed')
+  });
+
+  const allSessions = [...overall.values()].reduce((sum, entry) => sum + entry.sessions, 0);
+
+  const rows = (releases || []).slice(0, MAX_RELEASES).map(release => {
+    const { sessions, users } = overall.get(release.version) || { sessions: 0, users: 0 };
+    const crashes = crashed.get(release.version) || { sessions: 0, users: 0 };
+
+    return {
+      version: release.version,
+      shortVersion: release.shortVersion || release.version,
+      dateCreated: release.dateCreated,
+      sessions,
+      users,
+      crashedSessions: crashes.sessions,
+      crashedUsers: crashes.users,
+      crashFreeSessions: toPercent(sessions - crashes.sessions, sessions),
+      crashFreeUsers: toPercent(users - crashes.users, users),
+      adoption: toPercent(sessions, allSessions)
+    };
+  });
+
+  // Compare with the next older release that has enough sessions to judge
+  return rows.map((row, index) => {
+    const previous = rows.slice(index + 1).find(candidate => candidate.sessions >= MIN_SESSIONS);
+    const comparable = previous && row.sessions >= MIN_SESSIONS;
+    const change = comparable
+      ? Math.round((row.crashFreeSessions - previous.crashFreeSessions) * 100) / 100
+      : null;
+
+    return {
+      ...row,
+      previousVersion: previous ? previous.version : null,
+      crashFreeSessionsChange: change,
+      regressed: change !== null && change <= -REGRESSION_THRESHOLD
+    };
+  });
+}
+
+module.exports = {
+  SESSION_FIELDS,
+  MAX_RELEASES,
+  MIN_SESSIONS,
+  REGRESSION_THRESHOLD,
+  summarizeReleaseHealth
+};
@@ -0,0 +1,104 @@
+/**
+ * 🎯 SESSION REPLAYS
+ *
+ * Sentry's replays API returns snake_case records with a lot more than the
+ * dashboard shows (activity scores, trace IDs, click counts, ...). This module
+ * reads the replay list filters from a request, builds the matching search
+ * query and trims each replay down to what the replay browser needs.
+ *
+ * 📚 https://docs.sentry.io/api/replays/list-an-organizations-replays/
+ */
+
+const { buildSearchQuery } = require('./issue-filters');
+const { badRequest, toList } = require('./request-params');
+
+const MAX_USER_FILTER_LENGTH = 200;
+
+/**
+ * 🔍 Read project / user / hasErrors from a query string
+ * Returns { projectIds, user, hasErrors }; projects are numeric IDs.
+ */
+function parseReplayFilters(input = {}) {
+  const projectIds = toList(input.project);
+  if (projectIds.some(id => !/^-?\d+$/.test(id))) {
+    throw badRequest('project must be a numeric project ID');
+  }
+
+  const user = String(input.user || '').trim();
+  if (user.length > MAX_USER_FILTER_LENGTH) {
+    throw badRequest(`user must be at most ${MAX_USER_FILTER_LENGTH} characters`);
+  }
+
+  const hasErrors = input.hasErrors === 'true' || input.hasErrors === '1' || input.hasErrors === true;
+  return { projectIds, user: user || null, hasErrors };
+}
+
+/**
+ * 🔗 Sentry search for the filters: an email matches user.email, anything else user.username
+ */
+function buildReplayQuery({ user, hasErrors, release } = {}) {
+  const terms = [];
+  if (user) {
+    const field = user.includes('@') ? 'user.email' : 'user.username';
+    terms.push(`${field}:"${user.replace(/(["\\])/g, '\\$1')}"`);
+  }
+  if (hasErrors) {
+    terms.push('count_errors:>0');
+  }
+  return buildSearchQuery(terms.join(' '), release);
+}
+
+// "Chrome 118.0" from { name, version }; null when Sentry didn't record it
+function describeClient(client) {
+  if (!client || !client.name) {
+    return null;
+  }
+  return client.version ? `${client.name} ${client.version}` : client.name;
+}
+
+/**
+ * 🧹 Trim a Sentry replay to { id, projectId, startedAt, finishedAt, duration,
+ * urls, countUrls, countErrors, errorIds, user, browser, os, environment, releases }
+ * duration is in seconds; user is { id, name, email } or null.
+ */
+function summarizeReplay(replay) {
+  if (!replay) {
+    return null;
+  }
+
+  const user = replay.user || {};
+  const hasUser = Boolean(user.id || user.email || user.username || user.display_name || user.ip);
+
+  return {
+    id: replay.id,
+    projectId: replay.project_id ? String(replay.project_id) : null,
+    startedAt: replay.started_at || null,
+    finishedAt: replay.finished_at || null,
+    duration: replay.duration ?? null,
+    urls: replay.urls || [],
+    countUrls: replay.count_urls ?? (replay.urls || []).length,
+    countErrors: replay.count_errors || 0,
+    errorIds: replay.error_ids || [],
+    user: hasUser
+      ? { id: user.id || null, name: user.display_name || user.username || user.email || user.ip, email: user.email || null }
+      : null,
+    browser: describeClient(replay.browser),
+    os: describeClient(replay.os),
+    environment: replay.environment || null,
+    releases: replay.releases || []
+  };
+}
+
+/**
+ * 🎬 Link to Sentry's replay player for one replay
+ */
+function replayUrl(baseUrl, orgSlug, replayId) {
+  return `${baseUrl.replace(/\/$/, '')}/organizations/${orgSlug}/replays/${replayId}/`;
+}
+
+module.exports = {
+  parseReplayFilters,
+  buildReplayQuery,
+  summarizeReplay,
+  replayUrl
+};
@@ -0,0 +1,39 @@
+/**
+ * 🎯 REQUEST PARAMETER HELPERS
+ *
+ * Shared by the modules that check dashboard query strings and request bodies
+ * before anything reaches Sentry:
+ *
+ * - badRequest(): an Error with status 400, which sendSentryError() in index.js
+ *   passes through to the client instead of a 500
+ * - toList(): repeatable query params as a list of strings
+ * - requireBodyObject(): a JSON request body that must be an object
+ */
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// ?environment=a&environment=b arrives as an array, a single value as a string
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+}
+
+// express.json() also lets arrays through (and null, when strict is off)
+function requireBodyObject(body) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw badRequest('Request body must be a JSON object');
+  }
+  return body;
+}
+
+module.exports = {
+  badRequest,
+  toList,
+  requireBodyObject
+};
@@ -0,0 +1,235 @@
+/**
+ * 🎯 SENTRY API REQUEST SCHEDULER
+ *
+ * Queues Sentry API calls per access token so one dashboard load can't trip
+ * Sentry's rate limits, and rides out short 429/5xx blips instead of failing.
+ *
+ * 🔐 What this demonstrates about the Sentry API:
+ * 1. Reading X-Sentry-Rate-Limit-* headers and pausing before the limit is hit
+ * 2. Honouring Retry-After on 429 responses
+ * 3. Retrying idempotent GETs with jittered exponential backoff
+ * 4. Limiting concurrent requests per token
+ *
+ * 📚 Sentry rate limits: https://docs.sentry.io/api/ratelimits/
+ */
+
+// Statuses worth another try: rate limited, or a gateway/server hiccup
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+// Idle queues are dropped after this long (or once a rate-limit pause ends, if later),
+// so tokens that are no longer used don't stay in memory
+const IDLE_QUEUE_TTL_MS = 60 * 1000;
+
+const EMPTY_STATS = { requests: 0, throttled: 0, retries: 0, waitedMs: 0, rateLimit: null };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * ⏱️ Retry-After is either seconds or an HTTP date; returns milliseconds (or null)
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function readNumberHeader(headers, name) {
+  const value = headers.get(name);
+  return value === null || value === '' ? null : Number(value);
+}
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || Number(process.env.SENTRY_API_CONCURRENCY) || 3;
+    this.maxRetries = options.maxRetries ?? (process.env.SENTRY_API_MAX_RETRIES !== undefined
+      ? Number(process.env.SENTRY_API_MAX_RETRIES)
+      : 3);
+    this.baseDelayMs = options.baseDelayMs || 500;
+    this.idleTtlMs = options.idleTtlMs ?? IDLE_QUEUE_TTL_MS;
+    // Never sleep longer than this for one wait; a longer Retry-After fails the request instead
+    this.maxDelayMs = options.maxDelayMs || 15 * 1000;
+
+    // key -> { key, active, waiting, pausedUntil, stats, idleTimer }
+    this.queues = new Map();
+  }
+
+  getQueue(key) {
+    if (!this.queues.has(key)) {
+      this.queues.set(key, {
+        key,
+        active: 0,
+        waiting: [],
+        pausedUntil: 0,
+        stats: { ...EMPTY_STATS },
+        idleTimer: null
+      });
+    }
+    return this.queues.get(key);
+  }
+
+  /**
+   * 🧹 Forget a drained queue once it has stayed idle for a while
+   * The delay keeps its stats around for callers diffing before/after a batch of
+   * requests, and keeps a pending rate-limit pause in force.
+   */
+  scheduleEviction(queue) {
+    clearTimeout(queue.idleTimer);
+    const delay = Math.max(this.idleTtlMs, queue.pausedUntil - Date.now());
+    queue.idleTimer = setTimeout(() => {
+      if (queue.active === 0 && queue.waiting.length === 0 && this.queues.get(queue.key) === queue) {
+        this.queues.delete(queue.key);
+      }
+    }, delay);
+    // Never keep the process alive just to clean up
+    queue.idleTimer.unref();
+  }
+
+  /**
+   * 📥 Run `send` (a function returning a fetch Response) in the queue for `key`
+   * Resolves with the final response - possibly still an error status once retries run out.
+   */
+  schedule(key, send, { method = 'GET' } = {}) {
+    const queue = this.getQueue(key);
+    clearTimeout(queue.idleTimer);
+    queue.idleTimer = null;
+
+    return new Promise((resolve, reject) => {
+      queue.waiting.push({ send, method: method.toUpperCase(), resolve, reject });
+      this.drain(queue);
+    });
+  }
+
+  drain(queue) {
+    while (queue.active < this.concurrency && queue.waiting.length > 0) {
+      const job = queue.waiting.shift();
+      queue.active++;
+
+      this.execute(queue, job.send, job.method)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          queue.active--;
+          this.drain(queue);
+          if (queue.active === 0 && queue.waiting.length === 0) {
+            this.scheduleEviction(queue);
+          }
+        });
+    }
+  }
+
+  /**
+   * 🔁 Send one request, waiting out pauses and retrying where it's safe
+   */
+  async execute(queue, send, method) {
+    const canRetry = IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+      const pause = queue.pausedUntil - Date.now();
+      if (pause > 0) {
+        const wait = Math.min(pause, this.maxDelayMs);
+        console.log(`⏳ Sentry rate limit: waiting ${wait}ms before the next request`);
+        queue.stats.waitedMs += wait;
+        await sleep(wait);
+      }
+
+      let response;
+      try {
+        queue.stats.requests++;
+        response = await send();
+      } catch (error) {
+        // Network errors (resets, timeouts) are retried like a 5xx
+        if (!canRetry || attempt >= this.maxRetries) {
+          throw error;
+        }
+        await this.backoff(queue, attempt, `network error: ${error.message}`);
+        continue;
+      }
+
+      this.recordRateLimit(queue, response.headers);
+
+      let retryAfterMs = null;
+      if (response.status === 429) {
+        queue.stats.throttled++;
+        retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        if (retryAfterMs !== null) {
+          // Everyone sharing this token waits, not just this request
+          queue.pausedUntil = Math.max(queue.pausedUntil, Date.now() + retryAfterMs);
+        }
+      }
+
+      const retryable = canRetry && RETRYABLE_STATUSES.includes(response.status) && attempt < this.maxRetries;
+      if (!retryable || (retryAfterMs !== null && retryAfterMs > this.maxDelayMs)) {
+        return response;
+      }
+
+      // Free the connection before trying again
+      await response.text().catch(() => {});
+
+      if (retryAfterMs !== null) {
+        // The pause above already covers the wait
+        queue.stats.retries++;
+        console.log(`🔁 Sentry returned 429, retrying after ${retryAfterMs}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+      } else {
+        await this.backoff(queue, attempt, `status ${response.status}`);
+      }
+    }
+  }
+
+  /**
+   * 🎲 Exponential backoff with full jitter: random wait in [0, base * 2^attempt]
+   */
+  async backoff(queue, attempt, reason) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    const delay = Math.round(Math.random() * ceiling);
+
+    queue.stats.retries++;
+    queue.stats.waitedMs += delay;
+    console.log(`🔁 Retrying Sentry request in ${delay}ms (${reason}, attempt ${attempt + 1}/${this.maxRetries})`);
+    await sleep(delay);
+  }
+
+  /**
+   * 📊 Remember the latest X-Sentry-Rate-Limit-* values and pause once the window is used up
+   */
+  recordRateLimit(queue, headers) {
+    const limit = readNumberHeader(headers, 'x-sentry-rate-limit-limit');
+    const remaining = readNumberHeader(headers, 'x-sentry-rate-limit-remaining');
+    const reset = readNumberHeader(headers, 'x-sentry-rate-limit-reset');
+    const concurrentLimit = readNumberHeader(headers, 'x-sentry-rate-limit-concurrentlimit');
+    const concurrentRemaining = readNumberHeader(headers, 'x-sentry-rate-limit-concurrentremaining');
+
+    if (limit === null && remaining === null && concurrentLimit === null) {
+      return;
+    }
+
+    queue.stats.rateLimit = {
+      limit,
+      remaining,
+      // Reset is a UNIX timestamp in seconds
+      resetAt: reset !== null ? new Date(reset * 1000).toISOString() : null,
+      concurrentLimit,
+      concurrentRemaining
+    };
+
+    if (remaining === 0 && reset !== null) {
+      queue.pausedUntil = Math.max(queue.pausedUntil, reset * 1000);
+    }
+  }
+
+  /**
+   * 📈 Counters for one token (copy, so callers can diff before/after)
+   * Read-only: a token without a queue just has zero counters.
+   */
+  getStats(key) {
+    const { stats } = this.queues.get(key) || { stats: EMPTY_STATS };
+    return { ...stats, rateLimit: stats.rateLimit && { ...stats.rateLimit } };
+  }
+}
+
+module.exports = { RequestScheduler };
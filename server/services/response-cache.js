@@ -0,0 +1,183 @@
+/**
+ * 🎯 SENTRY API RESPONSE CACHE
+ *
+ * Switching org or project on the dashboard used to re-fetch everything from
+ * Sentry. This in-memory cache sits in front of SentryAPIService.makeRequest:
+ *
+ * - entries are keyed per user + request URL (org, endpoint and params)
+ * - each endpoint has its own TTL (see CACHE_POLICIES in sentry-api.js)
+ * - stale-while-revalidate: after the TTL, the old value is served for a while
+ *   longer and refreshed in the background
+ * - concurrent misses for the same key share one Sentry request
+ *
+ * It's per process; run several instances and each keeps its own copy.
+ * sendJsonWithEtag() is the browser side: dashboard routes answer 304 when
+ * the client already has the current version.
+ */
+
+const crypto = require('crypto');
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || Number(process.env.SENTRY_CACHE_MAX_ENTRIES) || 500;
+    this.enabled = options.enabled ?? process.env.SENTRY_CACHE_ENABLED !== 'false';
+
+    // key -> { value, freshUntil, staleUntil }; Map order doubles as LRU order
+    this.entries = new Map();
+    // key -> { promise, discarded } for fetches in flight; invalidate() discards them
+    this.inFlight = new Map();
+    this.stats = { hits: 0, staleHits: 0, misses: 0, bypasses: 0, revalidations: 0, revalidationErrors: 0 };
+
+    console.log(`🗄️  Sentry response cache ${this.enabled ? `enabled (max ${this.maxEntries} entries)` : 'disabled'}`);
+  }
+
+  /**
+   * 📥 Get a value from the cache, fetching it when needed
+   *
+   * Options: ttlMs (fresh for), staleMs (then served stale for), bypass (skip the
+   * cache read but store the new value). Resolves to { value, status } where
+   * status is 'hit', 'stale', 'miss' or 'bypass'.
+   */
+  async get(key, fetcher, { ttlMs, staleMs = 0, bypass = false } = {}) {
+    if (!this.enabled || !ttlMs) {
+      return { value: await fetcher(), status: 'miss' };
+    }
+
+    if (bypass) {
+      this.stats.bypasses++;
+      return { value: await this.fetchAndStore(key, fetcher, ttlMs, staleMs), status: 'bypass' };
+    }
+
+    const entry = this.entries.get(key);
+    const now = Date.now();
+
+    if (entry && now < entry.freshUntil) {
+      this.stats.hits++;
+      this.touch(key, entry);
+      return { value: entry.value, status: 'hit' };
+    }
+
+    if (entry && now < entry.staleUntil) {
+      this.stats.staleHits++;
+      this.touch(key, entry);
+      this.revalidate(key, fetcher, ttlMs, staleMs);
+      return { value: entry.value, status: 'stale' };
+    }
+
+    this.stats.misses++;
+    return { value: await this.fetchAndStore(key, fetcher, ttlMs, staleMs), status: 'miss' };
+  }
+
+  /**
+   * 🔄 Refresh a stale entry in the background; on failure the stale value stays
+   */
+  revalidate(key, fetcher, ttlMs, staleMs) {
+    if (this.inFlight.has(key)) {
+      return;
+    }
+
+    this.stats.revalidations++;
+    this.fetchAndStore(key, fetcher, ttlMs, staleMs).catch(error => {
+      this.stats.revalidationErrors++;
+      console.warn(`⚠️  Background refresh failed for cached ${key}: ${error.message}`);
+    });
+  }
+
+  /**
+   * 📡 Fetch once per key at a time and store the result (errors are never cached)
+   * A fetch invalidated while in flight still answers its callers, but isn't stored.
+   */
+  fetchAndStore(key, fetcher, ttlMs, staleMs) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key).promise;
+    }
+
+    const flight = { promise: null, discarded: false };
+    flight.promise = (async () => {
+      const value = await fetcher();
+      if (!flight.discarded) {
+        const now = Date.now();
+        this.set(key, { value, freshUntil: now + ttlMs, staleUntil: now + ttlMs + staleMs });
+      }
+      return value;
+    })().finally(() => {
+      if (this.inFlight.get(key) === flight) {
+        this.inFlight.delete(key);
+      }
+    });
+
+    this.inFlight.set(key, flight);
+    return flight.promise;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    // Evict least recently used entries once we're over the limit
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  touch(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * 🗑️ Drop every entry whose key starts with `match` (e.g. all of a user's data),
+   * or for which `match(key)` returns true when it's a function
+   *
+   * Matching fetches still in flight started before the change, so their results
+   * are discarded instead of stored, and the next lookup fetches again.
+   * Returns how many entries were removed
+   */
+  invalidate(match) {
+    const matches = typeof match === 'function' ? match : key => key.startsWith(match);
+    let removed = 0;
+    for (const key of this.entries.keys()) {
+      if (matches(key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    for (const [key, flight] of this.inFlight) {
+      if (matches(key)) {
+        flight.discarded = true;
+        this.inFlight.delete(key);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 📊 Hit/miss counters plus the current size
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ...this.stats,
+      hitRate: lookups > 0 ? Number(((this.stats.hits + this.stats.staleHits) / lookups).toFixed(3)) : null
+    };
+  }
+}
+
+/**
+ * 🏷️ Send JSON with an ETag of its content; answer 304 when the client already has this version
+ * (no-cache makes the browser revalidate every time, which is cheap when the server cache is warm)
+ */
+function sendJsonWithEtag(req, res, body) {
+  const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'private, no-cache');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(body);
+}
+
+module.exports = { ResponseCache, sendJsonWithEtag };
@@ -0,0 +1,132 @@
+/**
+ * 🎯 SENTRY OAUTH SCOPE REGISTRY
+ *
+ * Each dashboard feature declares the Sentry scopes it needs. Login asks for
+ * the base scopes up front; extra scopes (like event:write for triage) are
+ * requested later, only when the user turns on a feature that needs them.
+ *
+ * 📚 Sentry scopes: https://docs.sentry.io/api/auth/#scopes
+ */
+
+const { badRequest } = require('./request-params');
+
+// Every scope Sentry understands - anything else is rejected before we build an auth URL
+const KNOWN_SCOPES = [
+  'org:read', 'org:write', 'org:admin', 'org:integrations',
+  'project:read', 'project:write', 'project:admin', 'project:releases',
+  'team:read', 'team:write', 'team:admin',
+  'member:read', 'member:write', 'member:admin',
+  'event:read', 'event:write', 'event:admin',
+  'alerts:read', 'alerts:write'
+];
+
+// Requested on every login: read-only access for the metrics dashboard.
+// Also what users stored before we recorded granted scopes were given.
+const BASE_SCOPES = [
+  'org:read',
+  'project:read',
+  'team:read',
+  'member:read',
+  'event:read'
+];
+
+// Feature -> scopes it needs. Routes are guarded with these same lists
+// (requireSentryScopes(FEATURE_SCOPES.issues)), so a route can't need more
+// than the feature the client checks for it.
+const FEATURE_SCOPES = {
+  organizations: ['org:read'],
+  dashboard: ['org:read', 'project:read', 'member:read', 'event:read'],
+  projects: ['project:read'],
+  releaseHealth: ['org:read', 'project:read'],
+  scorecards: ['org:read', 'project:read', 'event:read'],
+  issues: ['event:read'],
+  replays: ['event:read'],
+  alerts: ['org:read', 'project:read'],
+  members: ['member:read'],
+  assignees: ['member:read', 'team:read'],
+  teams: ['team:read', 'member:read', 'project:read', 'event:read'],
+  triage: ['event:read', 'event:write']
+};
+
+/**
+ * ✂️ Parse a scope string or list ("a b", "a,b" or ["a", "b"]) into unique scopes
+ */
+function parseScopes(value) {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return [...new Set(list.map(scope => scope.trim()).filter(Boolean))];
+}
+
+/**
+ * 🔑 The scopes a stored user was granted
+ * NULL means the user logged in before we recorded grants, with the base scopes.
+ */
+function parseGrantedScopes(grantedScopes) {
+  if (grantedScopes === null || grantedScopes === undefined) {
+    return [...BASE_SCOPES];
+  }
+  return parseScopes(grantedScopes);
+}
+
+/**
+ * 🧮 Work out which scopes to ask for on this login
+ *
+ * - always the base scopes
+ * - plus whatever the user has already granted (a new token replaces the old one,
+ *   so dropping them would silently take features away)
+ * - plus scopes asked for explicitly (?scopes=) or by feature (?feature=)
+ *
+ * Throws on unknown scopes or features so bad input becomes a 400, not a confusing Sentry error.
+ */
+function resolveRequestedScopes({ scopes, feature, grantedScopes } = {}) {
+  const requested = parseScopes(scopes);
+
+  const unknownScopes = requested.filter(scope => !KNOWN_SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    throw badRequest(`Unknown Sentry scope(s): ${unknownScopes.join(', ')}`);
+  }
+
+  if (feature && (typeof feature !== 'string' || !Object.hasOwn(FEATURE_SCOPES, feature))) {
+    throw badRequest(`Unknown feature "${feature}". Use one of: ${Object.keys(FEATURE_SCOPES).join(', ')}`);
+  }
+
+  return parseScopes([
+    ...BASE_SCOPES,
+    ...parseGrantedScopes(grantedScopes),
+    ...(feature ? FEATURE_SCOPES[feature] : []),
+    ...requested
+  ]);
+}
+
+/**
+ * 🔍 Which of the required scopes are missing from a granted scope list?
+ */
+function getMissingScopes(grantedScopes, requiredScopes) {
+  const granted = parseGrantedScopes(grantedScopes);
+  return parseScopes(requiredScopes).filter(scope => !granted.includes(scope));
+}
+
+/**
+ * ✅ Which features can this user use with the scopes they granted?
+ */
+function getAvailableFeatures(grantedScopes) {
+  return Object.fromEntries(
+    Object.entries(FEATURE_SCOPES).map(([feature, required]) => [
+      feature,
+      getMissingScopes(grantedScopes, required).length === 0
+    ])
+  );
+}
+
+module.exports = {
+  KNOWN_SCOPES,
+  BASE_SCOPES,
+  FEATURE_SCOPES,
+  parseScopes,
+  parseGrantedScopes,
+  resolveRequestedScopes,
+  getMissingScopes,
+  getAvailableFeatures
+};
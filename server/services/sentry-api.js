@@ -11,29 +11,205 @@
  * 5. Performance metrics
  */
 
+const crypto = require('crypto');
 const fetch = require('node-fetch');
+const { decryptToken } = require('./token-crypto');
+const { RequestScheduler } = require('./request-scheduler');
+const { ResponseCache } = require('./response-cache');
+const { DEFAULT_STATS_PERIOD, MAX_BUCKETS, parseDuration, getRangeBounds, previousTimeRange, timeRangeParams } = require('./time-range');
+const { Y_AXIS_OPTIONS, DEFAULT_Y_AXIS, TOP_EVENTS, normalizeEventStats } = require('./event-stats');
+const { summarizeEvent } = require('./event-details');
+const { buildSearchQuery } = require('./issue-filters');
+const { SESSION_FIELDS, MAX_RELEASES, summarizeReleaseHealth } = require('./release-health');
+const { buildReplayQuery, summarizeReplay, replayUrl } = require('./replay-details');
+const { mergeAlertRules, filterAlertRules, findUnalertedProjects } = require('./alerts');
+const { buildTeamOwnership } = require('./ownership');
+const { DEFAULT_ORG_CONCURRENCY, settleWithConcurrency, summarizeOrgMetrics, combineOrgTotals } = require('./org-overview');
+const { GRADE_SCALE, MAX_ISSUE_PAGES, MAX_EVENT_PAGES, buildProjectScorecards } = require('./project-scorecards');
+
+// Default budget for paginate(): enough for real orgs without walking a huge one forever
+const DEFAULT_MAX_PAGES = 10;
+const DEFAULT_MAX_ITEMS = 1000;
+
+// How long each kind of response stays fresh, then how long it may be served stale
+// while it's refreshed in the background. First matching pattern wins.
+const CACHE_POLICIES = [
+  { pattern: /^\/organizations\/[^/]+\/issues\//, ttlMs: 60 * 1000, staleMs: 5 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/replays\//, ttlMs: 60 * 1000, staleMs: 5 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/events\//, ttlMs: 60 * 1000, staleMs: 5 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/events-stats\//, ttlMs: 60 * 1000, staleMs: 5 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/members\//, ttlMs: 10 * 60 * 1000, staleMs: 30 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/teams\//, ttlMs: 10 * 60 * 1000, staleMs: 30 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/projects\//, ttlMs: 5 * 60 * 1000, staleMs: 30 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/environments\//, ttlMs: 10 * 60 * 1000, staleMs: 30 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/releases\//, ttlMs: 5 * 60 * 1000, staleMs: 15 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/sessions\//, ttlMs: 60 * 1000, staleMs: 5 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/incidents\//, ttlMs: 60 * 1000, staleMs: 5 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/alert-rules\//, ttlMs: 5 * 60 * 1000, staleMs: 15 * 60 * 1000 },
+  { pattern: /^\/projects\/[^/]+\/[^/]+\/rules\//, ttlMs: 5 * 60 * 1000, staleMs: 15 * 60 * 1000 },
+  { pattern: /^\/organizations\/$/, ttlMs: 5 * 60 * 1000, staleMs: 30 * 60 * 1000 },
+  { pattern: /^\/organizations\/[^/]+\/$/, ttlMs: 10 * 60 * 1000, staleMs: 30 * 60 * 1000 }
+];
+
+function getCachePolicy(endpoint) {
+  return CACHE_POLICIES.find(policy => policy.pattern.test(endpoint)) || null;
+}
+
+/**
+ * 🔗 Parse Sentry's Link header into { previous, next }
+ *
+ * Sentry sends both links on every paginated response, e.g.
+ *   <https://sentry.io/api/0/...&cursor=0:100:0>; rel="next"; results="true"; cursor="0:100:0"
+ * `results="false"` means that page is empty, so it's not worth fetching.
+ */
+function parseLinkHeader(header) {
+  const links = { previous: null, next: null };
+  if (!header) {
+    return links;
+  }
+
+  for (const part of header.split(/,\s*(?=<)/)) {
+    const url = part.match(/<([^>]*)>/);
+    const rel = part.match(/rel="([^"]*)"/);
+    if (!url || !rel || !(rel[1] in links)) {
+      continue;
+    }
+
+    const results = part.match(/results="([^"]*)"/);
+    const cursor = part.match(/cursor="([^"]*)"/);
+    links[rel[1]] = {
+      url: url[1],
+      results: results ? results[1] === 'true' : false,
+      cursor: cursor ? cursor[1] : null
+    };
+  }
+
+  return links;
+}
+
+/**
+ * 📦 Pull the list out of a response - most endpoints return an array,
+ * some (like replays) wrap it in { data: [...] }
+ */
+function extractItems(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && Array.isArray(data.data)) {
+    return data.data;
+  }
+  if (data && Array.isArray(data.results)) {
+    return data.results;
+  }
+  return [];
+}
+
+/**
+ * ➕ Add (or replace) the cursor query parameter on an endpoint
+ */
+function withCursor(endpoint, cursor) {
+  if (!cursor) {
+    return endpoint;
+  }
+  const [path, query = ''] = endpoint.split('?');
+  const params = new URLSearchParams(query);
+  params.set('cursor', cursor);
+  return `${path}?${params}`;
+}
 
 class SentryAPIService {
   constructor() {
     this.baseUrl = process.env.SENTRY_BASE_URL || 'https://sentry.io';
+    // Per-token queue: concurrency limit, rate-limit pauses, retries with backoff
+    this.scheduler = new RequestScheduler();
+    // Per-user response cache with stale-while-revalidate
+    this.cache = new ResponseCache();
+  }
+
+  /**
+   * Make a (cached) authenticated request to Sentry API
+   *
+   * Responses for a user's credentials are cached per user + URL with the TTL from
+   * CACHE_POLICIES. Set `bypassCache` on the credentials (e.g. for ?refresh=1) to
+   * skip the cached copy and store a fresh one. Raw token strings are never cached.
+   * Pass { method: 'PUT', body } for writes; those always go straight to Sentry.
+   */
+  async makeRequest(endpoint, accessToken, options = {}) {
+    const credentials = typeof accessToken === 'string' ? null : accessToken;
+    const policy = getCachePolicy(endpoint.split('?')[0]);
+    const isRead = !options.method || options.method === 'GET';
+    if (!credentials || !policy || !isRead) {
+      return this.fetchFromSentry(endpoint, accessToken, options);
+    }
+
+    const url = `${this.getApiBaseUrl(endpoint, credentials)}/api/0${endpoint}`;
+    const key = `${this.getCacheKeyPrefix(credentials.userId)}${url}${options.includePagination ? '#paged' : ''}`;
+    const { value, status } = await this.cache.get(key, () => this.fetchFromSentry(endpoint, accessToken, options), {
+      ttlMs: policy.ttlMs,
+      staleMs: policy.staleMs,
+      bypass: credentials.bypassCache === true
+    });
+
+    if (status !== 'miss') {
+      console.log(`🗄️  Cache ${status} for ${endpoint}`);
+    }
+    return value;
   }
 
   /**
-   * Make authenticated request to Sentry API
+   * 🔑 Every cache key for a user starts with this, so their entries can be dropped together
    */
-  async makeRequest(endpoint, accessToken) {
-    const url = `${this.baseUrl}/api/0${endpoint}`;
+  getCacheKeyPrefix(userId) {
+    return `user:${userId}:`;
+  }
+
+  /**
+   * 🗑️ Forget everything cached for a user (disconnect, or after they change data)
+   */
+  invalidateUserCache(userId) {
+    return this.cache.invalidate(this.getCacheKeyPrefix(userId));
+  }
+
+  /**
+   * 🗑️ Forget every user's cached issue responses for an organization (after triage)
+   * Teammates see the same issues, so their copies are stale too.
+   */
+  invalidateIssueCache(orgSlug) {
+    const issuesPath = `/api/0/organizations/${orgSlug}/issues/`;
+    return this.cache.invalidate(key => key.includes(issuesPath));
+  }
+
+  /**
+   * Make authenticated request to Sentry API (uncached)
+   *
+   * `accessToken` is either a raw token string or the credentials object from
+   * tokenManager.forUser(user). With credentials, an expiring token is refreshed
+   * before the call and a 401 triggers one refresh + retry. Credential tokens are
+   * stored encrypted and only decrypted here, right before the request is sent.
+   * Credentials also decide the host: see getApiBaseUrl().
+   * Every request goes through the per-token scheduler (see request-scheduler.js).
+   *
+   * With `includePagination` it resolves to { data, pagination } where pagination is the
+   * parsed Link header ({ previous, next }) plus `hits` (X-Hits total, when Sentry sends it).
+   * `method` and `body` send a write (e.g. PUT with a JSON body); writes are never retried.
+   */
+  async fetchFromSentry(endpoint, accessToken, { includePagination = false, method = 'GET', body } = {}) {
+    const credentials = typeof accessToken === 'string' ? null : accessToken;
+    const url = `${this.getApiBaseUrl(endpoint, credentials)}/api/0${endpoint}`;
+    let token = credentials ? await credentials.getAccessToken() : accessToken;
+    const queueKey = this.getQueueKey(credentials, token);
     
-    console.log(`📡 Making Sentry API request: ${url}`);
-    console.log(`🔑 Access token length: ${accessToken ? accessToken.length : 'No token'}`);
+    console.log(`📡 Making Sentry API request: ${method} ${url}`);
+    console.log(`🔑 Access token: ${token ? (credentials ? 'stored (encrypted)' : 'provided') : 'No token'}`);
     
     try {
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Accept': 'application/json',
-        },
-      });
+      let response = await this.sendRequest(url, credentials ? decryptToken(token) : token, queueKey, { method, body });
+
+      if (response.status === 401 && credentials) {
+        console.log('🔁 Sentry returned 401, refreshing access token and retrying once...');
+        token = await credentials.refreshAccessToken(token);
+        response = await this.sendRequest(url, decryptToken(token), queueKey, { method, body });
+      }
 
       console.log(`📥 Response status: ${response.status} ${response.statusText}`);
       console.log(`📥 Response headers:`, Object.fromEntries(response.headers.entries()));
@@ -43,19 +219,24 @@ class SentryAPIService {
         console.error(`❌ Sentry API error (${response.status}): ${errorText}`);
         console.error(`❌ Failed URL: ${url}`);
         
-        // More specific error handling
+        // More specific error handling (status is kept so routes can pass it through)
+        let message = `Sentry API error: ${response.status} ${response.statusText} - ${errorText}`;
         if (response.status === 401) {
-          throw new Error(`Authentication failed - check access token and scopes`);
+          message = `Authentication failed - check access token and scopes`;
         } else if (response.status === 403) {
-          throw new Error(`Permission denied - insufficient scopes for ${endpoint}`);
+          message = `Permission denied - insufficient scopes for ${endpoint}`;
         } else if (response.status === 404) {
-          throw new Error(`Resource not found - check organization slug and endpoint`);
+          message = `Resource not found - check organization slug and endpoint`;
         }
-        
-        throw new Error(`Sentry API error: ${response.status} ${response.statusText} - ${errorText}`);
+
+        const error = new Error(message);
+        error.status = response.status;
+        error.endpoint = endpoint;
+        throw error;
       }
 
-      const data = await response.json();
+      // Bulk updates answer 204 when no issue matched
+      const data = response.status === 204 ? null : await response.json();
       console.log(`✅ Sentry API response received for ${endpoint}:`, 
         Array.isArray(data) ? `Array with ${data.length} items` : typeof data);
       
@@ -66,6 +247,17 @@ class SentryAPIService {
         console.log(`📋 Empty array returned - this might indicate no data or incorrect query parameters`);
       }
       
+      if (includePagination) {
+        const hits = response.headers.get('x-hits');
+        return {
+          data,
+          pagination: {
+            ...parseLinkHeader(response.headers.get('link')),
+            hits: hits !== null ? Number(hits) : null
+          }
+        };
+      }
+
       return data;
     } catch (error) {
       console.error(`❌ Error making Sentry API request to ${endpoint}:`, error.message);
@@ -74,6 +266,117 @@ class SentryAPIService {
     }
   }
 
+  /**
+   * Pick the host for an API call
+   *
+   * Organization- and project-scoped endpoints go to the org's region host
+   * (us.sentry.io, de.sentry.io, ...) when we know it, everything else to the
+   * user's Sentry instance. Raw token strings always use SENTRY_BASE_URL.
+   */
+  getApiBaseUrl(endpoint, credentials) {
+    if (!credentials) {
+      return this.baseUrl;
+    }
+
+    const match = endpoint.match(/^\/(?:organizations|projects)\/([^/?]+)\//);
+    // Own keys only: a slug like "constructor" must not pick up an inherited value as the host
+    const regionUrl = match && credentials.regionUrls && Object.hasOwn(credentials.regionUrls, match[1])
+      ? credentials.regionUrls[match[1]]
+      : null;
+    return regionUrl || credentials.baseUrl || this.baseUrl;
+  }
+
+  /**
+   * Which scheduler queue a request belongs to: one per user (their token),
+   * or a hash of a raw token so it never ends up in logs or memory dumps as-is
+   */
+  getQueueKey(credentials, token) {
+    if (credentials) {
+      return `user:${credentials.userId}`;
+    }
+    return `token:${crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 16)}`;
+  }
+
+  /**
+   * 📈 Rate-limit counters for the token behind `accessToken`
+   */
+  getThrottlingStats(accessToken) {
+    const credentials = typeof accessToken === 'string' ? null : accessToken;
+    return this.scheduler.getStats(this.getQueueKey(credentials, accessToken));
+  }
+
+  /**
+   * Send a single HTTP request to Sentry with a bearer token, through the token's queue
+   */
+  async sendRequest(url, token, queueKey, { method = 'GET', body } = {}) {
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'application/json',
+    };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    // The scheduler only retries idempotent methods, so a PUT is never sent twice
+    return this.scheduler.schedule(queueKey, () => fetch(url, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    }), { method });
+  }
+
+  /**
+   * 📄 Walk a paginated endpoint page by page
+   *
+   * Yields { data, pagination } for each page, starting at `cursor`. Stops when
+   * Sentry has no more results or the budget runs out: `maxPages` pages, or
+   * `maxItems` items (checked between pages, so a page is never cut in half and
+   * its next cursor stays valid).
+   */
+  async *paginate(endpoint, accessToken, { cursor = null, maxPages = DEFAULT_MAX_PAGES, maxItems = DEFAULT_MAX_ITEMS } = {}) {
+    let pages = 0;
+    let items = 0;
+
+    while (pages < maxPages && items < maxItems) {
+      const page = await this.makeRequest(withCursor(endpoint, cursor), accessToken, { includePagination: true });
+      pages++;
+      items += extractItems(page.data).length;
+      yield page;
+
+      const { next } = page.pagination;
+      if (!next || !next.results || !next.cursor) {
+        return;
+      }
+      cursor = next.cursor;
+    }
+  }
+
+  /**
+   * 📚 Collect a paginated list within a budget
+   *
+   * Returns { items, nextCursor, hits }: nextCursor is where to continue (null once
+   * everything was read) and hits is Sentry's total count when it sends one.
+   */
+  async collectPages(endpoint, accessToken, budget = {}) {
+    const items = [];
+    let nextCursor = null;
+    let hits = null;
+
+    for await (const { data, pagination } of this.paginate(endpoint, accessToken, budget)) {
+      items.push(...extractItems(data));
+      nextCursor = pagination.next && pagination.next.results ? pagination.next.cursor : null;
+      if (pagination.hits !== null) {
+        hits = pagination.hits;
+      }
+    }
+
+    if (nextCursor) {
+      console.log(`📄 Stopped paging ${endpoint} at ${items.length} items (budget reached, more available)`);
+    }
+
+    return { items, nextCursor, hits };
+  }
+
   /**
    * Get user's organizations
    */
@@ -90,39 +393,228 @@ class SentryAPIService {
 
   /**
    * Get organization projects
+   * List methods take { cursor, maxPages, maxItems } and return { items, nextCursor, hits }
    */
-  async getProjects(orgSlug, accessToken) {
-    return this.makeRequest(`/organizations/${orgSlug}/projects/`, accessToken);
+  async getProjects(orgSlug, accessToken, options = {}) {
+    return this.collectPages(`/organizations/${orgSlug}/projects/`, accessToken, options);
   }
 
   /**
    * Get organization members
    */
-  async getMembers(orgSlug, accessToken) {
-    return this.makeRequest(`/organizations/${orgSlug}/members/`, accessToken);
+  async getMembers(orgSlug, accessToken, options = {}) {
+    return this.collectPages(`/organizations/${orgSlug}/members/`, accessToken, options);
   }
 
   /**
    * Get organization issues with statistics
+   * Time range: { statsPeriod } or { start, end } (see time-range.js)
+   * Filters: query (Sentry search syntax), sort, environments, projectIds, release
+   * (see issue-filters.js)
    */
   async getIssues(orgSlug, accessToken, options = {}) {
     const params = new URLSearchParams({
-      statsPeriod: options.statsPeriod || '14d',
+      ...timeRangeParams(options),
       limit: Math.min(options.limit || 100, 100), // Sentry API max is 100
       sort: options.sort || 'date',
       // Use empty query to get ALL issues, not just unresolved high/medium priority
-      query: options.query !== undefined ? options.query : '',
+      query: buildSearchQuery(options.query || '', options.release),
       project: '-1' // Get issues from all projects
     });
     
-    // If specific project is selected and we have a projectId, override the default
-    if (options.projectId) {
-      params.set('project', options.projectId);
+    // If specific projects are selected, override the default
+    const projectIds = options.projectIds || (options.projectId ? [options.projectId] : []);
+    if (projectIds.length > 0) {
+      params.delete('project');
+      projectIds.forEach(id => params.append('project', id));
     }
+    (options.environments || []).forEach(environment => params.append('environment', environment));
     
     console.log(`📡 Fetching issues with params:`, params.toString());
-    console.log(`📡 Full URL: ${this.baseUrl}/api/0/organizations/${orgSlug}/issues/?${params.toString()}`);
-    return this.makeRequest(`/organizations/${orgSlug}/issues/?${params}`, accessToken);
+    return this.collectPages(`/organizations/${orgSlug}/issues/?${params}`, accessToken, options);
+  }
+
+  /**
+   * Get one issue (title, culprit, counts incl. userCount, first/last seen, permalink)
+   */
+  async getIssue(orgSlug, issueId, accessToken) {
+    return this.makeRequest(`/organizations/${orgSlug}/issues/${issueId}/`, accessToken);
+  }
+
+  /**
+   * Get an issue's latest event, trimmed to exceptions, breadcrumbs, tags and user
+   * (see event-details.js)
+   */
+  async getIssueLatestEvent(orgSlug, issueId, accessToken) {
+    const event = await this.makeRequest(`/organizations/${orgSlug}/issues/${issueId}/events/latest/`, accessToken);
+    return summarizeEvent(event);
+  }
+
+  /**
+   * Get an issue's tags with their most common values
+   * Each tag is { key, name, totalValues, topValues: [{ value, name, count }] }
+   */
+  async getIssueTags(orgSlug, issueId, accessToken) {
+    return this.makeRequest(`/organizations/${orgSlug}/issues/${issueId}/tags/`, accessToken);
+  }
+
+  /**
+   * Get every value of one issue tag with its count (paginated, most common first)
+   */
+  async getIssueTagValues(orgSlug, issueId, tagKey, accessToken, options = {}) {
+    const endpoint = `/organizations/${orgSlug}/issues/${issueId}/tags/${encodeURIComponent(tagKey)}/values/`;
+    return this.collectPages(endpoint, accessToken, options);
+  }
+
+  /**
+   * ✏️ Update one issue (status, assignedTo, isBookmarked, ...) and return it
+   * Build `changes` with buildIssueUpdate() from issue-actions.js.
+   */
+  async updateIssue(orgSlug, issueId, changes, accessToken) {
+    const issue = await this.makeRequest(`/organizations/${orgSlug}/issues/${issueId}/`, accessToken, {
+      method: 'PUT',
+      body: changes
+    });
+    this.invalidateIssueCache(orgSlug);
+    return issue;
+  }
+
+  /**
+   * ✏️ Apply the same update to several issues in one request
+   * Resolves to the attributes Sentry changed (null when no issue matched)
+   */
+  async updateIssues(orgSlug, issueIds, changes, accessToken) {
+    const params = new URLSearchParams();
+    issueIds.forEach(id => params.append('id', id));
+
+    const result = await this.makeRequest(`/organizations/${orgSlug}/issues/?${params}`, accessToken, {
+      method: 'PUT',
+      body: changes
+    });
+    this.invalidateIssueCache(orgSlug);
+    return result;
+  }
+
+  /**
+   * Get the organization's visible environments ([{ id, name }])
+   */
+  async getEnvironments(orgSlug, accessToken) {
+    return this.makeRequest(`/organizations/${orgSlug}/environments/?visibility=visible`, accessToken);
+  }
+
+  /**
+   * Get organization releases, newest first
+   * Options: projectId to limit to one project, environments, query to match versions
+   */
+  async getReleases(orgSlug, accessToken, options = {}) {
+    const params = new URLSearchParams();
+    if (options.projectId) {
+      params.set('project', options.projectId);
+    }
+    (options.environments || []).forEach(environment => params.append('environment', environment));
+    if (options.query) {
+      params.set('query', options.query);
+    }
+    return this.collectPages(`/organizations/${orgSlug}/releases/?${params}`, accessToken, options);
+  }
+
+  /**
+   * Get session totals for the time range, grouped by e.g. ['release', 'session.status']
+   * Options: the time range plus interval, groupBy, projectId, environments
+   */
+  async getSessions(orgSlug, accessToken, options = {}) {
+    const params = new URLSearchParams({
+      ...timeRangeParams(options),
+      interval: options.interval || '1d'
+    });
+    SESSION_FIELDS.forEach(field => params.append('field', field));
+    (options.groupBy || []).forEach(group => params.append('groupBy', group));
+    if (options.projectId) {
+      params.set('project', options.projectId);
+    }
+    (options.environments || []).forEach(environment => params.append('environment', environment));
+
+    return this.makeRequest(`/organizations/${orgSlug}/sessions/?${params}`, accessToken);
+  }
+
+  /**
+   * 🩺 Crash-free rates and adoption for the newest releases (see release-health.js)
+   * Resolves to { releases: [...rows], timeRange }
+   */
+  async getReleaseHealth(orgSlug, accessToken, options = {}) {
+    const timeRange = {
+      statsPeriod: options.statsPeriod,
+      start: options.start,
+      end: options.end,
+      interval: options.interval || '1d'
+    };
+    const filters = { ...timeRange, projectId: options.projectId, environments: options.environments || [] };
+
+    const [releases, totals, statusTotals] = await Promise.all([
+      this.getReleases(orgSlug, accessToken, { ...filters, maxPages: 1, maxItems: MAX_RELEASES }),
+      this.getSessions(orgSlug, accessToken, { ...filters, groupBy: ['release'] }),
+      this.getSessions(orgSlug, accessToken, { ...filters, groupBy: ['release', 'session.status'] })
+    ]);
+
+    return {
+      releases: summarizeReleaseHealth(releases.items, totals, statusTotals),
+      timeRange: this.describeTimeRange(timeRange)
+    };
+  }
+
+  /**
+   * Get organization teams
+   */
+  async getTeams(orgSlug, accessToken, options = {}) {
+    return this.collectPages(`/organizations/${orgSlug}/teams/`, accessToken, options);
+  }
+
+  /**
+   * 👥 Teams with their members, owned projects and open issue counts (see ownership.js)
+   * Open issues are unresolved issues seen in the time range, in the team's projects.
+   *
+   * Resolves to { teams, unownedProjects, teamlessMembers, timeRange }. A team whose
+   * issue count can't be read gets openIssues: null instead of failing the whole view.
+   */
+  async getTeamOwnership(orgSlug, accessToken, options = {}) {
+    const timeRange = { statsPeriod: options.statsPeriod, start: options.start, end: options.end };
+
+    const [{ items: teams }, { items: members }, { items: projects }] = await Promise.all([
+      this.getTeams(orgSlug, accessToken),
+      this.getMembers(orgSlug, accessToken),
+      this.getProjects(orgSlug, accessToken)
+    ]);
+
+    // One count per team: X-Hits of a single-item page of its unresolved issues
+    const openIssueCounts = await Promise.allSettled(teams.map(team => {
+      const projectIds = projects
+        .filter(project => (project.teams || []).some(owner => owner.slug === team.slug))
+        .map(project => String(project.id));
+      if (projectIds.length === 0) {
+        return Promise.resolve(0);
+      }
+      return this.getIssues(orgSlug, accessToken, {
+        ...timeRange,
+        query: 'is:unresolved',
+        projectIds,
+        limit: 1,
+        maxPages: 1
+      }).then(result => result.hits ?? result.items.length);
+    }));
+
+    const openIssuesByTeam = {};
+    openIssueCounts.forEach((settled, index) => {
+      if (settled.status === 'fulfilled') {
+        openIssuesByTeam[teams[index].slug] = settled.value;
+      } else {
+        console.warn(`⚠️ Could not count open issues for team ${teams[index].slug}:`, settled.reason.message);
+      }
+    });
+
+    return {
+      ...buildTeamOwnership({ teams, members, projects, openIssuesByTeam }),
+      timeRange: this.describeTimeRange(timeRange)
+    };
   }
 
   /**
@@ -135,10 +627,12 @@ class SentryAPIService {
 
   /**
    * Get organization session replays
+   * Filters: projectSlug or projectIds, environments, release, user, hasErrors
+   * (see replay-details.js)
    */
   async getReplays(orgSlug, accessToken, options = {}) {
     const params = new URLSearchParams({
-      statsPeriod: options.statsPeriod || '14d',
+      ...timeRangeParams(options),
       per_page: Math.min(options.limit || 100, 100), // Use per_page instead of limit
       sort: options.sort || '-started_at'
     });
@@ -147,50 +641,268 @@ class SentryAPIService {
     if (options.projectSlug) {
       params.set('projectSlug', options.projectSlug);
     }
+    (options.projectIds || []).forEach(id => params.append('project', id));
+    (options.environments || []).forEach(environment => params.append('environment', environment));
+    const query = buildReplayQuery(options);
+    if (query) {
+      params.set('query', query);
+    }
     
     console.log(`📡 Fetching replays with params:`, params.toString());
-    console.log(`📡 Full URL: ${this.baseUrl}/api/0/organizations/${orgSlug}/replays/?${params.toString()}`);
-    
-    const response = await this.makeRequest(`/organizations/${orgSlug}/replays/?${params}`, accessToken);
     
-    // Handle different response structures - replays API might return object with data array
-    if (response && typeof response === 'object') {
-      if (Array.isArray(response)) {
-        return response;
-      } else if (response.data && Array.isArray(response.data)) {
-        console.log(`📡 Extracted ${response.data.length} replays from data property`);
-        return response.data;
-      } else if (response.results && Array.isArray(response.results)) {
-        console.log(`📡 Extracted ${response.results.length} replays from results property`);
-        return response.results;
-      } else {
-        console.log(`📡 Replays response is object but no data array found:`, Object.keys(response));
-        return [];
-      }
+    // The replays API wraps its list in { data: [...] }; collectPages unwraps it
+    return this.collectPages(`/organizations/${orgSlug}/replays/?${params}`, accessToken, options);
+  }
+
+  /**
+   * Get one replay, trimmed by summarizeReplay()
+   */
+  async getReplay(orgSlug, replayId, accessToken) {
+    const response = await this.makeRequest(`/organizations/${orgSlug}/replays/${replayId}/`, accessToken);
+    return summarizeReplay(response?.data);
+  }
+
+  /**
+   * Get the issues behind a replay's errors: [{ id, shortId, title, level, project, count, lastSeen }]
+   * Errors are tagged with the replay ID, so this searches errors within the replay's window.
+   */
+  async getReplayIssues(orgSlug, replay, accessToken) {
+    if (!replay.countErrors || !replay.startedAt) {
+      return [];
     }
-    
-    return response || [];
+
+    // A minute either side covers errors sent just before the first or after the last segment
+    const start = new Date(new Date(replay.startedAt).getTime() - 60 * 1000);
+    const end = new Date(new Date(replay.finishedAt || replay.startedAt).getTime() + 60 * 1000);
+    const params = new URLSearchParams({
+      query: `replayId:${replay.id}`,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      sort: '-count()',
+      per_page: 50
+    });
+    ['issue', 'issue.id', 'title', 'level', 'project', 'count()', 'max(timestamp)']
+      .forEach(field => params.append('field', field));
+
+    const response = await this.makeRequest(`/organizations/${orgSlug}/events/?${params}`, accessToken);
+    return (response?.data || []).map(row => ({
+      id: String(row['issue.id']),
+      shortId: row.issue,
+      title: row.title,
+      level: row.level,
+      project: row.project,
+      count: row['count()'],
+      lastSeen: row['max(timestamp)']
+    }));
+  }
+
+  /**
+   * 🎬 One replay with its linked issues and a link to Sentry's replay player
+   * Resolves to { replay, issues, replayUrl }; a failed issue lookup leaves issues empty.
+   */
+  async getReplayDetails(orgSlug, replayId, credentials) {
+    const replay = await this.getReplay(orgSlug, replayId, credentials);
+
+    let issues = [];
+    try {
+      issues = await this.getReplayIssues(orgSlug, replay, credentials);
+    } catch (error) {
+      console.warn(`⚠️ Could not load issues for replay ${replayId}:`, error.message);
+    }
+
+    const baseUrl = (credentials && credentials.baseUrl) || this.baseUrl;
+    return { replay, issues, replayUrl: replayUrl(baseUrl, orgSlug, replayId) };
   }
 
   /**
-   * Get project-level issue alert rules for comprehensive metrics
+   * Get project-level issue alert rules, with when each last fired (lastTriggered)
    */
   async getProjectAlertRules(orgSlug, projectSlug, accessToken) {
     console.log(`📡 Fetching issue alert rules for project: ${orgSlug}/${projectSlug}`);
-    return this.makeRequest(`/projects/${orgSlug}/${projectSlug}/rules/`, accessToken);
+    return this.makeRequest(`/projects/${orgSlug}/${projectSlug}/rules/?expand=lastTriggered`, accessToken);
+  }
+
+  /**
+   * Get metric alert incidents started in the time range
+   */
+  async getIncidents(orgSlug, accessToken, options = {}) {
+    const params = new URLSearchParams(timeRangeParams(options));
+    return this.collectPages(`/organizations/${orgSlug}/incidents/?${params}`, accessToken, options);
+  }
+
+  /**
+   * 🚨 Metric and issue alert rules in one list, with state and recent incidents
+   * (see alerts.js). Options: the time range plus type / state / project filters.
+   *
+   * Resolves to { rules, projectsWithoutAlerts, failedProjects, timeRange }. A project whose
+   * issue rules can't be read is listed in failedProjects instead of failing the whole overview.
+   */
+  async getAlertsOverview(orgSlug, accessToken, options = {}) {
+    const timeRange = { statsPeriod: options.statsPeriod, start: options.start, end: options.end };
+
+    const [{ items: projects }, metricRules, incidents] = await Promise.all([
+      this.getProjects(orgSlug, accessToken),
+      this.getAlertRules(orgSlug, accessToken),
+      this.getIncidents(orgSlug, accessToken, timeRange)
+        .then(result => result.items)
+        .catch(error => {
+          console.warn(`⚠️ Could not load incidents for ${orgSlug}:`, error.message);
+          return [];
+        })
+    ]);
+
+    // One request per project; the scheduler keeps these within Sentry's rate limits
+    const projectRules = await Promise.allSettled(
+      projects.map(project => this.getProjectAlertRules(orgSlug, project.slug, accessToken))
+    );
+
+    const issueRulesByProject = {};
+    const failedProjects = [];
+    projectRules.forEach((settled, index) => {
+      const { slug } = projects[index];
+      if (settled.status === 'fulfilled') {
+        issueRulesByProject[slug] = settled.value || [];
+      } else {
+        console.warn(`⚠️ Could not load issue alert rules for ${orgSlug}/${slug}:`, settled.reason.message);
+        failedProjects.push(slug);
+      }
+    });
+
+    const rules = mergeAlertRules({
+      metricRules: metricRules || [],
+      issueRulesByProject,
+      incidents,
+      since: getRangeBounds(timeRange).start
+    });
+
+    return {
+      rules: filterAlertRules(rules, options),
+      // Coverage is about the whole org, so it ignores the filters
+      projectsWithoutAlerts: findUnalertedProjects(
+        projects.filter(project => !failedProjects.includes(project.slug)),
+        rules
+      ),
+      failedProjects,
+      timeRange: this.describeTimeRange(timeRange)
+    };
   }
 
   /**
    * Get event statistics for organization
+   * Takes the same time range as getIssues plus an interval (bucket size), a yAxis
+   * (see event-stats.js) and groupBy: 'project' for one series per top project.
+   * Narrowed by projectId, environments and release like the other queries.
+   * Resolves to { yAxis, label, groupBy, series: [{ name, data: [{ timestamp, count }] }] }
    */
   async getEventStats(orgSlug, accessToken, options = {}) {
+    const yAxis = options.yAxis || DEFAULT_Y_AXIS;
+    const groupBy = options.groupBy || null;
+
     const params = new URLSearchParams({
-      statsPeriod: options.statsPeriod || '14d',
+      ...timeRangeParams(options),
       interval: options.interval || '1d',
-      ...options
+      yAxis
     });
+    const query = buildSearchQuery(Y_AXIS_OPTIONS[yAxis]?.query || '', options.release);
+    if (query) {
+      params.set('query', query);
+    }
+    if (options.projectId) {
+      params.set('project', options.projectId);
+    }
+    (options.environments || []).forEach(environment => params.append('environment', environment));
+    if (groupBy) {
+      // Top-N query: Sentry returns one series per group, keyed by the group's value
+      params.set('topEvents', TOP_EVENTS);
+      params.append('field', groupBy);
+      params.append('field', yAxis);
+      params.set('orderby', `-${yAxis}`);
+    }
     
-    return this.makeRequest(`/organizations/${orgSlug}/events-stats/?${params}`, accessToken);
+    const response = await this.makeRequest(`/organizations/${orgSlug}/events-stats/?${params}`, accessToken);
+    return normalizeEventStats(response, { yAxis, groupBy });
+  }
+
+  /**
+   * 🧮 Discover table over error events: one row per combination of the plain fields
+   * Takes the time range, fields (plain and aggregate, e.g. project.id, count()),
+   * environments and maxPages. Resolves to { items, nextCursor, hits }.
+   */
+  async getErrorEventTable(orgSlug, accessToken, options = {}) {
+    const params = new URLSearchParams({
+      ...timeRangeParams(options),
+      query: '!event.type:transaction',
+      project: '-1',
+      per_page: 100
+    });
+    options.fields.forEach(field => params.append('field', field));
+    (options.environments || []).forEach(environment => params.append('environment', environment));
+
+    return this.collectPages(`/organizations/${orgSlug}/events/?${params}`, accessToken, { maxPages: options.maxPages });
+  }
+
+  /**
+   * 📦 The raw numbers behind one period of the project scorecards (see project-scorecards.js)
+   * Resolves to { levelRows, totalRows, newIssues, regressedIssues, truncated }; truncated
+   * means a page budget ran out, so some counts are low.
+   */
+  async getScorecardPeriod(orgSlug, accessToken, options = {}) {
+    const { start, end } = getRangeBounds(options);
+    const issueOptions = { ...options, limit: 100, maxPages: MAX_ISSUE_PAGES };
+    // Relative ranges keep a relative search so the query (and its cache entry) stays the same
+    const firstSeen = options.start
+      ? `firstSeen:>=${start.toISOString()} firstSeen:<${end.toISOString()}`
+      : `firstSeen:-${options.statsPeriod || DEFAULT_STATS_PERIOD}`;
+
+    const results = await Promise.all([
+      this.getErrorEventTable(orgSlug, accessToken, {
+        ...options,
+        fields: ['project.id', 'level', 'count_unique(issue)'],
+        maxPages: MAX_EVENT_PAGES
+      }),
+      this.getErrorEventTable(orgSlug, accessToken, {
+        ...options,
+        fields: ['project.id', 'count()', 'count_unique(user)'],
+        maxPages: MAX_EVENT_PAGES
+      }),
+      this.getIssues(orgSlug, accessToken, { ...issueOptions, query: firstSeen }),
+      this.getIssues(orgSlug, accessToken, { ...issueOptions, query: 'is:regressed' })
+    ]);
+    const [levelRows, totalRows, newIssues, regressedIssues] = results.map(result => result.items);
+
+    return {
+      levelRows,
+      totalRows,
+      newIssues,
+      regressedIssues,
+      truncated: results.some(result => result.nextCursor)
+    };
+  }
+
+  /**
+   * 🏅 Health scorecard per project, compared with the previous period of the same length
+   * Options: the time range and environments. Grades use the scale from SENTRY_SCORECARD_GRADES.
+   *
+   * Resolves to { projects: [scorecards], scale, truncated, timeRange, previousTimeRange }
+   */
+  async getProjectScorecards(orgSlug, accessToken, options = {}) {
+    const timeRange = { statsPeriod: options.statsPeriod, start: options.start, end: options.end };
+    const previousRange = previousTimeRange(timeRange);
+    const environments = options.environments || [];
+
+    const [{ items: projects }, current, previous] = await Promise.all([
+      this.getProjects(orgSlug, accessToken),
+      this.getScorecardPeriod(orgSlug, accessToken, { ...timeRange, environments }),
+      this.getScorecardPeriod(orgSlug, accessToken, { ...previousRange, environments })
+    ]);
+
+    return {
+      projects: buildProjectScorecards({ projects, current, previous }),
+      scale: GRADE_SCALE,
+      truncated: current.truncated || previous.truncated,
+      timeRange: this.describeTimeRange(timeRange),
+      previousTimeRange: this.describeTimeRange(previousRange)
+    };
   }
 
   /**
@@ -199,6 +911,7 @@ class SentryAPIService {
   async getDashboardMetrics(orgSlug, accessToken, options = {}) {
     try {
       console.log(`📊 Fetching dashboard metrics for organization: ${orgSlug}`, options);
+      const throttlingBefore = this.getThrottlingStats(accessToken);
       
       // First, get projects to resolve project slug to ID if needed
       let projectId = null;
@@ -206,7 +919,7 @@ class SentryAPIService {
       
       if (options.project && options.project !== 'all') {
         try {
-          const projects = await this.getProjects(orgSlug, accessToken);
+          const { items: projects } = await this.getProjects(orgSlug, accessToken);
           const project = projects.find(p => p.slug === options.project);
           if (project) {
             projectId = project.id;
@@ -217,14 +930,30 @@ class SentryAPIService {
         }
       }
       
+      // Every call below covers the same window: { statsPeriod } or { start, end }, plus interval
+      const timeRange = {
+        statsPeriod: options.statsPeriod,
+        start: options.start,
+        end: options.end,
+        interval: options.interval || '1d'
+      };
+      // ...and the same environment/release filters
+      const filters = {
+        environments: options.environments || [],
+        release: options.release || null
+      };
+      const eventStatsOptions = { ...timeRange, ...filters, projectId, yAxis: options.yAxis, groupBy: options.groupBy };
+
       const issueOptions = { 
+        ...timeRange,
+        ...filters,
         limit: 100, 
-        statsPeriod: options.statsPeriod || '14d',
         projectId: projectId
       };
       const replayOptions = { 
+        ...timeRange,
+        ...filters,
         limit: 100, 
-        statsPeriod: options.statsPeriod || '14d',
         projectSlug: projectSlug 
       };
       
@@ -243,47 +972,71 @@ class SentryAPIService {
         this.getIssues(orgSlug, accessToken, issueOptions),
         this.getAlertRules(orgSlug, accessToken),
         this.getReplays(orgSlug, accessToken, replayOptions),
-        this.getEventStats(orgSlug, accessToken)
+        this.getEventStats(orgSlug, accessToken, eventStatsOptions)
       ]);
 
+      // Paginated lists resolve to { items, nextCursor, hits }
+      const itemsOf = (settled) => settled.status === 'fulfilled' ? settled.value.items : [];
+      // Prefer Sentry's X-Hits total; otherwise count what we paged through
+      const totalOf = (settled) => {
+        if (settled.status !== 'fulfilled') {
+          return 0;
+        }
+        return settled.value.hits ?? settled.value.items.length;
+      };
+
+      const endpoints = ['organization', 'projects', 'members', 'issues', 'alertRules', 'replays', 'eventStats'];
+      const results = [org, projects, members, issues, alertRules, replays, eventStats];
+      // Which calls failed, so callers can tell "no data" from "no access"
+      const failedEndpoints = results
+        .map((settled, index) => ({ endpoint: endpoints[index], settled }))
+        .filter(({ settled }) => settled.status === 'rejected')
+        .map(({ endpoint, settled }) => ({ endpoint, status: settled.reason.status || null, message: settled.reason.message }));
+
       // Process results and handle failures gracefully
       const result = {
         organization: org.status === 'fulfilled' ? org.value : null,
-        projects: projects.status === 'fulfilled' ? projects.value : [],
-        members: members.status === 'fulfilled' ? members.value : [],
-        issues: issues.status === 'fulfilled' ? issues.value : [],
+        projects: itemsOf(projects),
+        members: itemsOf(members),
+        issues: itemsOf(issues),
         alertRules: alertRules.status === 'fulfilled' ? alertRules.value : [],
-        replays: replays.status === 'fulfilled' ? replays.value : [],
+        replays: itemsOf(replays),
         eventStats: eventStats.status === 'fulfilled' ? eventStats.value : null,
+
+        // The window all of the above covers, with absolute bounds for charts
+        timeRange: this.describeTimeRange(timeRange),
+        filters,
+        failedEndpoints,
+
+        // Rate limiting Sentry applied while these metrics were fetched
+        throttling: this.summarizeThrottling(throttlingBefore, this.getThrottlingStats(accessToken)),
         
         // Calculated metrics
         metrics: {
-          totalProjects: projects.status === 'fulfilled' ? projects.value.length : 0,
-          totalMembers: members.status === 'fulfilled' ? members.value.length : 0,
-          totalIssues: issues.status === 'fulfilled' ? issues.value.length : 0,
+          totalProjects: totalOf(projects),
+          totalMembers: totalOf(members),
+          totalIssues: totalOf(issues),
           totalAlertRules: alertRules.status === 'fulfilled' ? alertRules.value.length : 0,
-          totalReplays: replays.status === 'fulfilled' ? replays.value.length : 0,
+          totalReplays: totalOf(replays),
           
           // Issue statistics by level
-          issuesByLevel: this.calculateIssuesByLevel(issues.status === 'fulfilled' ? issues.value : []),
+          issuesByLevel: this.calculateIssuesByLevel(itemsOf(issues)),
           
           // Project statistics
-          projectStats: this.calculateProjectStats(projects.status === 'fulfilled' ? projects.value : []),
+          projectStats: this.calculateProjectStats(itemsOf(projects)),
           
           // Recent activity
-          recentIssues: this.getRecentIssues(issues.status === 'fulfilled' ? issues.value : []),
-          recentReplays: this.getRecentReplays(replays.status === 'fulfilled' ? replays.value : [])
+          recentIssues: this.getRecentIssues(itemsOf(issues), timeRange),
+          recentReplays: this.getRecentReplays(itemsOf(replays), timeRange),
+          newIssuesTimeline: this.getNewIssuesTimeline(itemsOf(issues), timeRange)
         }
       };
 
       // Log detailed results for each endpoint
-      const endpoints = ['organization', 'projects', 'members', 'issues', 'alertRules', 'replays', 'eventStats'];
-      const results = [org, projects, members, issues, alertRules, replays, eventStats];
-      
       results.forEach((result, index) => {
         const endpointName = endpoints[index];
         if (result.status === 'fulfilled') {
-          const data = result.value;
+          const data = result.value && Array.isArray(result.value.items) ? result.value.items : result.value;
           if (Array.isArray(data)) {
             console.log(`✅ ${endpointName}: SUCCESS - ${data.length} items`);
           } else {
@@ -333,6 +1086,7 @@ class SentryAPIService {
         alertRules: [],
         replays: [],
         eventStats: null,
+        failedEndpoints: [],
         metrics: {
           totalProjects: 0,
           totalMembers: 0,
@@ -342,13 +1096,32 @@ class SentryAPIService {
           issuesByLevel: { error: 0, warning: 0, info: 0, debug: 0, fatal: 0 },
           projectStats: { platformCounts: {}, totalEvents: 0, avgEventsPerProject: 0 },
           recentIssues: [],
-          recentReplays: []
+          recentReplays: [],
+          newIssuesTimeline: []
         },
         error: error.message
       };
     }
   }
 
+  /**
+   * ⏳ What the scheduler had to do between two stats snapshots
+   * (other requests on the same token in that window are counted too)
+   */
+  summarizeThrottling(before, after) {
+    // An idle queue may have been dropped in between, resetting its counters
+    const throttled = Math.max(0, after.throttled - before.throttled);
+    const retries = Math.max(0, after.retries - before.retries);
+    const waitedMs = Math.max(0, after.waitedMs - before.waitedMs);
+
+    return {
+      throttled,
+      retries,
+      waitedMs,
+      rateLimit: after.rateLimit
+    };
+  }
+
   /**
    * Calculate issues by error level
    */
@@ -425,20 +1198,61 @@ class SentryAPIService {
   }
 
   /**
-   * Get recent issues (last 7 days)
+   * 🌐 Dashboard metrics for every organization, a few orgs at a time (see org-overview.js)
+   * Options: the time range. SENTRY_ORG_OVERVIEW_CONCURRENCY sets how many orgs run at once.
+   *
+   * Resolves to { organizations: [row per org], totals, timeRange }; orgs that fail or
+   * deny access get a row with their status instead of failing the overview.
+   */
+  async getOrganizationsOverview(organizations, accessToken, options = {}) {
+    const timeRange = {
+      statsPeriod: options.statsPeriod,
+      start: options.start,
+      end: options.end,
+      interval: options.interval || '1d'
+    };
+    const concurrency = Number(process.env.SENTRY_ORG_OVERVIEW_CONCURRENCY) || DEFAULT_ORG_CONCURRENCY;
+
+    console.log(`🌐 Fetching metrics for ${organizations.length} organizations, ${concurrency} at a time`);
+    const settled = await settleWithConcurrency(organizations, concurrency,
+      organization => this.getDashboardMetrics(organization.slug, accessToken, timeRange)
+    );
+
+    const rows = organizations.map((organization, index) => summarizeOrgMetrics(organization, settled[index]));
+    return {
+      organizations: rows,
+      totals: combineOrgTotals(rows),
+      timeRange: this.describeTimeRange(timeRange)
+    };
+  }
+
+  /**
+   * 📅 A time range with its absolute bounds, so clients can label and bucket charts
+   */
+  describeTimeRange(timeRange) {
+    const { start, end } = getRangeBounds(timeRange);
+    return {
+      statsPeriod: timeRange.start ? null : timeRange.statsPeriod || DEFAULT_STATS_PERIOD,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      interval: timeRange.interval
+    };
+  }
+
+  /**
+   * Get recent issues (first seen within the time range, newest first)
    */
-  getRecentIssues(issues) {
+  getRecentIssues(issues, timeRange = {}) {
     if (!Array.isArray(issues) || issues.length === 0) {
       console.log('📊 No issues data for recent calculation');
       return [];
     }
     
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    const { start, end } = getRangeBounds(timeRange);
     
     try {
       return issues
-        .filter(issue => issue.firstSeen && new Date(issue.firstSeen) >= sevenDaysAgo)
+        .filter(issue => issue.firstSeen && new Date(issue.firstSeen) >= start && new Date(issue.firstSeen) <= end)
         .sort((a, b) => new Date(b.firstSeen) - new Date(a.firstSeen))
         .slice(0, 10);
     } catch (error) {
@@ -448,20 +1262,48 @@ class SentryAPIService {
   }
 
   /**
-   * Get recent replays (last 7 days)
+   * 📈 Count issues by first-seen time, one bucket per interval across the time range
+   * Returns [{ timestamp, count }] with every bucket present (zeros included)
+   */
+  getNewIssuesTimeline(issues, timeRange = {}) {
+    const { start, end } = getRangeBounds(timeRange);
+    // Ranges that didn't come through parseTimeRange() still get a bounded timeline:
+    // past MAX_BUCKETS the buckets widen instead of multiplying
+    const durationMs = end - start;
+    const intervalMs = Math.max(parseDuration(timeRange.interval) || parseDuration('1d'), Math.ceil(durationMs / MAX_BUCKETS));
+    const bucketCount = Math.max(1, Math.ceil(durationMs / intervalMs));
+    const timeline = Array.from({ length: bucketCount }, (_, index) => ({
+      timestamp: new Date(start.getTime() + index * intervalMs).toISOString(),
+      count: 0
+    }));
+
+    for (const issue of Array.isArray(issues) ? issues : []) {
+      const firstSeen = issue.firstSeen ? new Date(issue.firstSeen) : null;
+      if (!firstSeen || firstSeen < start || firstSeen > end) {
+        continue;
+      }
+      const index = Math.min(bucketCount - 1, Math.floor((firstSeen - start) / intervalMs));
+      timeline[index].count++;
+    }
+
+    return timeline;
+  }
+
+  /**
+   * Get recent replays (started within the time range, newest first)
    */
-  getRecentReplays(replays) {
+  getRecentReplays(replays, timeRange = {}) {
     if (!Array.isArray(replays) || replays.length === 0) {
       console.log('📊 No replays data for recent calculation');
       return [];
     }
     
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    const { start, end } = getRangeBounds(timeRange);
     
     try {
       return replays
-        .filter(replay => replay.startedAt && new Date(replay.startedAt) >= sevenDaysAgo)
+        .map(summarizeReplay)
+        .filter(replay => replay.startedAt && new Date(replay.startedAt) >= start && new Date(replay.startedAt) <= end)
         .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
         .slice(0, 10);
     } catch (error) {
@@ -471,4 +1313,4 @@ class SentryAPIService {
   }
 }
 
-module.exports = { SentryAPIService };
\ No newline at end of file
+module.exports = { SentryAPIService, parseLinkHeader };
\ No newline at end of file
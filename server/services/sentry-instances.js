@@ -0,0 +1,139 @@
+/**
+ * 🎯 SENTRY INSTANCES + REGIONS
+ *
+ * A user can sign in against sentry.io or a self-hosted Sentry install, and
+ * sentry.io organizations live in a data region (US, EU, ...) with its own
+ * API host.
+ *
+ * - Instances: the default one comes from SENTRY_BASE_URL + SENTRY_OAUTH_CLIENT_ID/SECRET.
+ *   SENTRY_INSTANCES adds more as a JSON array, each with its own OAuth app:
+ *   [{ "id": "onprem", "name": "Acme Sentry", "baseUrl": "https://sentry.acme.internal",
+ *      "clientId": "...", "clientSecret": "..." }]
+ * - Regions: each organization payload has `links.regionUrl`; we remember it per
+ *   user and send that org's API calls there.
+ *
+ * 📚 Sentry data regions: https://docs.sentry.io/organization/data-storage-location/
+ */
+
+require('dotenv/config');
+const { badRequest } = require('./request-params');
+
+const DEFAULT_INSTANCE_ID = 'default';
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * 📋 Build the instance list from the environment
+ */
+function loadInstances() {
+  const baseUrl = trimTrailingSlash(process.env.SENTRY_BASE_URL || 'https://sentry.io');
+  const instances = [{
+    id: DEFAULT_INSTANCE_ID,
+    name: process.env.SENTRY_INSTANCE_NAME || 'Sentry',
+    baseUrl,
+    clientId: process.env.SENTRY_OAUTH_CLIENT_ID,
+    clientSecret: process.env.SENTRY_OAUTH_CLIENT_SECRET,
+    // RFC 7009 revocation endpoint; configurable because self-hosted installs may differ
+    revokeUrl: process.env.SENTRY_OAUTH_REVOKE_URL || `${baseUrl}/oauth/revoke/`
+  }];
+
+  if (!process.env.SENTRY_INSTANCES) {
+    return instances;
+  }
+
+  let extra;
+  try {
+    extra = JSON.parse(process.env.SENTRY_INSTANCES);
+  } catch (error) {
+    throw new Error(`❌ SENTRY_INSTANCES must be a JSON array: ${error.message}`);
+  }
+  if (!Array.isArray(extra)) {
+    throw new Error('❌ SENTRY_INSTANCES must be a JSON array');
+  }
+
+  for (const entry of extra) {
+    if (!entry.id || !entry.baseUrl || !entry.clientId || !entry.clientSecret) {
+      throw new Error('❌ Each SENTRY_INSTANCES entry needs id, baseUrl, clientId and clientSecret');
+    }
+    if (instances.some(instance => instance.id === entry.id)) {
+      throw new Error(`❌ Duplicate Sentry instance id "${entry.id}"`);
+    }
+
+    const entryBaseUrl = trimTrailingSlash(entry.baseUrl);
+    instances.push({
+      id: entry.id,
+      name: entry.name || entry.id,
+      baseUrl: entryBaseUrl,
+      clientId: entry.clientId,
+      clientSecret: entry.clientSecret,
+      revokeUrl: entry.revokeUrl || `${entryBaseUrl}/oauth/revoke/`
+    });
+  }
+
+  return instances;
+}
+
+const instances = loadInstances();
+
+/**
+ * 🔍 Look up an instance by ID (the default one when no ID is given)
+ * Throws a 400-style error for unknown IDs so bad input never reaches Sentry.
+ */
+function getInstance(instanceId = DEFAULT_INSTANCE_ID) {
+  const instance = instances.find(candidate => candidate.id === (instanceId || DEFAULT_INSTANCE_ID));
+  if (!instance) {
+    throw badRequest(`Unknown Sentry instance "${instanceId}"`);
+  }
+  return instance;
+}
+
+/**
+ * 📋 Instances safe to show on the login page (no OAuth secrets)
+ */
+function listPublicInstances() {
+  return instances.map(({ id, name, baseUrl }) => ({ id, name, baseUrl }));
+}
+
+/**
+ * 🌍 Pick each organization's API region URL out of an organizations payload
+ *
+ * Only hosts under the instance's own host are accepted (us.sentry.io for
+ * sentry.io), so a payload can never send the user's token somewhere else.
+ * Returns { [orgSlug]: regionUrl }.
+ */
+function getRegionUrls(organizations, instance) {
+  const instanceUrl = new URL(instance.baseUrl);
+  const regions = {};
+
+  for (const org of organizations || []) {
+    const regionUrl = org.links && org.links.regionUrl;
+    if (!org.slug || !regionUrl) {
+      continue;
+    }
+
+    let url;
+    try {
+      url = new URL(regionUrl);
+    } catch (error) {
+      continue;
+    }
+
+    const sameHost = url.hostname === instanceUrl.hostname || url.hostname.endsWith(`.${instanceUrl.hostname}`);
+    if (!sameHost || url.protocol !== instanceUrl.protocol) {
+      console.warn(`⚠️  Ignoring region URL ${regionUrl} for ${org.slug} (not under ${instance.baseUrl})`);
+      continue;
+    }
+    regions[org.slug] = trimTrailingSlash(url.origin + url.pathname);
+  }
+
+  return regions;
+}
+
+module.exports = {
+  DEFAULT_INSTANCE_ID,
+  getInstance,
+  listPublicInstances,
+  getRegionUrls
+};
@@ -17,17 +17,24 @@
  */
 
 require('dotenv/config');
+const crypto = require('crypto');
 const Sentry = require('@sentry/node');
+const { BASE_SCOPES } = require('./scopes');
+const { getInstance, listPublicInstances } = require('./sentry-instances');
 
 const { logger } = Sentry;
 
 class SentryOAuthService {
   constructor() {
+    // Base URL, client ID/secret and revoke URL are per Sentry instance (see sentry-instances.js);
+    // this is the default instance plus the settings every instance shares
+    const defaultInstance = getInstance();
     this.config = {
-      clientId: process.env.SENTRY_OAUTH_CLIENT_ID,
-      clientSecret: process.env.SENTRY_OAUTH_CLIENT_SECRET,
+      clientId: defaultInstance.clientId,
+      clientSecret: defaultInstance.clientSecret,
       redirectUri: process.env.SENTRY_OAUTH_REDIRECT_URI,
-      baseUrl: process.env.SENTRY_BASE_URL || 'https://sentry.io',
+      baseUrl: defaultInstance.baseUrl,
+      usePkce: process.env.SENTRY_OAUTH_USE_PKCE === 'true',
     };
 
     if (!this.config.clientId || !this.config.clientSecret) {
@@ -37,7 +44,25 @@ class SentryOAuthService {
     console.log('🔧 Sentry OAuth service initialized:');
     console.log(`   - Base URL: ${this.config.baseUrl}`);
     console.log(`   - Client ID: ${this.config.clientId}`);
+    console.log(`   - Instances: ${listPublicInstances().map(instance => instance.name).join(', ')}`);
     console.log(`   - Redirect URI: ${this.config.redirectUri}`);
+    console.log(`   - PKCE: ${this.config.usePkce ? 'Enabled (S256)' : 'Disabled'}`);
+  }
+
+  /**
+   * 🔐 Generate a PKCE code verifier + S256 challenge pair
+   *
+   * 🎯 What this demonstrates about Sentry OAuth:
+   * - The verifier stays on our server (in the session); only its hash goes to Sentry
+   * - Sentry checks the verifier on token exchange, so a stolen code is useless on its own
+   * - Works alongside the client secret for confidential clients like this one
+   */
+  generatePkcePair() {
+    // 32 random bytes -> 43 char base64url verifier (RFC 7636 allows 43-128)
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    return { codeVerifier, codeChallenge };
   }
 
   /**
@@ -49,12 +74,15 @@ class SentryOAuthService {
    * - Sentry uses standard OAuth 2.0 authorization code flow
    * - Sentry-specific scopes: 'org:read member:read' for basic user info
    * - State parameter for CSRF protection (OAuth best practice)
-   * - Sentry's authorization endpoint: /oauth/authorize/
+   * - Optional PKCE code challenge (S256) when PKCE mode is enabled
+   * - Incremental consent: callers can ask for more scopes than the base set
+   * - Sentry's authorization endpoint: /oauth/authorize/ on the chosen Sentry instance
    */
-  getAuthorizationUrl(state) {
+  getAuthorizationUrl(state, { codeChallenge, scopes = BASE_SCOPES, instanceId } = {}) {
     console.log('🔗 Generating Sentry authorization URL...');
+    const instance = getInstance(instanceId);
     
-    // 📋 Sentry OAuth Scopes for comprehensive read access:
+    // 📋 Sentry OAuth Scopes - the base set gives comprehensive read access:
     // Organizations
     // - org:read: Read organization data
     
@@ -69,18 +97,14 @@ class SentryOAuthService {
     
     // Issues & Events
     // - event:read: Read issues and events
+    //
+    // Features that need more (e.g. event:write for triage) are listed in services/scopes.js
     
-    const scope = [
-      'org:read',
-      'project:read',
-      'team:read',
-      'member:read',
-      'event:read'
-    ].join(' ');
+    const scope = scopes.join(' ');
     
     const params = new URLSearchParams({
       response_type: 'code',           // OAuth 2.0 authorization code flow
-      client_id: this.config.clientId, // Your Sentry OAuth app client ID
+      client_id: instance.clientId,    // Your Sentry OAuth app client ID
       redirect_uri: this.config.redirectUri, // Where Sentry sends the user back
       scope: scope,                    // Permissions requested from Sentry
     });
@@ -89,13 +113,20 @@ class SentryOAuthService {
       params.append('state', state);   // CSRF protection parameter
     }
 
-    const authUrl = `${this.config.baseUrl}/oauth/authorize/?${params.toString()}`;
+    if (codeChallenge) {
+      params.append('code_challenge', codeChallenge); // PKCE: hash of our code verifier
+      params.append('code_challenge_method', 'S256');
+    }
+
+    const authUrl = `${instance.baseUrl}/oauth/authorize/?${params.toString()}`;
     
     console.log('✅ Sentry authorization URL generated:');
-    console.log(`   - Client ID: ${this.config.clientId}`);
+    console.log(`   - Instance: ${instance.name} (${instance.baseUrl})`);
+    console.log(`   - Client ID: ${instance.clientId}`);
     console.log(`   - Redirect URI: ${this.config.redirectUri}`);
     console.log(`   - Scopes: ${scope}`);
     console.log(`   - State: ${state ? 'Yes (CSRF protection)' : 'No'}`);
+    console.log(`   - PKCE: ${codeChallenge ? 'Yes (S256)' : 'No'}`);
 
     return authUrl;
   }
@@ -111,25 +142,32 @@ class SentryOAuthService {
    * - Standard OAuth 2.0 token exchange flow
    * - Required parameters for Sentry token exchange
    * - How Sentry responds with token and user information
+   * - Sending the PKCE code verifier when the flow started with a challenge
    */
-  async exchangeCodeForToken(code) {
+  async exchangeCodeForToken(code, { codeVerifier, instanceId } = {}) {
     console.log('🎫 Exchanging authorization code for access token...');
     
-    const tokenUrl = `${this.config.baseUrl}/oauth/token/`;
+    const instance = getInstance(instanceId);
+    const tokenUrl = `${instance.baseUrl}/oauth/token/`;
     
     // 📋 Standard OAuth 2.0 token exchange parameters
     const params = new URLSearchParams({
       grant_type: 'authorization_code',    // OAuth 2.0 grant type
-      client_id: this.config.clientId,     // Your Sentry OAuth app ID
-      client_secret: this.config.clientSecret, // Your Sentry OAuth app secret
+      client_id: instance.clientId,        // Your Sentry OAuth app ID
+      client_secret: instance.clientSecret, // Your Sentry OAuth app secret
       code,                                // Authorization code from Sentry
       redirect_uri: this.config.redirectUri,   // Must match the original request
     });
 
+    if (codeVerifier) {
+      params.append('code_verifier', codeVerifier); // PKCE: proves we started this flow
+    }
+
     try {
       console.log('📤 Sending token exchange request to Sentry...');
       console.log(`   - Token URL: ${tokenUrl}`);
       console.log(`   - Code length: ${code.length} characters`);
+      console.log(`   - PKCE verifier: ${codeVerifier ? 'Yes' : 'No'}`);
 
       const response = await fetch(tokenUrl, {
         method: 'POST',
@@ -159,7 +197,7 @@ class SentryOAuthService {
             statusText: response.statusText,
             errorText,
             tokenUrl,
-            clientId: this.config.clientId,
+            clientId: instance.clientId,
             redirectUri: this.config.redirectUri
           }
         });
@@ -185,7 +223,7 @@ class SentryOAuthService {
           },
           extra: {
             tokenUrl,
-            clientId: this.config.clientId,
+            clientId: instance.clientId,
             redirectUri: this.config.redirectUri
           }
         });
@@ -202,6 +240,143 @@ class SentryOAuthService {
     }
   }
 
+  /**
+   * 🔁 Refresh an expired access token using the stored refresh token
+   *
+   * 🎯 What this demonstrates about Sentry OAuth:
+   * - Sentry access tokens expire; the refresh token gets a new one without user interaction
+   * - Same token endpoint as the code exchange, with grant_type=refresh_token
+   * - Sentry may rotate the refresh token, so always persist the one it returns
+   */
+  async refreshAccessToken(refreshToken, { instanceId } = {}) {
+    console.log('🔁 Refreshing Sentry access token...');
+
+    const instance = getInstance(instanceId);
+    const tokenUrl = `${instance.baseUrl}/oauth/token/`;
+
+    const params = new URLSearchParams({
+      grant_type: 'refresh_token',             // OAuth 2.0 refresh grant
+      client_id: instance.clientId,
+      client_secret: instance.clientSecret,
+      refresh_token: refreshToken,
+    });
+
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json',
+      },
+      body: params.toString(),
+    });
+
+    console.log(`📥 Sentry refresh response: ${response.status} ${response.statusText}`);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`❌ Sentry token refresh failed: ${response.status} ${errorText}`);
+      error.status = response.status;
+      console.error(error.message);
+
+      Sentry.captureException(error, {
+        tags: {
+          oauth_service: 'sentry',
+          oauth_step: 'token_refresh',
+          http_status: response.status.toString()
+        },
+        extra: { tokenUrl, clientId: instance.clientId }
+      });
+
+      throw error;
+    }
+
+    const tokenData = await response.json();
+    console.log('✅ Successfully refreshed Sentry access token');
+    console.log(`   - Has New Refresh Token: ${!!tokenData.refresh_token}`);
+
+    return this.normalizeTokenResponse(tokenData);
+  }
+
+  /**
+   * 🚫 Revoke a token with Sentry (RFC 7009 token revocation)
+   *
+   * 🎯 What this demonstrates about Sentry OAuth:
+   * - Logging out locally doesn't invalidate the token on Sentry's side
+   * - Revoking tells Sentry to stop accepting the token right away
+   *
+   * Returns true when Sentry confirmed the revocation, false when the
+   * endpoint isn't available (404/405) so callers can report it honestly.
+   */
+  async revokeToken(token, tokenTypeHint = 'access_token', { instanceId } = {}) {
+    console.log(`🚫 Revoking Sentry ${tokenTypeHint}...`);
+
+    const instance = getInstance(instanceId);
+    const params = new URLSearchParams({
+      token,
+      token_type_hint: tokenTypeHint,
+      client_id: instance.clientId,
+      client_secret: instance.clientSecret,
+    });
+
+    const response = await fetch(instance.revokeUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json',
+      },
+      body: params.toString(),
+    });
+
+    console.log(`📥 Sentry revoke response: ${response.status} ${response.statusText}`);
+
+    if (response.ok) {
+      console.log(`✅ Sentry ${tokenTypeHint} revoked`);
+      return true;
+    }
+
+    if (response.status === 404 || response.status === 405) {
+      console.warn(`⚠️  Token revocation not supported at ${instance.revokeUrl}`);
+      return false;
+    }
+
+    const errorText = await response.text();
+    const error = new Error(`❌ Sentry token revocation failed: ${response.status} ${errorText}`);
+    error.status = response.status;
+
+    Sentry.captureException(error, {
+      tags: {
+        oauth_service: 'sentry',
+        oauth_step: 'token_revoke',
+        http_status: response.status.toString()
+      },
+      extra: { revokeUrl: instance.revokeUrl, tokenTypeHint }
+    });
+
+    throw error;
+  }
+
+  /**
+   * 🧾 Normalize a Sentry token response into the fields we persist
+   *
+   * Sentry returns `expires_in` (seconds) and, on newer installs, `expires_at`.
+   * We always store an absolute ISO timestamp so we know when to refresh.
+   */
+  normalizeTokenResponse(tokenData) {
+    let expiresAt = null;
+    if (tokenData.expires_at) {
+      expiresAt = new Date(tokenData.expires_at).toISOString();
+    } else if (tokenData.expires_in) {
+      expiresAt = new Date(Date.now() + Number(tokenData.expires_in) * 1000).toISOString();
+    }
+
+    return {
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token || null,
+      expiresAt,
+      scope: tokenData.scope || null,
+    };
+  }
+
   /**
    * 👤 STEP 3: Get User Information from Sentry API
    * 
@@ -211,17 +386,19 @@ class SentryOAuthService {
    * - What user information Sentry provides
    * - Resilient API calling with fallback endpoints
    */
-  async getUserInfo(accessToken) {
+  async getUserInfo(accessToken, { instanceId } = {}) {
     console.log('👤 Fetching user information from Sentry API...');
     
+    const { baseUrl } = getInstance(instanceId);
+
     // OAuth 2.0 standard user info endpoints to try
     const possibleEndpoints = [
-      `${this.config.baseUrl}/oauth/userinfo`,        // Standard OAuth 2.0 userinfo endpoint
-      `${this.config.baseUrl}/userinfo`,              // Alternative standard endpoint
-      `${this.config.baseUrl}/oauth/userinfo/`,       // With trailing slash
-      `${this.config.baseUrl}/userinfo/`,             // Alternative with trailing slash
-      `${this.config.baseUrl}/api/0/user/`,           // Sentry API user endpoint
-      `${this.config.baseUrl}/api/0/users/me/`,       // Sentry API current user
+      `${baseUrl}/oauth/userinfo`,        // Standard OAuth 2.0 userinfo endpoint
+      `${baseUrl}/userinfo`,              // Alternative standard endpoint
+      `${baseUrl}/oauth/userinfo/`,       // With trailing slash
+      `${baseUrl}/userinfo/`,             // Alternative with trailing slash
+      `${baseUrl}/api/0/user/`,           // Sentry API user endpoint
+      `${baseUrl}/api/0/users/me/`,       // Sentry API current user
     ];
 
     let lastError = null;
@@ -303,13 +480,15 @@ class SentryOAuthService {
   /**
    * 🎯 COMPLETE OAUTH FLOW: Combines token exchange + user info retrieval
    * 
-   * This is the main method that handles the complete Sentry OAuth flow
+   * This is the main method that handles the complete Sentry OAuth flow.
+   * Returns the user plus the normalized `tokens` (access, refresh, expiry, scope).
    */
-  async completeOAuthFlow(code) {
+  async completeOAuthFlow(code, { codeVerifier, instanceId } = {}) {
     console.log('🎯 Starting complete Sentry OAuth flow...');
     
     // Step 1: Exchange code for token
-    const tokenResponse = await this.exchangeCodeForToken(code);
+    const tokenResponse = await this.exchangeCodeForToken(code, { codeVerifier, instanceId });
+    const tokens = this.normalizeTokenResponse(tokenResponse);
     
     // Check if user info is included in token response (some providers do this)
     if (tokenResponse.user || tokenResponse.user_info || tokenResponse.profile) {
@@ -327,20 +506,22 @@ class SentryOAuthService {
             username: userInfo.username,
             avatar: userInfo.avatar,
           },
-          accessToken: tokenResponse.access_token,
+          accessToken: tokens.accessToken,
+          tokens,
         };
       }
     }
     
     // Step 2: Fall back to fetching user info from API
     console.log('📡 User info not in token response, fetching from Sentry API...');
-    const user = await this.getUserInfo(tokenResponse.access_token);
+    const user = await this.getUserInfo(tokenResponse.access_token, { instanceId });
     
     console.log('🎉 Sentry OAuth flow completed successfully!');
     
     return {
       user,
-      accessToken: tokenResponse.access_token,
+      accessToken: tokens.accessToken,
+      tokens,
     };
   }
 }
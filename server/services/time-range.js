@@ -0,0 +1,156 @@
+/**
+ * 🎯 DASHBOARD TIME RANGES
+ *
+ * Sentry's organization endpoints (issues, replays, events-stats) all take the
+ * same time parameters:
+ *
+ * - statsPeriod: a relative window such as 24h, 14d or 2w
+ * - start + end: an absolute window (ISO 8601), used instead of statsPeriod
+ * - interval: bucket size for time series (events-stats)
+ *
+ * The dashboard routes parse these once from the query string and hand the
+ * same range to every SentryAPIService call.
+ *
+ * 📚 https://docs.sentry.io/api/discover/retrieve-event-statistics-for-an-organization/
+ */
+
+const { badRequest } = require('./request-params');
+
+const DEFAULT_STATS_PERIOD = '14d';
+// Sentry rejects time series with too many buckets; stay well below its limit
+const MAX_BUCKETS = 1000;
+// Longest window the dashboard asks for, as Sentry caps stats queries at 90 days
+const MAX_RANGE_DAYS = 90;
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * ⏱️ Turn a Sentry duration like "24h" or "2w" into milliseconds (null if invalid)
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([smhdw])$/.exec(String(value || ''));
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+/**
+ * 📐 Pick a bucket size that keeps a chart readable for the given window
+ * (hourly up to 2 days, daily beyond that; ranges stop at MAX_RANGE_DAYS)
+ */
+function defaultInterval(durationMs) {
+  return durationMs <= 2 * UNIT_MS.d ? '1h' : '1d';
+}
+
+/**
+ * 🔍 Read statsPeriod / start / end / interval from a query string
+ *
+ * Returns { statsPeriod, start, end, interval } with either statsPeriod or
+ * start + end set (never both). Throws a 400-style error for bad input so it
+ * never reaches Sentry.
+ */
+function parseTimeRange(query = {}) {
+  const { statsPeriod, start, end, interval } = query;
+  let range;
+
+  if (start || end) {
+    if (!start || !end) {
+      throw badRequest('start and end must be given together');
+    }
+    if (statsPeriod) {
+      throw badRequest('Use either statsPeriod or start/end, not both');
+    }
+
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+      throw badRequest('start and end must be ISO 8601 dates');
+    }
+    if (startDate >= endDate) {
+      throw badRequest('start must be before end');
+    }
+
+    range = { statsPeriod: null, start: startDate.toISOString(), end: endDate.toISOString() };
+  } else {
+    const period = statsPeriod || DEFAULT_STATS_PERIOD;
+    if (parseDuration(period) === null) {
+      throw badRequest(`Invalid statsPeriod "${period}" (expected e.g. 24h, 14d, 2w)`);
+    }
+    range = { statsPeriod: period, start: null, end: null };
+  }
+
+  const { start: from, end: to } = getRangeBounds(range);
+  const durationMs = to - from;
+  if (durationMs > MAX_RANGE_DAYS * UNIT_MS.d) {
+    throw badRequest(`Time range is too long (at most ${MAX_RANGE_DAYS} days)`);
+  }
+
+  if (interval !== undefined && interval !== '') {
+    if (parseDuration(interval) === null) {
+      throw badRequest(`Invalid interval "${interval}" (expected e.g. 1h, 1d)`);
+    }
+    range.interval = interval;
+  } else {
+    range.interval = defaultInterval(durationMs);
+  }
+
+  // Checked for the effective interval, whether the client picked it or we did
+  if (durationMs / parseDuration(range.interval) > MAX_BUCKETS) {
+    throw badRequest(`interval ${range.interval} is too small for this time range (max ${MAX_BUCKETS} buckets)`);
+  }
+
+  return range;
+}
+
+/**
+ * 📅 Absolute start/end Dates for a parsed range (relative periods end now)
+ */
+function getRangeBounds(range = {}) {
+  if (range.start && range.end) {
+    return { start: new Date(range.start), end: new Date(range.end) };
+  }
+
+  const end = new Date();
+  const durationMs = parseDuration(range.statsPeriod || DEFAULT_STATS_PERIOD);
+  return { start: new Date(end.getTime() - durationMs), end };
+}
+
+/**
+ * 🔗 The time parameters to send to Sentry for a range
+ * (interval is left out; only time series endpoints take it)
+ */
+function timeRangeParams(range = {}) {
+  if (range.start && range.end) {
+    return { start: range.start, end: range.end };
+  }
+  return { statsPeriod: range.statsPeriod || DEFAULT_STATS_PERIOD };
+}
+
+/**
+ * ⏮️ The window of the same length that ends where this one starts
+ * (always absolute; rounded to the minute so repeated requests share cached responses)
+ */
+function previousTimeRange(range = {}) {
+  const { start, end } = getRangeBounds(range);
+  const previousEnd = new Date(Math.floor(start.getTime() / UNIT_MS.m) * UNIT_MS.m);
+  const previousStart = new Date(previousEnd.getTime() - (end - start));
+  return { statsPeriod: null, start: previousStart.toISOString(), end: previousEnd.toISOString(), interval: range.interval };
+}
+
+module.exports = {
+  DEFAULT_STATS_PERIOD,
+  MAX_BUCKETS,
+  MAX_RANGE_DAYS,
+  parseDuration,
+  parseTimeRange,
+  getRangeBounds,
+  previousTimeRange,
+  timeRangeParams
+};
@@ -0,0 +1,161 @@
+/**
+ * 🎯 SENTRY TOKEN ENCRYPTION AT REST
+ *
+ * Sentry access and refresh tokens are stored encrypted with AES-256-GCM
+ * (authenticated encryption), so a leaked store dump or a stray log line
+ * doesn't hand out live Sentry credentials.
+ *
+ * 🔐 Sealed token format: v1.<keyId>.<iv>.<authTag>.<ciphertext> (base64url parts)
+ * The key ID travels with each token, which is what makes key rotation work:
+ * - TOKEN_ENCRYPTION_KEYS: comma-separated keyId:base64Key pairs (32-byte keys)
+ * - TOKEN_ENCRYPTION_ACTIVE_KEY_ID: key used for new tokens (defaults to the first)
+ * Old keys stay in the list until every token has been re-encrypted.
+ *
+ * Generate a key: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ */
+
+require('dotenv/config');
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * 🔑 Load encryption keys from the environment
+ */
+function loadKeys() {
+  const keys = new Map();
+  const configured = (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  for (const entry of configured) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || !KEY_ID_PATTERN.test(keyId)) {
+      throw new Error('❌ Invalid TOKEN_ENCRYPTION_KEYS entry - expected keyId:base64Key');
+    }
+    if (key.length !== 32) {
+      throw new Error(`❌ Token encryption key "${keyId}" must be 32 bytes (got ${key.length})`);
+    }
+    keys.set(keyId, key);
+  }
+
+  if (keys.size === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('❌ TOKEN_ENCRYPTION_KEYS must be set in production');
+    }
+
+    // Development fallback: derive a key from the session secret so the demo runs without extra setup
+    console.warn('⚠️  TOKEN_ENCRYPTION_KEYS not set - deriving a development key from SESSION_SECRET');
+    const secret = process.env.SESSION_SECRET || 'sentry-demo-secret-key';
+    keys.set('dev', crypto.scryptSync(secret, 'sentry-token-encryption', 32));
+  }
+
+  const activeKeyId = process.env.TOKEN_ENCRYPTION_ACTIVE_KEY_ID || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`❌ TOKEN_ENCRYPTION_ACTIVE_KEY_ID "${activeKeyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  return { keys, activeKeyId };
+}
+
+const { keys, activeKeyId } = loadKeys();
+console.log(`🔐 Token encryption ready (active key: ${activeKeyId}, ${keys.size} key(s) loaded)`);
+
+/**
+ * 🔍 Does this value look like a sealed token?
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${FORMAT_VERSION}.`) && value.split('.').length === 5;
+}
+
+/**
+ * 🔒 Encrypt a token with the active key
+ */
+function encryptToken(plaintext) {
+  if (plaintext === null || plaintext === undefined) {
+    return null;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  // Bind the version + key ID to the ciphertext so they can't be swapped
+  cipher.setAAD(Buffer.from(`${FORMAT_VERSION}.${activeKeyId}`));
+
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [
+    FORMAT_VERSION,
+    activeKeyId,
+    iv.toString('base64url'),
+    authTag.toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join('.');
+}
+
+/**
+ * 🔓 Decrypt a sealed token (throws if it was tampered with or the key is unknown)
+ */
+function decryptToken(sealed) {
+  if (sealed === null || sealed === undefined) {
+    return null;
+  }
+  if (!isEncrypted(sealed)) {
+    throw new Error('Stored Sentry token is not encrypted');
+  }
+
+  const [version, keyId, iv, authTag, ciphertext] = sealed.split('.');
+  const key = keys.get(keyId);
+  if (!key) {
+    throw new Error(`No token encryption key loaded for key ID "${keyId}"`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(`${version}.${keyId}`));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * 🔄 Should this stored value be re-encrypted (plaintext or sealed with an old key)?
+ */
+function needsReencryption(value) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  return !isEncrypted(value) || value.split('.')[1] !== activeKeyId;
+}
+
+/**
+ * 🔄 Re-encrypt a stored value under the active key (accepts legacy plaintext)
+ */
+function reencryptToken(value) {
+  return encryptToken(isEncrypted(value) ? decryptToken(value) : value);
+}
+
+/**
+ * 🔒 Seal the tokens in a normalized token set before it's stored
+ */
+function sealTokens(tokens) {
+  return {
+    ...tokens,
+    accessToken: encryptToken(tokens.accessToken),
+    refreshToken: encryptToken(tokens.refreshToken)
+  };
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  isEncrypted,
+  needsReencryption,
+  reencryptToken,
+  sealTokens
+};
@@ -0,0 +1,156 @@
+/**
+ * 🎯 SENTRY TOKEN MANAGER
+ *
+ * Keeps users' Sentry access tokens fresh so dashboard calls don't start
+ * failing once the token expires.
+ *
+ * 🔐 What this demonstrates about Sentry OAuth:
+ * 1. Refreshing proactively when a token is about to expire
+ * 2. Refreshing reactively when Sentry answers with 401
+ * 3. Only one refresh request in flight per user (refresh tokens may be single-use)
+ */
+
+const database = require('../database');
+const { sentryOAuthService } = require('./sentry-oauth.js');
+const { decryptToken } = require('./token-crypto');
+const { getInstance } = require('./sentry-instances');
+
+// Refresh this long before the token actually expires
+const REFRESH_SKEW_MS = 60 * 1000;
+
+// A 401 the client should answer by sending the user through login again
+function loginRequired(message) {
+  const error = new Error(message);
+  error.status = 401;
+  error.loginRequired = true;
+  return error;
+}
+
+class TokenManager {
+  constructor() {
+    // userId -> Promise<user> for refreshes currently in flight
+    this.inFlightRefreshes = new Map();
+  }
+
+  /**
+   * ⏰ Is the user's access token expired or about to expire?
+   */
+  isExpiringSoon(user) {
+    if (!user.token_expires_at) {
+      return false;
+    }
+    return new Date(user.token_expires_at).getTime() - REFRESH_SKEW_MS <= Date.now();
+  }
+
+  /**
+   * 🔁 Refresh a user's token, sharing the result with concurrent callers
+   * Rejects with a 401 (loginRequired) when Sentry won't refresh it any more.
+   */
+  refreshUserToken(userId) {
+    if (this.inFlightRefreshes.has(userId)) {
+      console.log(`🔁 Token refresh already in flight for user ${userId}, waiting for it`);
+      return this.inFlightRefreshes.get(userId);
+    }
+
+    const refresh = (async () => {
+      const user = await database.findUserById(userId);
+      if (!user || !user.refresh_token) {
+        throw loginRequired('No Sentry refresh token stored - please log in again');
+      }
+
+      let tokens;
+      try {
+        tokens = await sentryOAuthService.refreshAccessToken(decryptToken(user.refresh_token), {
+          instanceId: user.sentry_instance
+        });
+      } catch (error) {
+        // Sentry answers 400 invalid_grant (or 401) once the refresh token expired or was revoked
+        if ([400, 401].includes(error.status)) {
+          throw loginRequired('Sentry rejected the refresh token (expired or revoked) - please log in again');
+        }
+        throw error;
+      }
+      return database.updateUserTokens(userId, tokens);
+    })().finally(() => {
+      this.inFlightRefreshes.delete(userId);
+    });
+
+    this.inFlightRefreshes.set(userId, refresh);
+    return refresh;
+  }
+
+  /**
+   * 🚫 Revoke a user's Sentry tokens and remove them from the store
+   *
+   * The stored tokens are cleared even if Sentry can't confirm the revocation,
+   * so we never keep using a token the user asked us to drop.
+   * Returns { revoked } - true only when Sentry confirmed it.
+   */
+  async revokeUserTokens(userId) {
+    const user = await database.findUserById(userId);
+    if (!user || (!user.access_token && !user.refresh_token)) {
+      return { revoked: false };
+    }
+
+    const revokeOptions = { instanceId: user.sentry_instance };
+    let revoked = false;
+    try {
+      // Revoke the refresh token first so it can't be used to mint a new access token
+      if (user.refresh_token) {
+        revoked = await sentryOAuthService.revokeToken(decryptToken(user.refresh_token), 'refresh_token', revokeOptions);
+      }
+      if (user.access_token) {
+        revoked = await sentryOAuthService.revokeToken(decryptToken(user.access_token), 'access_token', revokeOptions) || revoked;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to revoke Sentry tokens for user ${userId}:`, error.message);
+    } finally {
+      await database.clearUserTokens(userId);
+    }
+
+    return { revoked };
+  }
+
+  /**
+   * 🔑 Build the credentials object SentryAPIService uses for a user
+   *
+   * - getAccessToken(): current (still encrypted) token, refreshed first if it's about to expire
+   * - refreshAccessToken(staleToken): called after a 401 to get a new token
+   * - baseUrl / regionUrls: where to send API calls - the user's Sentry instance, or the
+   *   organization's region host when we know it
+   * SentryAPIService decrypts the token right before it goes into the Authorization header.
+   */
+  forUser(user) {
+    let current = user;
+
+    return {
+      userId: user.id,
+      baseUrl: getInstance(user.sentry_instance).baseUrl,
+      regionUrls: JSON.parse(user.org_regions || '{}'),
+
+      getAccessToken: async () => {
+        if (current.refresh_token && this.isExpiringSoon(current)) {
+          console.log(`⏰ Access token for user ${current.id} expires soon, refreshing first`);
+          current = await this.refreshUserToken(current.id);
+        }
+        return current.access_token;
+      },
+
+      refreshAccessToken: async (staleToken) => {
+        // Another request may already have refreshed the token while ours was in flight
+        const latest = await database.findUserById(current.id);
+        if (latest && latest.access_token !== staleToken) {
+          current = latest;
+          return current.access_token;
+        }
+
+        current = await this.refreshUserToken(current.id);
+        return current.access_token;
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const tokenManager = new TokenManager();
+module.exports = { tokenManager };
@@ -0,0 +1,81 @@
+/**
+ * 🎯 SESSION STORE BASE CLASS
+ *
+ * Shared behaviour for our express-session stores:
+ * - Session expiry follows the session cookie (cookie.expires / cookie.maxAge)
+ * - A background cleanup job removes expired sessions
+ *
+ * Subclasses implement the express-session Store API (get, set, destroy,
+ * touch, all, length, clear) plus cleanupExpired(), listByUserId() and
+ * destroyByUserId().
+ */
+
+const session = require('express-session');
+
+const DEFAULT_CLEANUP_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+class BaseSessionStore extends session.Store {
+  constructor({ ttlMs, cleanupIntervalMs = DEFAULT_CLEANUP_INTERVAL_MS } = {}) {
+    super();
+    this.ttlMs = ttlMs;
+    this.cleanupIntervalMs = cleanupIntervalMs;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * ⏰ When does this session expire? (ms since epoch)
+   * Matches the cookie so the server forgets a session when the browser does.
+   */
+  getExpiresAt(sess) {
+    if (sess && sess.cookie && sess.cookie.expires) {
+      return new Date(sess.cookie.expires).getTime();
+    }
+    if (sess && sess.cookie && typeof sess.cookie.originalMaxAge === 'number') {
+      return Date.now() + sess.cookie.originalMaxAge;
+    }
+    return Date.now() + this.ttlMs;
+  }
+
+  /**
+   * 👤 Which user does this session belong to? (set in /api/auth/callback)
+   */
+  getUserId(sess) {
+    return sess && sess.userId !== undefined ? sess.userId : null;
+  }
+
+  /**
+   * 🧹 Start the periodic job that deletes expired sessions
+   */
+  startCleanup() {
+    if (this.cleanupTimer || !this.cleanupIntervalMs) {
+      return;
+    }
+
+    const runCleanup = async () => {
+      try {
+        const removed = await this.cleanupExpired();
+        if (removed > 0) {
+          console.log(`🧹 Removed ${removed} expired session(s)`);
+        }
+      } catch (error) {
+        console.error('❌ Session cleanup failed:', error);
+      }
+    };
+
+    this.cleanupTimer = setInterval(runCleanup, this.cleanupIntervalMs);
+    // Don't keep the process alive just for cleanup
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * 🛑 Stop the cleanup job (used on shutdown)
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = { BaseSessionStore };
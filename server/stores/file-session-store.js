@@ -0,0 +1,196 @@
+/**
+ * 🎯 FILE-BASED SESSION STORE
+ *
+ * Keeps one JSON file per session in SESSION_FILE_DIR. Sessions survive
+ * restarts without a database, which suits single-node setups. Don't use it
+ * for multiple instances unless they share the directory.
+ */
+
+const crypto = require('crypto');
+const { mkdirSync } = require('fs');
+const fs = require('fs/promises');
+const path = require('path');
+const { BaseSessionStore } = require('./base-session-store');
+
+const DEFAULT_SESSION_DIR = path.join(__dirname, '..', 'data', 'sessions');
+
+// express-session IDs are URL-safe base64; anything else could escape the directory
+const SID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class FileSessionStore extends BaseSessionStore {
+  constructor(options = {}) {
+    super(options);
+    this.directory = options.directory || process.env.SESSION_FILE_DIR || DEFAULT_SESSION_DIR;
+
+    // Created up front so a directory we can't use stops startup instead of failing every request
+    try {
+      mkdirSync(this.directory, { recursive: true });
+    } catch (error) {
+      throw new Error(`❌ Cannot create session directory ${this.directory} (SESSION_FILE_DIR): ${error.message}`);
+    }
+
+    console.log(`🍪 File Session Store initialized (${this.directory})`);
+  }
+
+  filePath(sid) {
+    if (!SID_PATTERN.test(sid)) {
+      throw new Error('Invalid session ID');
+    }
+    return path.join(this.directory, `${sid}.json`);
+  }
+
+  /**
+   * 🔍 Read a live (non-expired) session record, deleting it if it has expired
+   */
+  async readRecord(sid) {
+    let record;
+    try {
+      record = JSON.parse(await fs.readFile(this.filePath(sid), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    if (record.expiresAt <= Date.now()) {
+      await fs.rm(this.filePath(sid), { force: true });
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * 💾 Write a session record atomically (write temp file, then rename)
+   */
+  async writeRecord(sid, record) {
+    const target = this.filePath(sid);
+    // Unique per write: overlapping saves of one session (parallel requests) must not share a temp file
+    const temp = `${target}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(temp, JSON.stringify(record));
+      await fs.rename(temp, target);
+    } catch (error) {
+      await fs.rm(temp, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * 📋 List every session ID that has a file on disk
+   */
+  async listSessionIds() {
+    const files = await fs.readdir(this.directory);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+
+  get(sid, callback) {
+    this.readRecord(sid)
+      .then(record => callback(null, record ? record.sess : null))
+      .catch(callback);
+  }
+
+  set(sid, sess, callback) {
+    this.writeRecord(sid, { sess, expiresAt: this.getExpiresAt(sess), userId: this.getUserId(sess) })
+      .then(() => callback && callback(null))
+      .catch(error => callback && callback(error));
+  }
+
+  touch(sid, sess, callback) {
+    this.readRecord(sid)
+      .then(record => record && this.writeRecord(sid, { ...record, expiresAt: this.getExpiresAt(sess) }))
+      .then(() => callback && callback(null))
+      .catch(error => callback && callback(error));
+  }
+
+  destroy(sid, callback) {
+    Promise.resolve()
+      .then(() => fs.rm(this.filePath(sid), { force: true }))
+      .then(() => callback && callback(null))
+      .catch(error => callback && callback(error));
+  }
+
+  all(callback) {
+    (async () => {
+      const sessions = {};
+      for (const sid of await this.listSessionIds()) {
+        const record = await this.readRecord(sid);
+        if (record) {
+          sessions[sid] = record.sess;
+        }
+      }
+      return sessions;
+    })()
+      .then(sessions => callback(null, sessions))
+      .catch(callback);
+  }
+
+  length(callback) {
+    this.all((err, sessions) => callback(err, sessions ? Object.keys(sessions).length : 0));
+  }
+
+  clear(callback) {
+    this.listSessionIds()
+      .then(sids => Promise.all(sids.map(sid => fs.rm(this.filePath(sid), { force: true }))))
+      .then(() => callback && callback(null))
+      .catch(error => callback && callback(error));
+  }
+
+  /**
+   * 📋 List a user's live sessions as [{ sid, sess, expiresAt }]
+   */
+  async listByUserId(userId) {
+    const sessions = [];
+    for (const sid of await this.listSessionIds()) {
+      const record = await this.readRecord(sid).catch(() => null);
+      if (record && record.userId === userId) {
+        sessions.push({ sid, sess: record.sess, expiresAt: record.expiresAt });
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * 🚪 End every session belonging to a user, returns how many were removed
+   */
+  async destroyByUserId(userId) {
+    let removed = 0;
+    for (const sid of await this.listSessionIds()) {
+      const record = await this.readRecord(sid).catch(() => null);
+      if (record && record.userId === userId) {
+        await fs.rm(this.filePath(sid), { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 🧹 Delete expired session files, returns how many were removed
+   */
+  async cleanupExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const sid of await this.listSessionIds()) {
+      let expired;
+      try {
+        const record = JSON.parse(await fs.readFile(this.filePath(sid), 'utf8'));
+        expired = record.expiresAt <= now;
+      } catch (error) {
+        // Unreadable or half-written files are treated as expired
+        expired = error.code !== 'ENOENT';
+      }
+
+      if (expired) {
+        await fs.rm(this.filePath(sid), { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = { FileSessionStore };
@@ -0,0 +1,126 @@
+/**
+ * 🎯 IN-MEMORY SESSION STORE
+ *
+ * Pairs with the in-memory user store: sessions are lost on restart, which is
+ * fine for tests and local demos. Unlike express-session's MemoryStore it
+ * expires sessions with the cookie and cleans them up in the background.
+ */
+
+const { BaseSessionStore } = require('./base-session-store');
+
+class MemorySessionStore extends BaseSessionStore {
+  constructor(options) {
+    super(options);
+    // sid -> { sess: JSON string, expiresAt: ms, userId }
+    this.sessions = new Map();
+
+    console.log('🍪 Memory Session Store initialized (sessions lost on restart)');
+  }
+
+  /**
+   * 🔍 Load a live (non-expired) session record
+   */
+  getRecord(sid) {
+    const record = this.sessions.get(sid);
+    if (!record) {
+      return null;
+    }
+    if (record.expiresAt <= Date.now()) {
+      this.sessions.delete(sid);
+      return null;
+    }
+    return record;
+  }
+
+  get(sid, callback) {
+    const record = this.getRecord(sid);
+    callback(null, record ? JSON.parse(record.sess) : null);
+  }
+
+  set(sid, sess, callback) {
+    this.sessions.set(sid, {
+      sess: JSON.stringify(sess),
+      expiresAt: this.getExpiresAt(sess),
+      userId: this.getUserId(sess)
+    });
+    callback && callback(null);
+  }
+
+  touch(sid, sess, callback) {
+    const record = this.getRecord(sid);
+    if (record) {
+      record.expiresAt = this.getExpiresAt(sess);
+    }
+    callback && callback(null);
+  }
+
+  destroy(sid, callback) {
+    this.sessions.delete(sid);
+    callback && callback(null);
+  }
+
+  all(callback) {
+    const sessions = {};
+    for (const sid of this.sessions.keys()) {
+      const record = this.getRecord(sid);
+      if (record) {
+        sessions[sid] = JSON.parse(record.sess);
+      }
+    }
+    callback(null, sessions);
+  }
+
+  length(callback) {
+    this.all((err, sessions) => callback(err, Object.keys(sessions).length));
+  }
+
+  clear(callback) {
+    this.sessions.clear();
+    callback && callback(null);
+  }
+
+  /**
+   * 📋 List a user's live sessions as [{ sid, sess, expiresAt }]
+   */
+  async listByUserId(userId) {
+    const sessions = [];
+    for (const sid of this.sessions.keys()) {
+      const record = this.getRecord(sid);
+      if (record && record.userId === userId) {
+        sessions.push({ sid, sess: JSON.parse(record.sess), expiresAt: record.expiresAt });
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * 🚪 End every session belonging to a user, returns how many were removed
+   */
+  async destroyByUserId(userId) {
+    let removed = 0;
+    for (const [sid, record] of this.sessions) {
+      if (record.userId === userId) {
+        this.sessions.delete(sid);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 🧹 Delete expired sessions, returns how many were removed
+   */
+  async cleanupExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [sid, record] of this.sessions) {
+      if (record.expiresAt <= now) {
+        this.sessions.delete(sid);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = { MemorySessionStore };
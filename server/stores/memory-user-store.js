@@ -0,0 +1,326 @@
+/**
+ * 🎯 SENTRY AUTHENTICATION DEMO - SIMPLE IN-MEMORY STORAGE
+ * 
+ * This is a simplified in-memory user store to demonstrate Sentry OAuth flow.
+ * Everything is lost on restart, which makes it handy for tests and quick demos.
+ * Set USER_STORE=sqlite to persist users (see sqlite-user-store.js).
+ * 
+ * 📝 What this demonstrates for Sentry Authentication:
+ * - How to store user data received from Sentry OAuth
+ * - What user information Sentry provides via OAuth
+ * - How to map Sentry users to your application users
+ */
+
+const { sealTokens, needsReencryption, reencryptToken } = require('../services/token-crypto');
+const { DEFAULT_INSTANCE_ID } = require('../services/sentry-instances');
+
+class SimpleUserStore {
+  constructor() {
+    // In-memory storage for demo purposes
+    this.users = new Map();
+    this.usersBySentryId = new Map();
+    this.usersByEmail = new Map();
+    this.nextId = 1;
+    // Saved issue filters: preset id -> preset
+    this.issuePresets = new Map();
+    this.nextPresetId = 1;
+
+    console.log('📚 Simple User Store initialized (in-memory for demo)');
+  }
+
+  /**
+   * 🔑 Sentry user IDs are only unique within one Sentry instance
+   */
+  sentryKey(instanceId, sentryId) {
+    return `${instanceId || DEFAULT_INSTANCE_ID}:${sentryId}`;
+  }
+
+  /**
+   * 🔍 Find user by Sentry ID (most important for OAuth)
+   * This is how we link OAuth responses back to stored users
+   */
+  findUserBySentryId(sentryId, instanceId = DEFAULT_INSTANCE_ID) {
+    return Promise.resolve(this.usersBySentryId.get(this.sentryKey(instanceId, sentryId)) || null);
+  }
+
+  /**
+   * 🔍 Find user by email (alternative lookup)
+   */
+  findUserByEmail(email) {
+    return Promise.resolve(this.usersByEmail.get(email) || null);
+  }
+
+  /**
+   * 🔍 Find user by internal ID (for session management)
+   */
+  findUserById(id) {
+    return Promise.resolve(this.users.get(id) || null);
+  }
+
+  /**
+   * ✨ Create new user from Sentry OAuth data
+   * 
+   * 📋 Sentry provides these user fields via OAuth:
+   * - id: Unique Sentry user identifier
+   * - email: User's email address
+   * - name: Display name
+   * - username: Sentry username
+   * - avatar: Avatar URL (optional)
+   *
+   * `tokens` is the normalized token response from SentryOAuthService:
+   * { accessToken, refreshToken, expiresAt, scope }
+   * Tokens are encrypted before they're stored (see token-crypto.js)
+   * `instanceId` is the Sentry instance the user signed in with (see sentry-instances.js)
+   */
+  createUser(sentryUser, tokens, instanceId = DEFAULT_INSTANCE_ID) {
+    tokens = sealTokens(tokens);
+    const user = {
+      id: this.nextId++,
+      sentry_id: sentryUser.id,
+      sentry_instance: instanceId,
+      email: sentryUser.email,
+      name: sentryUser.name,
+      username: sentryUser.username,
+      avatar_url: sentryUser.avatar?.avatarUrl || sentryUser.avatar,
+      access_token: tokens.accessToken, // Store for potential API calls
+      refresh_token: tokens.refreshToken || null, // Used to renew the access token
+      token_expires_at: tokens.expiresAt || null,
+      granted_scopes: tokens.scope || null, // Space-separated scopes Sentry actually granted
+      org_regions: null, // JSON { orgSlug: regionUrl }, filled in when organizations are listed
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    // Store in all our indexes
+    this.users.set(user.id, user);
+    this.usersBySentryId.set(this.sentryKey(user.sentry_instance, user.sentry_id), user);
+    this.usersByEmail.set(user.email, user);
+
+    console.log(`👤 Created new user from Sentry OAuth:`, {
+      id: user.id,
+      sentry_id: user.sentry_id,
+      email: user.email,
+      name: user.name
+    });
+
+    return Promise.resolve(user);
+  }
+
+  /**
+   * 🔄 Update existing user with fresh Sentry data
+   * Called on each login to keep user info current
+   */
+  updateUser(sentryUser, tokens, instanceId = DEFAULT_INSTANCE_ID) {
+    tokens = sealTokens(tokens);
+    const existingUser = this.usersBySentryId.get(this.sentryKey(instanceId, sentryUser.id));
+    if (!existingUser) {
+      throw new Error('User not found for update');
+    }
+
+    // Update with fresh data from Sentry
+    const updatedUser = {
+      ...existingUser,
+      email: sentryUser.email,
+      name: sentryUser.name,
+      username: sentryUser.username,
+      avatar_url: sentryUser.avatar?.avatarUrl || sentryUser.avatar,
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken || existingUser.refresh_token,
+      token_expires_at: tokens.expiresAt || null,
+      granted_scopes: tokens.scope || existingUser.granted_scopes,
+      updated_at: new Date().toISOString()
+    };
+
+    // Update all indexes
+    this.users.set(updatedUser.id, updatedUser);
+    this.usersBySentryId.set(this.sentryKey(updatedUser.sentry_instance, updatedUser.sentry_id), updatedUser);
+    
+    // Handle email changes
+    if (existingUser.email !== updatedUser.email) {
+      this.usersByEmail.delete(existingUser.email);
+      this.usersByEmail.set(updatedUser.email, updatedUser);
+    }
+
+    console.log(`🔄 Updated user from Sentry OAuth:`, {
+      id: updatedUser.id,
+      sentry_id: updatedUser.sentry_id,
+      email: updatedUser.email,
+      name: updatedUser.name
+    });
+
+    return Promise.resolve(updatedUser);
+  }
+
+  /**
+   * 🔁 Store a refreshed token set for an existing user
+   * Sentry may or may not rotate the refresh token, so keep the old one if none came back
+   */
+  updateUserTokens(userId, tokens) {
+    tokens = sealTokens(tokens);
+    const existingUser = this.users.get(userId);
+    if (!existingUser) {
+      return Promise.reject(new Error('User not found for token update'));
+    }
+
+    const updatedUser = {
+      ...existingUser,
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken || existingUser.refresh_token,
+      token_expires_at: tokens.expiresAt || null,
+      granted_scopes: tokens.scope || existingUser.granted_scopes,
+      updated_at: new Date().toISOString()
+    };
+
+    this.users.set(updatedUser.id, updatedUser);
+    this.usersBySentryId.set(this.sentryKey(updatedUser.sentry_instance, updatedUser.sentry_id), updatedUser);
+    this.usersByEmail.set(updatedUser.email, updatedUser);
+
+    console.log(`🔁 Stored refreshed Sentry token for user ${updatedUser.id}`, {
+      expires_at: updatedUser.token_expires_at
+    });
+
+    return Promise.resolve(updatedUser);
+  }
+
+  /**
+   * 🌍 Remember which API region each of the user's organizations lives in
+   * `orgRegions` is { orgSlug: regionUrl } for every organization the user can see
+   */
+  updateUserOrgRegions(userId, orgRegions) {
+    const existingUser = this.users.get(userId);
+    if (!existingUser) {
+      return Promise.reject(new Error('User not found for region update'));
+    }
+
+    const updatedUser = {
+      ...existingUser,
+      org_regions: JSON.stringify(orgRegions),
+      updated_at: new Date().toISOString()
+    };
+
+    this.users.set(updatedUser.id, updatedUser);
+    this.usersBySentryId.set(this.sentryKey(updatedUser.sentry_instance, updatedUser.sentry_id), updatedUser);
+    this.usersByEmail.set(updatedUser.email, updatedUser);
+
+    return Promise.resolve(updatedUser);
+  }
+
+  /**
+   * 🗑️ Remove a user's Sentry tokens (disconnect / revoke)
+   */
+  clearUserTokens(userId) {
+    const existingUser = this.users.get(userId);
+    if (!existingUser) {
+      return Promise.resolve(null);
+    }
+
+    const updatedUser = {
+      ...existingUser,
+      access_token: null,
+      refresh_token: null,
+      token_expires_at: null,
+      updated_at: new Date().toISOString()
+    };
+
+    this.users.set(updatedUser.id, updatedUser);
+    this.usersBySentryId.set(this.sentryKey(updatedUser.sentry_instance, updatedUser.sentry_id), updatedUser);
+    this.usersByEmail.set(updatedUser.email, updatedUser);
+
+    console.log(`🗑️  Removed stored Sentry tokens for user ${updatedUser.id}`);
+    return Promise.resolve(updatedUser);
+  }
+
+  /**
+   * 🔐 Re-encrypt stored tokens still sealed with a retired key
+   * Returns the number of users that were updated
+   */
+  reencryptTokens() {
+    let updated = 0;
+
+    for (const user of this.users.values()) {
+      if (!needsReencryption(user.access_token) && !needsReencryption(user.refresh_token)) {
+        continue;
+      }
+
+      const rotatedUser = {
+        ...user,
+        access_token: user.access_token && reencryptToken(user.access_token),
+        refresh_token: user.refresh_token && reencryptToken(user.refresh_token)
+      };
+      this.users.set(rotatedUser.id, rotatedUser);
+      this.usersBySentryId.set(this.sentryKey(rotatedUser.sentry_instance, rotatedUser.sentry_id), rotatedUser);
+      this.usersByEmail.set(rotatedUser.email, rotatedUser);
+      updated++;
+    }
+
+    return Promise.resolve(updated);
+  }
+
+  /**
+   * 💾 A user's saved issue filters for one organization, by name
+   */
+  listIssuePresets(userId, orgSlug) {
+    const presets = Array.from(this.issuePresets.values())
+      .filter(preset => preset.user_id === userId && preset.org_slug === orgSlug)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return Promise.resolve(presets);
+  }
+
+  /**
+   * 💾 Save an issue filter preset; saving under an existing name replaces its filters
+   * `preset` is { name, query, sort, environments, projectIds } (see issue-filters.js)
+   */
+  saveIssuePreset(userId, orgSlug, preset) {
+    const now = new Date().toISOString();
+    const existing = Array.from(this.issuePresets.values()).find(candidate =>
+      candidate.user_id === userId && candidate.org_slug === orgSlug && candidate.name === preset.name
+    );
+
+    const saved = {
+      id: existing ? existing.id : this.nextPresetId++,
+      user_id: userId,
+      org_slug: orgSlug,
+      name: preset.name,
+      query: preset.query,
+      sort: preset.sort,
+      environments: preset.environments,
+      project_ids: preset.projectIds,
+      created_at: existing ? existing.created_at : now,
+      updated_at: now
+    };
+    this.issuePresets.set(saved.id, saved);
+
+    return Promise.resolve(saved);
+  }
+
+  /**
+   * 🗑️ Delete one of a user's presets; resolves to false if it wasn't theirs or didn't exist
+   */
+  deleteIssuePreset(userId, presetId) {
+    const preset = this.issuePresets.get(Number(presetId));
+    if (!preset || preset.user_id !== userId) {
+      return Promise.resolve(false);
+    }
+    this.issuePresets.delete(preset.id);
+    return Promise.resolve(true);
+  }
+
+  /**
+   * 📊 Get stats about stored users (for demo purposes)
+   */
+  getStats() {
+    return {
+      totalUsers: this.users.size,
+      users: Array.from(this.users.values()).map(user => ({
+        id: user.id,
+        sentry_id: user.sentry_id,
+        sentry_instance: user.sentry_instance,
+        email: user.email,
+        name: user.name,
+        created_at: user.created_at
+      }))
+    };
+  }
+}
+
+module.exports = { SimpleUserStore };
\ No newline at end of file
@@ -0,0 +1,53 @@
+/**
+ * 🎯 SESSION STORE SELECTION
+ *
+ * Picks the express-session store. By default it follows USER_STORE so
+ * sessions live wherever users do; SESSION_STORE overrides it:
+ * - memory: lost on restart (tests, demos)
+ * - sqlite: same database file as the SQLite user store
+ * - file: one JSON file per session in SESSION_FILE_DIR (single node)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 🪪 Public identifier for a session
+ * The raw session ID is a bearer credential, so the API only ever shows a hash of it.
+ */
+function getPublicSessionId(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 24);
+}
+
+function createSessionStore({ ttlMs, cleanupIntervalMs } = {}) {
+  const type = process.env.SESSION_STORE || process.env.USER_STORE || 'memory';
+  const options = {
+    ttlMs,
+    cleanupIntervalMs: cleanupIntervalMs || Number(process.env.SESSION_CLEANUP_INTERVAL_MS) || undefined
+  };
+
+  let store;
+  switch (type) {
+    case 'memory': {
+      const { MemorySessionStore } = require('./memory-session-store');
+      store = new MemorySessionStore(options);
+      break;
+    }
+    case 'sqlite': {
+      const { SqliteSessionStore } = require('./sqlite-session-store');
+      store = new SqliteSessionStore(options);
+      break;
+    }
+    case 'file': {
+      const { FileSessionStore } = require('./file-session-store');
+      store = new FileSessionStore(options);
+      break;
+    }
+    default:
+      throw new Error(`❌ Unknown SESSION_STORE "${type}". Use "memory", "sqlite" or "file".`);
+  }
+
+  store.startCleanup();
+  return store;
+}
+
+module.exports = { createSessionStore, getPublicSessionId };
@@ -0,0 +1,133 @@
+/**
+ * 🎯 SQLITE SESSION STORE
+ *
+ * Pairs with the SQLite user store: sessions live in the same database file,
+ * so logins survive restarts and every server instance pointed at that file
+ * sees the same sessions.
+ */
+
+const { BaseSessionStore } = require('./base-session-store');
+const { getDatabase } = require('./sqlite');
+
+class SqliteSessionStore extends BaseSessionStore {
+  constructor(options, db = getDatabase()) {
+    super(options);
+    this.db = db;
+
+    this.statements = {
+      get: db.prepare('SELECT sess FROM sessions WHERE sid = ? AND expires_at > ?'),
+      upsert: db.prepare(`
+        INSERT INTO sessions (sid, sess, expires_at, user_id) VALUES (@sid, @sess, @expires_at, @user_id)
+        ON CONFLICT (sid) DO UPDATE SET
+          sess = excluded.sess, expires_at = excluded.expires_at, user_id = excluded.user_id
+      `),
+      touch: db.prepare('UPDATE sessions SET expires_at = ? WHERE sid = ?'),
+      destroy: db.prepare('DELETE FROM sessions WHERE sid = ?'),
+      all: db.prepare('SELECT sid, sess FROM sessions WHERE expires_at > ?'),
+      length: db.prepare('SELECT COUNT(*) AS total FROM sessions WHERE expires_at > ?'),
+      clear: db.prepare('DELETE FROM sessions'),
+      listByUserId: db.prepare('SELECT sid, sess, expires_at FROM sessions WHERE user_id = ? AND expires_at > ?'),
+      destroyByUserId: db.prepare('DELETE FROM sessions WHERE user_id = ?'),
+      deleteExpired: db.prepare('DELETE FROM sessions WHERE expires_at <= ?')
+    };
+
+    console.log('🍪 SQLite Session Store initialized (persistent)');
+  }
+
+  get(sid, callback) {
+    try {
+      const row = this.statements.get.get(sid, Date.now());
+      callback(null, row ? JSON.parse(row.sess) : null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  set(sid, sess, callback) {
+    try {
+      this.statements.upsert.run({
+        sid,
+        sess: JSON.stringify(sess),
+        expires_at: this.getExpiresAt(sess),
+        user_id: this.getUserId(sess)
+      });
+      callback && callback(null);
+    } catch (error) {
+      callback && callback(error);
+    }
+  }
+
+  touch(sid, sess, callback) {
+    try {
+      this.statements.touch.run(this.getExpiresAt(sess), sid);
+      callback && callback(null);
+    } catch (error) {
+      callback && callback(error);
+    }
+  }
+
+  destroy(sid, callback) {
+    try {
+      this.statements.destroy.run(sid);
+      callback && callback(null);
+    } catch (error) {
+      callback && callback(error);
+    }
+  }
+
+  all(callback) {
+    try {
+      const sessions = {};
+      for (const row of this.statements.all.all(Date.now())) {
+        sessions[row.sid] = JSON.parse(row.sess);
+      }
+      callback(null, sessions);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  length(callback) {
+    try {
+      callback(null, this.statements.length.get(Date.now()).total);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  clear(callback) {
+    try {
+      this.statements.clear.run();
+      callback && callback(null);
+    } catch (error) {
+      callback && callback(error);
+    }
+  }
+
+  /**
+   * 📋 List a user's live sessions as [{ sid, sess, expiresAt }]
+   */
+  async listByUserId(userId) {
+    return this.statements.listByUserId.all(userId, Date.now()).map(row => ({
+      sid: row.sid,
+      sess: JSON.parse(row.sess),
+      expiresAt: row.expires_at
+    }));
+  }
+
+  /**
+   * 🚪 End every session belonging to a user, returns how many were removed
+   */
+  async destroyByUserId(userId) {
+    return this.statements.destroyByUserId.run(userId).changes;
+  }
+
+  /**
+   * 🧹 Delete expired sessions, returns how many were removed
+   */
+  async cleanupExpired() {
+    return this.statements.deleteExpired.run(Date.now()).changes;
+  }
+}
+
+module.exports = { SqliteSessionStore };
@@ -0,0 +1,293 @@
+/**
+ * 🎯 SENTRY AUTHENTICATION DEMO - SQLITE USER STORAGE
+ *
+ * Persistent drop-in replacement for SimpleUserStore. Users and their Sentry
+ * tokens survive server restarts. Enable it with USER_STORE=sqlite.
+ *
+ * 📝 Same interface as the in-memory store:
+ * findUserBySentryId / findUserByEmail / findUserById / createUser /
+ * updateUser / updateUserTokens / updateUserOrgRegions / clearUserTokens / reencryptTokens / getStats
+ * plus saved issue filters: listIssuePresets / saveIssuePreset / deleteIssuePreset
+ */
+
+const { getDatabase } = require('./sqlite');
+const { sealTokens, needsReencryption, reencryptToken } = require('../services/token-crypto');
+const { DEFAULT_INSTANCE_ID } = require('../services/sentry-instances');
+
+// JSON columns back into arrays
+function parsePresetRow(row) {
+  return {
+    ...row,
+    environments: JSON.parse(row.environments),
+    project_ids: JSON.parse(row.project_ids)
+  };
+}
+
+class SqliteUserStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+
+    this.statements = {
+      findById: db.prepare('SELECT * FROM users WHERE id = ?'),
+      findBySentryId: db.prepare('SELECT * FROM users WHERE sentry_instance = ? AND sentry_id = ?'),
+      findByEmail: db.prepare('SELECT * FROM users WHERE email = ? ORDER BY updated_at DESC LIMIT 1'),
+      insert: db.prepare(`
+        INSERT INTO users (
+          sentry_id, sentry_instance, email, name, username, avatar_url,
+          access_token, refresh_token, token_expires_at, granted_scopes, created_at, updated_at
+        ) VALUES (
+          @sentry_id, @sentry_instance, @email, @name, @username, @avatar_url,
+          @access_token, @refresh_token, @token_expires_at, @granted_scopes, @created_at, @updated_at
+        )
+      `),
+      updateProfile: db.prepare(`
+        UPDATE users SET
+          email = @email, name = @name, username = @username, avatar_url = @avatar_url,
+          access_token = @access_token, refresh_token = @refresh_token,
+          token_expires_at = @token_expires_at, granted_scopes = @granted_scopes, updated_at = @updated_at
+        WHERE id = @id
+      `),
+      updateTokens: db.prepare(`
+        UPDATE users SET
+          access_token = @access_token, refresh_token = @refresh_token,
+          token_expires_at = @token_expires_at, granted_scopes = @granted_scopes, updated_at = @updated_at
+        WHERE id = @id
+      `),
+      updateOrgRegions: db.prepare('UPDATE users SET org_regions = ?, updated_at = ? WHERE id = ?'),
+      clearTokens: db.prepare(`
+        UPDATE users SET
+          access_token = NULL, refresh_token = NULL, token_expires_at = NULL, updated_at = ?
+        WHERE id = ?
+      `),
+      updateSealedTokens: db.prepare('UPDATE users SET access_token = @access_token, refresh_token = @refresh_token WHERE id = @id'),
+      listTokens: db.prepare('SELECT id, access_token, refresh_token FROM users'),
+      count: db.prepare('SELECT COUNT(*) AS total FROM users'),
+      listForStats: db.prepare('SELECT id, sentry_id, sentry_instance, email, name, created_at FROM users ORDER BY id'),
+      listPresets: db.prepare('SELECT * FROM issue_filter_presets WHERE user_id = ? AND org_slug = ? ORDER BY name'),
+      findPreset: db.prepare('SELECT * FROM issue_filter_presets WHERE user_id = ? AND org_slug = ? AND name = ?'),
+      upsertPreset: db.prepare(`
+        INSERT INTO issue_filter_presets (
+          user_id, org_slug, name, query, sort, environments, project_ids, created_at, updated_at
+        ) VALUES (
+          @user_id, @org_slug, @name, @query, @sort, @environments, @project_ids, @now, @now
+        )
+        ON CONFLICT (user_id, org_slug, name) DO UPDATE SET
+          query = excluded.query, sort = excluded.sort, environments = excluded.environments,
+          project_ids = excluded.project_ids, updated_at = excluded.updated_at
+      `),
+      deletePreset: db.prepare('DELETE FROM issue_filter_presets WHERE id = ? AND user_id = ?')
+    };
+
+    console.log('📚 SQLite User Store initialized (persistent)');
+  }
+
+  /**
+   * 🔍 Find user by Sentry ID (most important for OAuth)
+   */
+  async findUserBySentryId(sentryId, instanceId = DEFAULT_INSTANCE_ID) {
+    return this.statements.findBySentryId.get(instanceId, String(sentryId)) || null;
+  }
+
+  /**
+   * 🔍 Find user by email (alternative lookup)
+   */
+  async findUserByEmail(email) {
+    return this.statements.findByEmail.get(email) || null;
+  }
+
+  /**
+   * 🔍 Find user by internal ID (for session management)
+   */
+  async findUserById(id) {
+    return this.statements.findById.get(id) || null;
+  }
+
+  /**
+   * ✨ Create new user from Sentry OAuth data
+   * Tokens are encrypted before they're stored (see token-crypto.js)
+   */
+  async createUser(sentryUser, tokens, instanceId = DEFAULT_INSTANCE_ID) {
+    tokens = sealTokens(tokens);
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = this.statements.insert.run({
+      sentry_id: String(sentryUser.id),
+      sentry_instance: instanceId,
+      email: sentryUser.email,
+      name: sentryUser.name,
+      username: sentryUser.username || null,
+      avatar_url: sentryUser.avatar?.avatarUrl || sentryUser.avatar || null,
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken || null,
+      token_expires_at: tokens.expiresAt || null,
+      granted_scopes: tokens.scope || null,
+      created_at: now,
+      updated_at: now
+    });
+
+    const user = await this.findUserById(Number(lastInsertRowid));
+
+    console.log(`👤 Created new user from Sentry OAuth:`, {
+      id: user.id,
+      sentry_id: user.sentry_id,
+      email: user.email,
+      name: user.name
+    });
+
+    return user;
+  }
+
+  /**
+   * 🔄 Update existing user with fresh Sentry data
+   */
+  async updateUser(sentryUser, tokens, instanceId = DEFAULT_INSTANCE_ID) {
+    tokens = sealTokens(tokens);
+    const existingUser = await this.findUserBySentryId(sentryUser.id, instanceId);
+    if (!existingUser) {
+      throw new Error('User not found for update');
+    }
+
+    this.statements.updateProfile.run({
+      id: existingUser.id,
+      email: sentryUser.email,
+      name: sentryUser.name,
+      username: sentryUser.username || null,
+      avatar_url: sentryUser.avatar?.avatarUrl || sentryUser.avatar || null,
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken || existingUser.refresh_token,
+      token_expires_at: tokens.expiresAt || null,
+      granted_scopes: tokens.scope || existingUser.granted_scopes,
+      updated_at: new Date().toISOString()
+    });
+
+    const updatedUser = await this.findUserById(existingUser.id);
+
+    console.log(`🔄 Updated user from Sentry OAuth:`, {
+      id: updatedUser.id,
+      sentry_id: updatedUser.sentry_id,
+      email: updatedUser.email,
+      name: updatedUser.name
+    });
+
+    return updatedUser;
+  }
+
+  /**
+   * 🔁 Store a refreshed token set for an existing user
+   */
+  async updateUserTokens(userId, tokens) {
+    tokens = sealTokens(tokens);
+    const existingUser = await this.findUserById(userId);
+    if (!existingUser) {
+      throw new Error('User not found for token update');
+    }
+
+    this.statements.updateTokens.run({
+      id: userId,
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken || existingUser.refresh_token,
+      token_expires_at: tokens.expiresAt || null,
+      granted_scopes: tokens.scope || existingUser.granted_scopes,
+      updated_at: new Date().toISOString()
+    });
+
+    const updatedUser = await this.findUserById(userId);
+
+    console.log(`🔁 Stored refreshed Sentry token for user ${updatedUser.id}`, {
+      expires_at: updatedUser.token_expires_at
+    });
+
+    return updatedUser;
+  }
+
+  /**
+   * 🌍 Remember which API region each of the user's organizations lives in
+   * `orgRegions` is { orgSlug: regionUrl } for every organization the user can see
+   */
+  async updateUserOrgRegions(userId, orgRegions) {
+    const { changes } = this.statements.updateOrgRegions.run(JSON.stringify(orgRegions), new Date().toISOString(), userId);
+    if (changes === 0) {
+      throw new Error('User not found for region update');
+    }
+    return this.findUserById(userId);
+  }
+
+  /**
+   * 🗑️ Remove a user's Sentry tokens (disconnect / revoke)
+   */
+  async clearUserTokens(userId) {
+    this.statements.clearTokens.run(new Date().toISOString(), userId);
+    console.log(`🗑️  Removed stored Sentry tokens for user ${userId}`);
+    return this.findUserById(userId);
+  }
+
+  /**
+   * 🔐 Re-encrypt stored tokens that are plaintext or sealed with a retired key
+   * Returns the number of users that were updated
+   */
+  async reencryptTokens() {
+    const rotate = this.db.transaction(() => {
+      let updated = 0;
+
+      for (const row of this.statements.listTokens.all()) {
+        if (!needsReencryption(row.access_token) && !needsReencryption(row.refresh_token)) {
+          continue;
+        }
+
+        this.statements.updateSealedTokens.run({
+          id: row.id,
+          access_token: row.access_token && reencryptToken(row.access_token),
+          refresh_token: row.refresh_token && reencryptToken(row.refresh_token)
+        });
+        updated++;
+      }
+
+      return updated;
+    });
+
+    return rotate();
+  }
+
+  /**
+   * 💾 A user's saved issue filters for one organization, by name
+   */
+  async listIssuePresets(userId, orgSlug) {
+    return this.statements.listPresets.all(userId, orgSlug).map(parsePresetRow);
+  }
+
+  /**
+   * 💾 Save an issue filter preset; saving under an existing name replaces its filters
+   * `preset` is { name, query, sort, environments, projectIds } (see issue-filters.js)
+   */
+  async saveIssuePreset(userId, orgSlug, preset) {
+    this.statements.upsertPreset.run({
+      user_id: userId,
+      org_slug: orgSlug,
+      name: preset.name,
+      query: preset.query,
+      sort: preset.sort,
+      environments: JSON.stringify(preset.environments),
+      project_ids: JSON.stringify(preset.projectIds),
+      now: new Date().toISOString()
+    });
+    return parsePresetRow(this.statements.findPreset.get(userId, orgSlug, preset.name));
+  }
+
+  /**
+   * 🗑️ Delete one of a user's presets; resolves to false if it wasn't theirs or didn't exist
+   */
+  async deleteIssuePreset(userId, presetId) {
+    return this.statements.deletePreset.run(presetId, userId).changes > 0;
+  }
+
+  /**
+   * 📊 Get stats about stored users (for demo purposes)
+   */
+  getStats() {
+    return {
+      totalUsers: this.statements.count.get().total,
+      users: this.statements.listForStats.all()
+    };
+  }
+}
+
+module.exports = { SqliteUserStore };
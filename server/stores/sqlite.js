@@ -0,0 +1,175 @@
+/**
+ * 🎯 SQLITE CONNECTION + SCHEMA MIGRATIONS
+ *
+ * Opens the SQLite database used by the persistent stores and brings its
+ * schema up to date. The schema version lives in SQLite's `user_version`
+ * pragma, so each migration runs exactly once per database file.
+ *
+ * 📝 Adding a migration: append a new entry with the next version number.
+ * Never edit a migration that has already shipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', 'data', 'sentry-demo.sqlite');
+
+const migrations = [
+  {
+    version: 1,
+    name: 'create_users',
+    up: `
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sentry_id TEXT NOT NULL UNIQUE,
+        email TEXT NOT NULL,
+        name TEXT,
+        username TEXT,
+        avatar_url TEXT,
+        access_token TEXT,
+        refresh_token TEXT,
+        token_expires_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_users_email ON users (email);
+    `
+  },
+  {
+    version: 2,
+    name: 'create_sessions',
+    up: `
+      CREATE TABLE sessions (
+        sid TEXT PRIMARY KEY,
+        sess TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+      CREATE INDEX idx_sessions_expires_at ON sessions (expires_at);
+    `
+  },
+  {
+    version: 3,
+    name: 'index_sessions_by_user',
+    up: `
+      ALTER TABLE sessions ADD COLUMN user_id INTEGER;
+      UPDATE sessions SET user_id = json_extract(sess, '$.userId');
+      CREATE INDEX idx_sessions_user_id ON sessions (user_id);
+    `
+  },
+  {
+    version: 4,
+    name: 'add_users_granted_scopes',
+    up: `
+      ALTER TABLE users ADD COLUMN granted_scopes TEXT;
+    `
+  },
+  {
+    // Sentry user IDs are only unique per Sentry instance, so the UNIQUE constraint
+    // moves to (sentry_instance, sentry_id). SQLite can't drop a constraint in place,
+    // hence the table rebuild.
+    version: 5,
+    name: 'add_users_sentry_instance_and_org_regions',
+    up: `
+      CREATE TABLE users_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sentry_id TEXT NOT NULL,
+        sentry_instance TEXT NOT NULL DEFAULT 'default',
+        email TEXT NOT NULL,
+        name TEXT,
+        username TEXT,
+        avatar_url TEXT,
+        access_token TEXT,
+        refresh_token TEXT,
+        token_expires_at TEXT,
+        granted_scopes TEXT,
+        org_regions TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (sentry_instance, sentry_id)
+      );
+      INSERT INTO users_new (
+        id, sentry_id, email, name, username, avatar_url,
+        access_token, refresh_token, token_expires_at, granted_scopes, created_at, updated_at
+      )
+      SELECT
+        id, sentry_id, email, name, username, avatar_url,
+        access_token, refresh_token, token_expires_at, granted_scopes, created_at, updated_at
+      FROM users;
+      DROP TABLE users;
+      ALTER TABLE users_new RENAME TO users;
+      CREATE INDEX idx_users_email ON users (email);
+    `
+  },
+  {
+    // Saved issue search filters, per user and organization.
+    // environments and project_ids are JSON arrays.
+    version: 6,
+    name: 'create_issue_filter_presets',
+    up: `
+      CREATE TABLE issue_filter_presets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        org_slug TEXT NOT NULL,
+        name TEXT NOT NULL,
+        query TEXT NOT NULL DEFAULT '',
+        sort TEXT NOT NULL DEFAULT 'date',
+        environments TEXT NOT NULL DEFAULT '[]',
+        project_ids TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (user_id, org_slug, name)
+      );
+    `
+  }
+];
+
+// One connection per file, shared by every store that uses it
+const connections = new Map();
+
+/**
+ * 🔄 Apply every migration newer than the database's current version
+ */
+function runMigrations(db) {
+  const currentVersion = db.pragma('user_version', { simple: true });
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+
+  if (pending.length === 0) {
+    console.log(`🗃️  SQLite schema up to date (version ${currentVersion})`);
+    return;
+  }
+
+  for (const migration of pending) {
+    console.log(`🗃️  Running SQLite migration ${migration.version}: ${migration.name}`);
+    db.transaction(() => {
+      db.exec(migration.up);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+  }
+}
+
+/**
+ * 🔌 Open (or reuse) the SQLite database at `filename`
+ */
+function getDatabase(filename = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH) {
+  if (connections.has(filename)) {
+    return connections.get(filename);
+  }
+
+  // Only required when a SQLite-backed store is actually selected
+  const Database = require('better-sqlite3');
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+
+  console.log(`🗃️  SQLite database ready: ${filename}`);
+  connections.set(filename, db);
+  return db;
+}
+
+module.exports = { getDatabase, migrations };
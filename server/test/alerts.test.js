@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAlertFilters, mergeAlertRules, filterAlertRules, findUnalertedProjects } = require('../services/alerts');
+
+const since = new Date('2026-10-01T00:00:00Z');
+
+const metricRules = [
+  { id: 1, name: 'Error rate', projects: ['web'], aggregate: 'count()', query: 'level:error' },
+  { id: 2, name: 'Latency', projects: ['api'], aggregate: 'p95(transaction.duration)' },
+  { id: 3, name: 'Old rule', projects: ['web'], status: 5 }
+];
+
+const incidents = [
+  { id: 10, identifier: '10', title: 'Errors up', status: 20, dateStarted: '2026-10-05T00:00:00Z', alertRule: { id: 1 } },
+  { id: 9, identifier: '9', title: 'Errors up', status: 2, dateStarted: '2026-10-02T00:00:00Z', dateClosed: '2026-10-02T01:00:00Z', alertRule: { id: 1 } },
+  { id: 11, identifier: '11', title: 'Slow', status: 2, dateStarted: '2026-10-03T00:00:00Z', dateClosed: '2026-10-03T02:00:00Z', alertRule: { id: 2 } }
+];
+
+const issueRulesByProject = {
+  web: [{ id: 7, name: 'New issue', lastTriggered: '2026-10-04T00:00:00Z', conditions: [{ name: 'A new issue is created' }] }],
+  mobile: [{ id: 8, name: 'Quiet rule', lastTriggered: '2026-09-01T00:00:00Z' }]
+};
+
+const merge = () => mergeAlertRules({ metricRules, issueRulesByProject, incidents, since });
+
+test('parseAlertFilters accepts known types and states only', () => {
+  assert.deepStrictEqual(parseAlertFilters({ type: 'metric', state: 'critical', project: 'web' }), {
+    type: 'metric',
+    state: 'critical',
+    project: 'web'
+  });
+  assert.deepStrictEqual(parseAlertFilters(), { type: null, state: null, project: null });
+  assert.throws(() => parseAlertFilters({ type: 'uptime' }), { status: 400 });
+  assert.throws(() => parseAlertFilters({ state: 'firing' }), { status: 400 });
+});
+
+test('mergeAlertRules derives each rule state and puts firing rules first', () => {
+  const rules = merge();
+
+  assert.deepStrictEqual(rules.map(rule => [rule.id, rule.state]), [
+    ['metric:1', 'critical'],
+    ['issue:7', 'triggered'],
+    ['metric:2', 'ok'],
+    ['issue:8', 'ok'],
+    ['metric:3', 'disabled']
+  ]);
+
+  const errorRate = rules[0];
+  assert.strictEqual(errorRate.condition, 'count() where level:error');
+  assert.strictEqual(errorRate.lastTriggered, '2026-10-05T00:00:00Z');
+  assert.deepStrictEqual(errorRate.incidents.map(incident => incident.status), ['critical', 'resolved']);
+  assert.strictEqual(rules[1].condition, 'A new issue is created');
+});
+
+test('filterAlertRules narrows by type, state and project', () => {
+  const rules = merge();
+  assert.deepStrictEqual(filterAlertRules(rules, { type: 'issue' }).map(rule => rule.id), ['issue:7', 'issue:8']);
+  assert.deepStrictEqual(filterAlertRules(rules, { state: 'critical' }).map(rule => rule.id), ['metric:1']);
+  assert.deepStrictEqual(filterAlertRules(rules, { project: 'web' }).map(rule => rule.id), ['metric:1', 'issue:7', 'metric:3']);
+});
+
+test('findUnalertedProjects lists projects no enabled rule covers', () => {
+  const projects = [
+    { id: 1, slug: 'web', name: 'Web' },
+    { id: 2, slug: 'api', name: 'API' },
+    { id: 3, slug: 'worker', name: 'Worker', platform: 'python' }
+  ];
+
+  assert.deepStrictEqual(findUnalertedProjects(projects, merge()), [
+    { id: '3', slug: 'worker', name: 'Worker', platform: 'python' }
+  ]);
+
+  // A metric rule without projects watches the whole organization
+  const orgWide = mergeAlertRules({ metricRules: [{ id: 4, name: 'All', projects: [] }], since });
+  assert.deepStrictEqual(findUnalertedProjects(projects, orgWide), []);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseEventStatsOptions } = require('../services/event-stats');
+
+test('parseEventStatsOptions defaults to event counts without grouping', () => {
+  assert.deepStrictEqual(parseEventStatsOptions({}), { yAxis: 'count()', groupBy: null });
+  assert.deepStrictEqual(parseEventStatsOptions({ yAxis: 'count_unique(user)', groupBy: 'project' }), {
+    yAxis: 'count_unique(user)',
+    groupBy: 'project'
+  });
+});
+
+test('parseEventStatsOptions rejects unsupported values', () => {
+  assert.throws(() => parseEventStatsOptions({ yAxis: 'p95(transaction.duration)' }), { status: 400 });
+  assert.throws(() => parseEventStatsOptions({ groupBy: 'release' }), { status: 400 });
+  assert.throws(() => parseEventStatsOptions({ yAxis: ['count()', 'count()'] }), { status: 400 });
+});
+
+test('parseEventStatsOptions rejects inherited object keys as yAxis', () => {
+  ['toString', 'constructor', '__proto__', 'valueOf'].forEach(yAxis => {
+    assert.throws(() => parseEventStatsOptions({ yAxis }), { status: 400, message: /Unsupported yAxis/ });
+  });
+});
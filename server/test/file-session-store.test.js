@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { FileSessionStore } = require('../stores/file-session-store');
+
+// Keep the store's startup logs out of the test runner's output
+test.mock.method(console, 'log', () => {});
+
+const createStore = async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+  return { store: new FileSessionStore({ directory, ttlMs: 60 * 1000 }), directory };
+};
+
+const set = (store, sid, sess) => new Promise((resolve, reject) => {
+  store.set(sid, sess, error => (error ? reject(error) : resolve()));
+});
+
+const get = (store, sid) => new Promise((resolve, reject) => {
+  store.get(sid, (error, sess) => (error ? reject(error) : resolve(sess)));
+});
+
+test('FileSessionStore round-trips a session', async () => {
+  const { store, directory } = await createStore();
+  await set(store, 'abc', { userId: 'u1', cookie: { originalMaxAge: 60000 } });
+  assert.strictEqual((await get(store, 'abc')).userId, 'u1');
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test('FileSessionStore survives concurrent saves of one session', async () => {
+  const { store, directory } = await createStore();
+  const writes = Array.from({ length: 20 }, (_, index) =>
+    set(store, 'same-sid', { userId: 'u1', counter: index, cookie: { originalMaxAge: 60000 } })
+  );
+
+  const results = await Promise.allSettled(writes);
+  assert.deepStrictEqual(results.filter(result => result.status === 'rejected'), []);
+
+  // One complete write wins and no temp files are left behind
+  const sess = await get(store, 'same-sid');
+  assert.ok(sess.counter >= 0 && sess.counter < 20);
+  assert.deepStrictEqual(await fs.readdir(directory), ['same-sid.json']);
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test('FileSessionStore rejects session IDs that could escape its directory', async () => {
+  const { store, directory } = await createStore();
+  await assert.rejects(set(store, '../evil', { cookie: {} }), /Invalid session ID/);
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test('FileSessionStore fails at startup when its directory cannot be created', async () => {
+  const { directory } = await createStore();
+  const file = path.join(directory, 'not-a-directory');
+  await fs.writeFile(file, '');
+
+  assert.throws(() => new FileSessionStore({ directory: path.join(file, 'sessions') }), /Cannot create session directory .*ENOTDIR/);
+  await fs.rm(directory, { recursive: true, force: true });
+});
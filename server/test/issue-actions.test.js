@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildIssueUpdate, parseIssueIds } = require('../services/issue-actions');
+
+test('buildIssueUpdate builds the Sentry body for known actions', () => {
+  assert.deepStrictEqual(buildIssueUpdate({ action: 'resolve' }), { status: 'resolved' });
+  assert.deepStrictEqual(buildIssueUpdate({ action: 'ignore', ignoreDuration: '30' }), {
+    status: 'ignored',
+    statusDetails: { ignoreDuration: 30 }
+  });
+  assert.deepStrictEqual(buildIssueUpdate({ action: 'assign', assignee: 'team:4' }), { assignedTo: 'team:4' });
+});
+
+test('buildIssueUpdate rejects unknown actions', () => {
+  assert.throws(() => buildIssueUpdate({ action: 'delete' }), { status: 400 });
+  assert.throws(() => buildIssueUpdate({}), { status: 400 });
+});
+
+test('buildIssueUpdate rejects inherited object keys as actions', () => {
+  ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(action => {
+    assert.throws(() => buildIssueUpdate({ action, discard: true }), { status: 400, message: /Unknown action/ });
+  });
+});
+
+test('buildIssueUpdate rejects bad parameters', () => {
+  assert.throws(() => buildIssueUpdate({ action: 'ignore', ignoreDuration: -5 }), { status: 400 });
+  assert.throws(() => buildIssueUpdate({ action: 'assign', assignee: 'everyone' }), { status: 400 });
+});
+
+test('parseIssueIds dedupes and validates IDs', () => {
+  assert.deepStrictEqual(parseIssueIds([1, '1', '2']), ['1', '2']);
+  assert.throws(() => parseIssueIds([]), { status: 400 });
+  assert.throws(() => parseIssueIds(['abc']), { status: 400 });
+});
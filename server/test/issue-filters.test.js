@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseIssueFilters, parseIssuePreset, DEFAULT_ISSUE_SORT } = require('../services/issue-filters');
+
+test('parseIssueFilters reads single values and repeated query parameters', () => {
+  assert.deepStrictEqual(parseIssueFilters({
+    query: '  is:unresolved level:error ',
+    sort: 'freq',
+    environment: ['production', 'staging'],
+    project: '42'
+  }), {
+    query: 'is:unresolved level:error',
+    sort: 'freq',
+    environments: ['production', 'staging'],
+    projectIds: ['42']
+  });
+});
+
+test('parseIssueFilters defaults to an empty search sorted by date', () => {
+  assert.deepStrictEqual(parseIssueFilters(), {
+    query: '',
+    sort: DEFAULT_ISSUE_SORT,
+    environments: [],
+    projectIds: []
+  });
+});
+
+test('parseIssueFilters rejects unknown sorts, long queries and non-numeric projects', () => {
+  assert.throws(() => parseIssueFilters({ sort: 'random' }), { status: 400, message: /Unknown sort/ });
+  assert.throws(() => parseIssueFilters({ query: 'x'.repeat(501) }), { status: 400 });
+  assert.throws(() => parseIssueFilters({ project: ['1', 'web'] }), { status: 400, message: /numeric project ID/ });
+});
+
+test('parseIssuePreset needs a name and validates the filters it saves', () => {
+  assert.deepStrictEqual(parseIssuePreset({ name: ' Prod errors ', query: 'level:error', environment: 'production' }), {
+    name: 'Prod errors',
+    query: 'level:error',
+    sort: DEFAULT_ISSUE_SORT,
+    environments: ['production'],
+    projectIds: []
+  });
+  assert.throws(() => parseIssuePreset({ query: 'level:error' }), { status: 400, message: /name is required/ });
+  assert.throws(() => parseIssuePreset({ name: 'x'.repeat(81) }), { status: 400 });
+  assert.throws(() => parseIssuePreset({ name: 'Bad', sort: 'random' }), { status: 400 });
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { settleWithConcurrency, summarizeOrgMetrics, combineOrgTotals } = require('../services/org-overview');
+
+const metrics = (overrides = {}) => ({
+  metrics: {
+    totalProjects: 3,
+    totalMembers: 5,
+    totalIssues: 12,
+    issuesByLevel: { error: 7, fatal: 1, warning: 4 },
+    totalAlertRules: 2,
+    totalReplays: 6,
+    projectStats: { totalEvents: 1500 }
+  },
+  failedEndpoints: [],
+  ...overrides
+});
+
+const forbidden = Object.assign(new Error('You do not have access'), { status: 403 });
+
+test('settleWithConcurrency keeps order and never runs more than the limit at once', async () => {
+  let running = 0;
+  let maxRunning = 0;
+
+  const results = await settleWithConcurrency([1, 2, 3, 4, 5], 2, async value => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setImmediate(resolve));
+    running--;
+    if (value === 3) {
+      throw new Error('three');
+    }
+    return value * 10;
+  });
+
+  assert.strictEqual(maxRunning, 2);
+  assert.deepStrictEqual(results.map(result => result.status === 'fulfilled' ? result.value : result.reason.message), [10, 20, 'three', 40, 50]);
+  assert.deepStrictEqual(await settleWithConcurrency([], 2, async () => 1), []);
+});
+
+test('summarizeOrgMetrics reduces an org to totals', () => {
+  const row = summarizeOrgMetrics({ slug: 'acme', name: 'Acme' }, { status: 'fulfilled', value: metrics() });
+
+  assert.deepStrictEqual(row, {
+    slug: 'acme',
+    name: 'Acme',
+    status: 'ok',
+    error: null,
+    totals: { projects: 3, members: 5, issues: 12, errorIssues: 8, alertRules: 2, replays: 6 },
+    totalEvents: 1500
+  });
+});
+
+test('summarizeOrgMetrics marks partial, forbidden and failed orgs', () => {
+  const partial = summarizeOrgMetrics({ slug: 'a' }, {
+    status: 'fulfilled',
+    value: metrics({ failedEndpoints: [{ endpoint: 'replays', status: 500 }] })
+  });
+  assert.strictEqual(partial.status, 'partial');
+  assert.strictEqual(partial.error, 'Could not load: replays');
+  assert.strictEqual(partial.totals.replays, 6);
+
+  const noOrg = summarizeOrgMetrics({ slug: 'b' }, {
+    status: 'fulfilled',
+    value: metrics({ failedEndpoints: [{ endpoint: 'organization', status: 403, message: 'Forbidden' }] })
+  });
+  assert.deepStrictEqual([noOrg.status, noOrg.error, noOrg.totals], ['forbidden', 'Forbidden', null]);
+
+  assert.strictEqual(summarizeOrgMetrics({ slug: 'c' }, { status: 'rejected', reason: forbidden }).status, 'forbidden');
+  const failed = summarizeOrgMetrics({ slug: 'd' }, { status: 'rejected', reason: new Error('Sentry is down') });
+  assert.deepStrictEqual([failed.name, failed.status, failed.error], ['d', 'failed', 'Sentry is down']);
+});
+
+test('combineOrgTotals adds up the orgs with numbers and counts failures', () => {
+  const rows = [
+    summarizeOrgMetrics({ slug: 'a' }, { status: 'fulfilled', value: metrics() }),
+    summarizeOrgMetrics({ slug: 'b' }, { status: 'fulfilled', value: metrics() }),
+    summarizeOrgMetrics({ slug: 'c' }, { status: 'rejected', reason: forbidden })
+  ];
+
+  assert.deepStrictEqual(combineOrgTotals(rows), {
+    projects: 6,
+    members: 10,
+    issues: 24,
+    errorIssues: 16,
+    alertRules: 4,
+    replays: 12,
+    organizations: 3,
+    failedOrganizations: 1
+  });
+});
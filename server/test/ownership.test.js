@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildTeamOwnership } = require('../services/ownership');
+
+const teams = [
+  { id: 1, slug: 'frontend', name: 'Frontend' },
+  { id: 2, slug: 'backend', name: 'Backend' },
+  { id: 3, slug: 'empty' }
+];
+
+const members = [
+  { id: 10, email: 'ann@example.com', user: { name: 'Ann' }, orgRole: 'owner', teams: ['frontend', 'backend'] },
+  { id: 11, email: 'bob@example.com', name: 'Bob', role: 'member', teamRoles: [{ teamSlug: 'backend' }] },
+  { id: 12, email: 'cat@example.com', teams: [] },
+  { id: 13, email: 'new@example.com', pending: true, teams: [] }
+];
+
+const projects = [
+  { id: 100, slug: 'web', name: 'Web', platform: 'javascript', teams: [{ slug: 'frontend' }] },
+  { id: 101, slug: 'api', name: 'API', teams: [{ slug: 'backend' }, { slug: 'frontend' }] },
+  { id: 102, slug: 'legacy', name: 'Legacy', teams: [] }
+];
+
+test('buildTeamOwnership joins members and projects onto their teams', () => {
+  const { teams: ownership } = buildTeamOwnership({ teams, members, projects, openIssuesByTeam: { frontend: 4, backend: 9 } });
+
+  assert.deepStrictEqual(ownership.map(team => [team.slug, team.openIssues]), [['backend', 9], ['frontend', 4], ['empty', null]]);
+
+  const backend = ownership[0];
+  assert.deepStrictEqual(backend.members.map(member => member.name), ['Ann', 'Bob']);
+  assert.deepStrictEqual(backend.members[1], { id: '11', name: 'Bob', email: 'bob@example.com', role: 'member', pending: false });
+  assert.deepStrictEqual(backend.projects.map(project => project.slug), ['api']);
+  assert.deepStrictEqual(ownership[1].projects.map(project => project.slug), ['web', 'api']);
+  assert.strictEqual(ownership[2].name, 'empty');
+});
+
+test('buildTeamOwnership reports unowned projects and teamless members, but not pending invites', () => {
+  const { unownedProjects, teamlessMembers } = buildTeamOwnership({ teams, members, projects });
+
+  assert.deepStrictEqual(unownedProjects, [{ id: '102', slug: 'legacy', name: 'Legacy', platform: null }]);
+  assert.deepStrictEqual(teamlessMembers.map(member => member.email), ['cat@example.com']);
+});
+
+test('buildTeamOwnership handles an empty organization', () => {
+  assert.deepStrictEqual(buildTeamOwnership({}), { teams: [], unownedProjects: [], teamlessMembers: [] });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GRADE_SCALE, parseGradeScale, buildProjectScorecards } = require('../services/project-scorecards');
+
+test('parseGradeScale orders grades best first', () => {
+  assert.deepStrictEqual(parseGradeScale('Fail:0, Pass:70'), [
+    { grade: 'Pass', minScore: 70 },
+    { grade: 'Fail', minScore: 0 }
+  ]);
+});
+
+test('parseGradeScale rejects malformed scales', () => {
+  ['A:90', 'A:90,B:', 'A:90,A:0', 'A:120,F:0', 'nonsense'].forEach(value => {
+    assert.throws(() => parseGradeScale(value), /Invalid grade scale/);
+  });
+});
+
+test('a malformed SENTRY_SCORECARD_GRADES stops the module from loading', () => {
+  const modulePath = require.resolve('../services/project-scorecards');
+  const previous = process.env.SENTRY_SCORECARD_GRADES;
+  process.env.SENTRY_SCORECARD_GRADES = 'A:90';
+  delete require.cache[modulePath];
+  try {
+    assert.throws(() => require(modulePath), /SENTRY_SCORECARD_GRADES/);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.SENTRY_SCORECARD_GRADES;
+    } else {
+      process.env.SENTRY_SCORECARD_GRADES = previous;
+    }
+    delete require.cache[modulePath];
+  }
+});
+
+test('buildProjectScorecards scores projects against the previous period', () => {
+  const [web, api] = buildProjectScorecards({
+    projects: [{ id: 3, slug: 'web', name: 'Web' }, { id: 4, slug: 'api', name: 'API' }],
+    current: {
+      levelRows: [{ 'project.id': 3, level: 'fatal', 'count_unique(issue)': 1 }],
+      totalRows: [{ 'project.id': 3, 'count()': 150, 'count_unique(user)': 10 }],
+      newIssues: [{ project: { id: '3' } }]
+    },
+    previous: {
+      totalRows: [{ 'project.id': 3, 'count()': 100, 'count_unique(user)': 10 }]
+    }
+  });
+
+  // 1 fatal (-10), 1 new (-3), events +50% (-10)
+  assert.strictEqual(web.slug, 'web');
+  assert.strictEqual(web.score, 77);
+  assert.strictEqual(web.grade, 'C');
+  assert.deepStrictEqual(web.events, { current: 150, previous: 100, change: 50 });
+  assert.strictEqual(api.score, 100);
+  assert.strictEqual(api.grade, GRADE_SCALE[0].grade);
+});
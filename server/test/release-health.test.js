@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarizeReleaseHealth, MAX_RELEASES } = require('../services/release-health');
+
+const group = (release, sessions, users, status) => ({
+  by: status ? { release, 'session.status': status } : { release },
+  totals: { 'sum(session)': sessions, 'count_unique(user)': users }
+});
+
+const releases = [
+  { version: 'app@3.0.0', shortVersion: '3.0.0', dateCreated: '2026-10-03' },
+  { version: 'app@2.0.0', shortVersion: '2.0.0', dateCreated: '2026-10-02' },
+  { version: 'app@1.0.0', dateCreated: '2026-10-01' }
+];
+
+const totals = { groups: [group('app@3.0.0', 1000, 100), group('app@2.0.0', 3000, 300), group('app@1.0.0', 10, 5)] };
+const statusTotals = {
+  groups: [
+    group('app@3.0.0', 20, 10, 'crashed'),
+    group('app@3.0.0', 980, 90, 'healthy'),
+    group('app@2.0.0', 3, 3, 'crashed'),
+    group('app@1.0.0', 1, 1, 'crashed')
+  ]
+};
+
+test('summarizeReleaseHealth computes crash-free rates and adoption per release', () => {
+  const [latest, previous] = summarizeReleaseHealth(releases, totals, statusTotals);
+
+  assert.strictEqual(latest.shortVersion, '3.0.0');
+  assert.strictEqual(latest.crashedSessions, 20);
+  assert.strictEqual(latest.crashFreeSessions, 98);
+  assert.strictEqual(latest.crashFreeUsers, 90);
+  assert.strictEqual(latest.adoption, 24.94);
+  assert.strictEqual(previous.crashFreeSessions, 99.9);
+});
+
+test('summarizeReleaseHealth flags a drop against the previous comparable release', () => {
+  const [latest, previous, oldest] = summarizeReleaseHealth(releases, totals, statusTotals);
+
+  assert.strictEqual(latest.previousVersion, 'app@2.0.0');
+  assert.strictEqual(latest.crashFreeSessionsChange, -1.9);
+  assert.strictEqual(latest.regressed, true);
+
+  // 1.0.0 has too few sessions to compare against, and nothing is older than it
+  assert.strictEqual(previous.previousVersion, null);
+  assert.strictEqual(previous.regressed, false);
+  assert.strictEqual(oldest.shortVersion, 'app@1.0.0');
+  assert.strictEqual(oldest.crashFreeSessionsChange, null);
+});
+
+test('summarizeReleaseHealth reports null rates for releases without sessions', () => {
+  const [row] = summarizeReleaseHealth([{ version: 'app@4.0.0' }], { groups: [] }, null);
+  assert.strictEqual(row.sessions, 0);
+  assert.strictEqual(row.crashFreeSessions, null);
+  assert.strictEqual(row.adoption, null);
+  assert.strictEqual(row.regressed, false);
+});
+
+test('summarizeReleaseHealth keeps only the newest releases', () => {
+  const many = Array.from({ length: MAX_RELEASES + 5 }, (_, index) => ({ version: `app@${index}` }));
+  assert.strictEqual(summarizeReleaseHealth(many, null, null).length, MAX_RELEASES);
+});
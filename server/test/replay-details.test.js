@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseReplayFilters, buildReplayQuery, summarizeReplay, replayUrl } = require('../services/replay-details');
+
+test('parseReplayFilters reads projects, user and the errors-only flag', () => {
+  assert.deepStrictEqual(parseReplayFilters({ project: ['1', '2'], user: ' jane@example.com ', hasErrors: 'true' }), {
+    projectIds: ['1', '2'],
+    user: 'jane@example.com',
+    hasErrors: true
+  });
+  assert.deepStrictEqual(parseReplayFilters(), { projectIds: [], user: null, hasErrors: false });
+});
+
+test('parseReplayFilters rejects non-numeric projects and long user filters', () => {
+  assert.throws(() => parseReplayFilters({ project: 'web' }), { status: 400 });
+  assert.throws(() => parseReplayFilters({ user: 'x'.repeat(201) }), { status: 400 });
+});
+
+test('buildReplayQuery matches emails and usernames and escapes quotes', () => {
+  assert.strictEqual(buildReplayQuery({ user: 'jane@example.com' }), 'user.email:"jane@example.com"');
+  assert.strictEqual(buildReplayQuery({ user: 'ja"ne', hasErrors: true }), 'user.username:"ja\\"ne" count_errors:>0');
+  assert.strictEqual(buildReplayQuery({ hasErrors: true, release: 'app@1.0' }), 'count_errors:>0 release:"app@1.0"');
+  assert.strictEqual(buildReplayQuery(), '');
+});
+
+test('summarizeReplay trims a Sentry replay to what the browser shows', () => {
+  const summary = summarizeReplay({
+    id: 'r1',
+    project_id: 42,
+    started_at: '2026-10-01T10:00:00Z',
+    finished_at: '2026-10-01T10:05:00Z',
+    duration: 300,
+    urls: ['/a', '/b'],
+    count_errors: 2,
+    error_ids: ['e1', 'e2'],
+    user: { id: 'u1', display_name: 'Jane', email: 'jane@example.com' },
+    browser: { name: 'Chrome', version: '118.0' },
+    os: { name: 'macOS', version: null },
+    activity: 7
+  });
+
+  assert.deepStrictEqual(summary, {
+    id: 'r1',
+    projectId: '42',
+    startedAt: '2026-10-01T10:00:00Z',
+    finishedAt: '2026-10-01T10:05:00Z',
+    duration: 300,
+    urls: ['/a', '/b'],
+    countUrls: 2,
+    countErrors: 2,
+    errorIds: ['e1', 'e2'],
+    user: { id: 'u1', name: 'Jane', email: 'jane@example.com' },
+    browser: 'Chrome 118.0',
+    os: 'macOS',
+    environment: null,
+    releases: []
+  });
+});
+
+test('summarizeReplay leaves out missing users and handles missing replays', () => {
+  assert.strictEqual(summarizeReplay({ id: 'r2', user: {} }).user, null);
+  assert.strictEqual(summarizeReplay(null), null);
+});
+
+test('replayUrl links to the replay player', () => {
+  assert.strictEqual(replayUrl('https://sentry.io/', 'acme', 'r1'), 'https://sentry.io/organizations/acme/replays/r1/');
+});
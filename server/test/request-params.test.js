@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireBodyObject, toList } = require('../services/request-params');
+
+test('requireBodyObject passes JSON objects through', () => {
+  const body = { action: 'resolve' };
+  assert.strictEqual(requireBodyObject(body), body);
+});
+
+test('requireBodyObject rejects null, arrays, scalars and missing bodies', () => {
+  [null, undefined, [], ['resolve'], 'resolve', 42, true].forEach(body => {
+    assert.throws(() => requireBodyObject(body), { status: 400, message: 'Request body must be a JSON object' });
+  });
+});
+
+test('toList turns repeatable query params into a list of strings', () => {
+  assert.deepStrictEqual(toList(['a', 'b']), ['a', 'b']);
+  assert.deepStrictEqual(toList('a'), ['a']);
+  assert.deepStrictEqual(toList(''), []);
+  assert.deepStrictEqual(toList(undefined), []);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RequestScheduler } = require('../services/request-scheduler');
+
+// Keep retry/pause logs out of the test runner's output
+test.mock.method(console, 'log', () => {});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const response = (status, headers = {}) => ({
+  status,
+  headers: new Headers(headers),
+  text: async () => ''
+});
+
+test('getStats does not create a queue', () => {
+  const scheduler = new RequestScheduler();
+  assert.deepStrictEqual(scheduler.getStats('user:1'), {
+    requests: 0, throttled: 0, retries: 0, waitedMs: 0, rateLimit: null
+  });
+  assert.strictEqual(scheduler.queues.size, 0);
+});
+
+test('idle queues are dropped once they drain', async () => {
+  const scheduler = new RequestScheduler({ idleTtlMs: 5 });
+  const result = await scheduler.schedule('user:1', async () => response(200));
+
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(scheduler.getStats('user:1').requests, 1);
+  await sleep(20);
+  assert.strictEqual(scheduler.queues.size, 0);
+});
+
+test('a queue that gets new work is kept', async () => {
+  const scheduler = new RequestScheduler({ idleTtlMs: 20 });
+  await scheduler.schedule('user:1', async () => response(200));
+  await sleep(10);
+  await scheduler.schedule('user:1', async () => response(200));
+  await sleep(15);
+
+  assert.strictEqual(scheduler.getStats('user:1').requests, 2);
+});
+
+test('a queue stays while its rate-limit pause is in force', async () => {
+  const scheduler = new RequestScheduler({ idleTtlMs: 5 });
+  const resetSeconds = Math.ceil(Date.now() / 1000) + 2;
+  await scheduler.schedule('user:1', async () => response(200, {
+    'x-sentry-rate-limit-limit': '40',
+    'x-sentry-rate-limit-remaining': '0',
+    'x-sentry-rate-limit-reset': String(resetSeconds)
+  }));
+
+  await sleep(20);
+  assert.strictEqual(scheduler.queues.size, 1);
+  assert.strictEqual(scheduler.getStats('user:1').rateLimit.remaining, 0);
+});
+
+test('retries a 503 GET and counts the retry', async () => {
+  const scheduler = new RequestScheduler({ baseDelayMs: 1, maxRetries: 2, idleTtlMs: 5 });
+  const statuses = [503, 200];
+  const result = await scheduler.schedule('user:1', async () => response(statuses.shift()));
+
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(scheduler.getStats('user:1').retries, 1);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { ResponseCache, sendJsonWithEtag } = require('../services/response-cache');
+
+// Keep the cache's startup logs out of the test runner's output
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+const policy = { ttlMs: 1000, staleMs: 5000 };
+
+// Date.now() under test control, so entries can go stale without waiting
+function useClock(t, start = 1_000_000) {
+  const clock = { now: start };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+// A fetcher whose calls can be counted and whose results resolve on demand
+function deferredFetcher() {
+  const calls = [];
+  const fetcher = () => new Promise(resolve => calls.push(resolve));
+  return { fetcher, calls };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Plain http.get: fetch() adds its own cache headers to conditional requests
+const get = (url, headers = {}) => new Promise((resolve, reject) => {
+  http.get(url, { headers }, res => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+  }).on('error', reject);
+});
+
+test('ResponseCache serves fresh entries without fetching again', async t => {
+  useClock(t);
+  const cache = new ResponseCache({ enabled: true });
+  let fetches = 0;
+  const fetcher = async () => `value-${++fetches}`;
+
+  assert.deepStrictEqual(await cache.get('k', fetcher, policy), { value: 'value-1', status: 'miss' });
+  assert.deepStrictEqual(await cache.get('k', fetcher, policy), { value: 'value-1', status: 'hit' });
+  assert.strictEqual(fetches, 1);
+});
+
+test('ResponseCache serves stale entries while refreshing them in the background', async t => {
+  const clock = useClock(t);
+  const cache = new ResponseCache({ enabled: true });
+  await cache.get('k', async () => 'old', policy);
+
+  clock.now += policy.ttlMs + 1;
+  const { fetcher, calls } = deferredFetcher();
+  assert.deepStrictEqual(await cache.get('k', fetcher, policy), { value: 'old', status: 'stale' });
+  assert.deepStrictEqual(await cache.get('k', fetcher, policy), { value: 'old', status: 'stale' });
+  assert.strictEqual(calls.length, 1);
+
+  calls[0]('new');
+  await tick();
+  assert.deepStrictEqual(await cache.get('k', fetcher, policy), { value: 'new', status: 'hit' });
+
+  // Past the stale window the caller waits for a fresh value
+  clock.now += policy.ttlMs + policy.staleMs + 1;
+  assert.deepStrictEqual(await cache.get('k', async () => 'newest', policy), { value: 'newest', status: 'miss' });
+});
+
+test('ResponseCache keeps the stale value when a background refresh fails', async t => {
+  const clock = useClock(t);
+  const cache = new ResponseCache({ enabled: true });
+  await cache.get('k', async () => 'old', policy);
+
+  clock.now += policy.ttlMs + 1;
+  await cache.get('k', async () => { throw new Error('Sentry is down'); }, policy);
+  await tick();
+
+  assert.strictEqual((await cache.get('k', async () => 'unused', policy)).value, 'old');
+  assert.strictEqual(cache.getStats().revalidationErrors, 1);
+});
+
+test('ResponseCache shares one fetch between concurrent misses and never caches errors', async () => {
+  const cache = new ResponseCache({ enabled: true });
+  const { fetcher, calls } = deferredFetcher();
+
+  const first = cache.get('k', fetcher, policy);
+  const second = cache.get('k', fetcher, policy);
+  calls[0]('shared');
+  assert.deepStrictEqual((await Promise.all([first, second])).map(result => result.value), ['shared', 'shared']);
+  assert.strictEqual(calls.length, 1);
+
+  await assert.rejects(cache.get('failing', async () => { throw new Error('boom'); }, policy), /boom/);
+  assert.strictEqual((await cache.get('failing', async () => 'ok', policy)).status, 'miss');
+});
+
+test('ResponseCache bypass, LRU eviction and prefix invalidation', async () => {
+  const cache = new ResponseCache({ enabled: true, maxEntries: 2 });
+  await cache.get('user:1:a', async () => 'a', policy);
+  assert.deepStrictEqual(await cache.get('user:1:a', async () => 'a2', { ...policy, bypass: true }), { value: 'a2', status: 'bypass' });
+  assert.strictEqual((await cache.get('user:1:a', async () => 'unused', policy)).value, 'a2');
+
+  await cache.get('user:1:b', async () => 'b', policy);
+  await cache.get('user:2:c', async () => 'c', policy);
+  assert.strictEqual(cache.getStats().entries, 2);
+  assert.strictEqual((await cache.get('user:1:a', async () => 'refetched', policy)).status, 'miss');
+
+  assert.strictEqual(cache.invalidate('user:1:'), 1);
+  assert.strictEqual((await cache.get('user:2:c', async () => 'unused', policy)).status, 'hit');
+});
+
+test('sendJsonWithEtag answers 304 when the client already has the current body', async t => {
+  let body = { issues: [1, 2] };
+  const app = express();
+  app.get('/data', (req, res) => sendJsonWithEtag(req, res, body));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/data`;
+
+  const first = await get(url);
+  const { etag } = first.headers;
+  assert.strictEqual(first.status, 200);
+  assert.deepStrictEqual(JSON.parse(first.body), body);
+  assert.strictEqual(first.headers['cache-control'], 'private, no-cache');
+
+  const unchanged = await get(url, { 'If-None-Match': etag });
+  assert.strictEqual(unchanged.status, 304);
+  assert.strictEqual(unchanged.body, '');
+
+  body = { issues: [1, 2, 3] };
+  const changed = await get(url, { 'If-None-Match': etag });
+  assert.strictEqual(changed.status, 200);
+  assert.notStrictEqual(changed.headers.etag, etag);
+});
+
+test('ResponseCache drops fetches that were in flight when their keys were invalidated', async t => {
+  const clock = useClock(t);
+  const cache = new ResponseCache({ enabled: true });
+
+  // A miss in flight during an update must not write the old list back
+  const { fetcher, calls } = deferredFetcher();
+  const pending = cache.get('user:1:issues', fetcher, policy);
+  cache.invalidate('user:1:');
+  calls[0]('before update');
+  assert.strictEqual((await pending).value, 'before update');
+  assert.deepStrictEqual(await cache.get('user:1:issues', async () => 'after update', policy), { value: 'after update', status: 'miss' });
+
+  // Same for a background revalidation of a stale entry
+  clock.now += policy.ttlMs + 1;
+  const revalidation = deferredFetcher();
+  await cache.get('user:1:issues', revalidation.fetcher, policy);
+  cache.invalidate(key => key.endsWith(':issues'));
+  revalidation.calls[0]('stale revalidation');
+  await tick();
+  assert.deepStrictEqual(await cache.get('user:1:issues', async () => 'fresh', policy), { value: 'fresh', status: 'miss' });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  KNOWN_SCOPES,
+  BASE_SCOPES,
+  FEATURE_SCOPES,
+  resolveRequestedScopes,
+  parseGrantedScopes,
+  getMissingScopes,
+  getAvailableFeatures
+} = require('../services/scopes');
+
+test('resolveRequestedScopes adds a feature\'s scopes to the base scopes', () => {
+  const scopes = resolveRequestedScopes({ feature: 'triage' });
+  assert.ok(BASE_SCOPES.every(scope => scopes.includes(scope)));
+  assert.ok(scopes.includes('event:write'));
+});
+
+test('resolveRequestedScopes rejects unknown scopes and features', () => {
+  assert.throws(() => resolveRequestedScopes({ scopes: 'org:admin:everything' }), { status: 400 });
+  assert.throws(() => resolveRequestedScopes({ feature: 'billing' }), { status: 400, message: /Unknown feature/ });
+});
+
+test('resolveRequestedScopes rejects inherited object keys as features', () => {
+  ['constructor', 'toString', '__proto__'].forEach(feature => {
+    assert.throws(() => resolveRequestedScopes({ feature }), { status: 400, message: /Unknown feature/ });
+  });
+});
+
+test('getMissingScopes lists required scopes that were not granted', () => {
+  assert.deepStrictEqual(getMissingScopes('org:read event:read', ['event:read', 'event:write']), ['event:write']);
+});
+
+test('every feature only asks for scopes Sentry knows', () => {
+  Object.entries(FEATURE_SCOPES).forEach(([feature, scopes]) => {
+    assert.ok(scopes.length > 0, feature);
+    scopes.forEach(scope => assert.ok(KNOWN_SCOPES.includes(scope), `${feature}: ${scope}`));
+  });
+});
+
+test('users without recorded scopes count as having the base scopes', () => {
+  assert.deepStrictEqual(parseGrantedScopes(null), BASE_SCOPES);
+  assert.deepStrictEqual(getMissingScopes(null, FEATURE_SCOPES.dashboard), []);
+  assert.deepStrictEqual(getMissingScopes(null, FEATURE_SCOPES.triage), ['event:write']);
+
+  const features = getAvailableFeatures(null);
+  assert.strictEqual(features.teams, true);
+  assert.strictEqual(features.triage, false);
+});
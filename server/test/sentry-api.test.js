@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SentryAPIService, parseLinkHeader } = require('../services/sentry-api');
+
+// Keep the services' startup logs out of the test runner's output
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+const sentryAPI = new SentryAPIService();
+
+const credentials = {
+  baseUrl: 'https://sentry.acme.internal',
+  regionUrls: { acme: 'https://de.sentry.io' }
+};
+
+test('getApiBaseUrl sends org and project endpoints to the org region', () => {
+  assert.strictEqual(sentryAPI.getApiBaseUrl('/organizations/acme/projects/', credentials), 'https://de.sentry.io');
+  assert.strictEqual(sentryAPI.getApiBaseUrl('/projects/acme/web/stats/', credentials), 'https://de.sentry.io');
+});
+
+test('getApiBaseUrl falls back to the user instance, then SENTRY_BASE_URL', () => {
+  assert.strictEqual(sentryAPI.getApiBaseUrl('/organizations/other/projects/', credentials), 'https://sentry.acme.internal');
+  assert.strictEqual(sentryAPI.getApiBaseUrl('/organizations/', credentials), 'https://sentry.acme.internal');
+  assert.strictEqual(sentryAPI.getApiBaseUrl('/organizations/', { regionUrls: {} }), sentryAPI.baseUrl);
+  assert.strictEqual(sentryAPI.getApiBaseUrl('/organizations/acme/projects/', null), sentryAPI.baseUrl);
+});
+
+test('getApiBaseUrl ignores inherited object keys as org slugs', () => {
+  ['constructor', '__proto__', 'toString', 'hasOwnProperty'].forEach(slug => {
+    assert.strictEqual(sentryAPI.getApiBaseUrl(`/organizations/${slug}/issues/`, credentials), 'https://sentry.acme.internal');
+  });
+});
+
+test('parseLinkHeader reads Sentry cursors and whether each page has results', () => {
+  const links = parseLinkHeader(
+    '<https://sentry.io/api/0/organizations/acme/issues/?&cursor=0:0:1>; rel="previous"; results="false"; cursor="0:0:1", ' +
+    '<https://sentry.io/api/0/organizations/acme/issues/?&cursor=0:100:0>; rel="next"; results="true"; cursor="0:100:0"'
+  );
+
+  assert.deepStrictEqual(links.previous, {
+    url: 'https://sentry.io/api/0/organizations/acme/issues/?&cursor=0:0:1',
+    results: false,
+    cursor: '0:0:1'
+  });
+  assert.strictEqual(links.next.results, true);
+  assert.strictEqual(links.next.cursor, '0:100:0');
+  assert.deepStrictEqual(parseLinkHeader(null), { previous: null, next: null });
+  assert.deepStrictEqual(parseLinkHeader('<https://x>; rel="self"'), { previous: null, next: null });
+});
+
+// Fake Sentry list endpoint: `total` items served `perPage` at a time, cursor = offset
+function fakePages(t, service, { total, perPage }) {
+  return t.mock.method(service, 'makeRequest', async endpoint => {
+    const offset = Number(new URLSearchParams(endpoint.split('?')[1] || '').get('cursor') || 0);
+    const data = Array.from({ length: Math.min(perPage, total - offset) }, (_, index) => ({ id: offset + index }));
+    const nextOffset = offset + perPage;
+    return {
+      data,
+      pagination: {
+        previous: null,
+        next: { url: '', results: nextOffset < total, cursor: String(nextOffset) },
+        hits: total
+      }
+    };
+  });
+}
+
+test('paginate follows next cursors until Sentry runs out of results', async t => {
+  const service = new SentryAPIService();
+  const makeRequest = fakePages(t, service, { total: 5, perPage: 2 });
+
+  const pages = [];
+  for await (const page of service.paginate('/organizations/acme/projects/', 'token')) {
+    pages.push(page.data.map(item => item.id));
+  }
+
+  assert.deepStrictEqual(pages, [[0, 1], [2, 3], [4]]);
+  assert.deepStrictEqual(makeRequest.mock.calls.map(call => call.arguments[0]), [
+    '/organizations/acme/projects/',
+    '/organizations/acme/projects/?cursor=2',
+    '/organizations/acme/projects/?cursor=4'
+  ]);
+});
+
+test('collectPages stops at the budget and returns where to continue', async t => {
+  const service = new SentryAPIService();
+  fakePages(t, service, { total: 10, perPage: 3 });
+
+  const byPages = await service.collectPages('/organizations/acme/issues/?query=is:unresolved', 'token', { maxPages: 2 });
+  assert.strictEqual(byPages.items.length, 6);
+  assert.strictEqual(byPages.nextCursor, '6');
+  assert.strictEqual(byPages.hits, 10);
+
+  // maxItems is checked between pages, so whole pages come back
+  const byItems = await service.collectPages('/organizations/acme/issues/', 'token', { maxItems: 4 });
+  assert.strictEqual(byItems.items.length, 6);
+
+  const rest = await service.collectPages('/organizations/acme/issues/', 'token', { cursor: '6' });
+  assert.deepStrictEqual(rest.items.map(item => item.id), [6, 7, 8, 9]);
+  assert.strictEqual(rest.nextCursor, null);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getInstance, getRegionUrls } = require('../services/sentry-instances');
+
+// Keep warnings about rejected region URLs out of the test runner's output
+test.mock.method(console, 'warn', () => {});
+
+const sentryIo = { baseUrl: 'https://sentry.io' };
+
+test('getRegionUrls keeps region hosts under the instance host', () => {
+  const regions = getRegionUrls([
+    { slug: 'us-org', links: { regionUrl: 'https://us.sentry.io/' } },
+    { slug: 'eu-org', links: { regionUrl: 'https://de.sentry.io' } },
+    { slug: 'no-region' }
+  ], sentryIo);
+
+  assert.deepStrictEqual(regions, { 'us-org': 'https://us.sentry.io', 'eu-org': 'https://de.sentry.io' });
+});
+
+test('getRegionUrls ignores hosts that could receive the token elsewhere', () => {
+  const regions = getRegionUrls([
+    { slug: 'evil', links: { regionUrl: 'https://evil.example.com' } },
+    { slug: 'lookalike', links: { regionUrl: 'https://notsentry.io' } },
+    { slug: 'downgrade', links: { regionUrl: 'http://us.sentry.io' } },
+    { slug: 'garbage', links: { regionUrl: 'not a url' } }
+  ], sentryIo);
+
+  assert.deepStrictEqual(regions, {});
+});
+
+test('getInstance returns the default instance and rejects unknown IDs', () => {
+  assert.strictEqual(getInstance().id, 'default');
+  assert.strictEqual(getInstance('').id, 'default');
+  assert.throws(() => getInstance('nope'), { status: 400 });
+});
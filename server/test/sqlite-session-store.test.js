@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getDatabase, migrations } = require('../stores/sqlite');
+const { SqliteSessionStore } = require('../stores/sqlite-session-store');
+
+// Keep the store's startup logs out of the test runner's output
+test.mock.method(console, 'log', () => {});
+
+const call = (store, method, ...args) => new Promise((resolve, reject) => {
+  store[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+});
+
+const createStore = () => new SqliteSessionStore({ ttlMs: 60 * 1000 }, getDatabase(':memory:'));
+
+test('getDatabase upgrades an existing database without touching its data', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-'));
+  const filename = path.join(directory, 'upgrade.sqlite');
+
+  // A database file left behind by the first release: only the users table
+  const legacy = new Database(filename);
+  legacy.exec(migrations[0].up);
+  legacy.pragma('user_version = 1');
+  legacy.prepare("INSERT INTO users (sentry_id, email, created_at, updated_at) VALUES ('1', 'a@example.com', 'now', 'now')").run();
+  legacy.close();
+
+  const db = getDatabase(filename);
+  assert.strictEqual(db.pragma('user_version', { simple: true }), migrations[migrations.length - 1].version);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS total FROM users').get().total, 1);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS total FROM sessions').get().total, 0);
+
+  db.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('SqliteSessionStore round-trips, counts and destroys sessions', async () => {
+  const store = createStore();
+  await call(store, 'clear');
+  await call(store, 'set', 'sid-1', { userId: 1, cookie: { originalMaxAge: 60000 } });
+  await call(store, 'set', 'sid-2', { userId: 2, cookie: { originalMaxAge: 60000 } });
+
+  assert.strictEqual((await call(store, 'get', 'sid-1')).userId, 1);
+  assert.strictEqual(await call(store, 'length'), 2);
+  assert.deepStrictEqual(Object.keys(await call(store, 'all')).sort(), ['sid-1', 'sid-2']);
+
+  await call(store, 'destroy', 'sid-1');
+  assert.strictEqual(await call(store, 'get', 'sid-1'), null);
+  assert.strictEqual(await call(store, 'length'), 1);
+});
+
+test('SqliteSessionStore expires sessions with their cookie and cleans them up', async () => {
+  const store = createStore();
+  await call(store, 'clear');
+  await call(store, 'set', 'expired', { cookie: { expires: new Date(Date.now() - 1000).toISOString() } });
+  await call(store, 'set', 'live', { cookie: { originalMaxAge: 60000 } });
+
+  assert.strictEqual(await call(store, 'get', 'expired'), null);
+  assert.strictEqual(await call(store, 'length'), 1);
+  assert.strictEqual(await store.cleanupExpired(), 1);
+
+  // touch() moves the expiry to wherever the cookie now ends
+  await call(store, 'touch', 'live', { cookie: { expires: new Date(Date.now() - 1000).toISOString() } });
+  assert.strictEqual(await call(store, 'get', 'live'), null);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getDatabase, migrations } = require('../stores/sqlite');
+const { SqliteUserStore } = require('../stores/sqlite-user-store');
+const { decryptToken, encryptToken, isEncrypted } = require('../services/token-crypto');
+
+// Keep the store's startup logs out of the test runner's output
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+const latestVersion = migrations[migrations.length - 1].version;
+
+const sentryUser = id => ({ id, email: `user${id}@example.com`, name: `User ${id}`, username: `user${id}` });
+
+test('migrations have unique, increasing version numbers', () => {
+  migrations.forEach((migration, index) => {
+    assert.strictEqual(migration.version, index + 1);
+  });
+});
+
+test('getDatabase migrates a new database file to the latest version once', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-'));
+  const filename = path.join(directory, 'nested', 'test.sqlite');
+
+  const db = getDatabase(filename);
+  assert.strictEqual(db.pragma('user_version', { simple: true }), latestVersion);
+  assert.strictEqual(getDatabase(filename), db);
+
+  db.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('SqliteUserStore creates users and finds them by every key', async () => {
+  const store = new SqliteUserStore(getDatabase(':memory:'));
+  const created = await store.createUser(sentryUser(101), {
+    accessToken: 'access-101',
+    refreshToken: 'refresh-101',
+    expiresAt: '2030-01-01T00:00:00.000Z'
+  });
+
+  assert.strictEqual(created.sentry_id, '101');
+  assert.ok(isEncrypted(created.access_token));
+  assert.strictEqual(decryptToken(created.access_token), 'access-101');
+  assert.strictEqual(decryptToken(created.refresh_token), 'refresh-101');
+  assert.strictEqual((await store.findUserBySentryId(101)).id, created.id);
+  assert.strictEqual((await store.findUserByEmail('user101@example.com')).id, created.id);
+  assert.strictEqual((await store.findUserById(created.id)).email, 'user101@example.com');
+  assert.strictEqual(await store.findUserBySentryId('missing'), null);
+});
+
+test('SqliteUserStore keeps the old refresh token when Sentry sends none', async () => {
+  const store = new SqliteUserStore(getDatabase(':memory:'));
+  const created = await store.createUser(sentryUser(102), { accessToken: 'a1', refreshToken: 'r1' });
+
+  const updated = await store.updateUser({ ...sentryUser(102), name: 'Renamed' }, { accessToken: 'a2' });
+  assert.strictEqual(updated.name, 'Renamed');
+  assert.strictEqual(decryptToken(updated.access_token), 'a2');
+  assert.strictEqual(decryptToken(updated.refresh_token), 'r1');
+
+  const refreshed = await store.updateUserTokens(created.id, { accessToken: 'a3', refreshToken: 'r3' });
+  assert.strictEqual(decryptToken(refreshed.access_token), 'a3');
+  assert.strictEqual(decryptToken(refreshed.refresh_token), 'r3');
+});
+
+test('SqliteUserStore encrypts legacy plaintext tokens in place', async () => {
+  const db = getDatabase(':memory:');
+  const store = new SqliteUserStore(db);
+  const created = await store.createUser(sentryUser(103), { accessToken: 'a1', refreshToken: 'r1' });
+  db.prepare('UPDATE users SET access_token = ?, refresh_token = NULL WHERE id = ?').run('legacy-plaintext', created.id);
+
+  assert.ok(await store.reencryptTokens() >= 1);
+  const user = await store.findUserById(created.id);
+  assert.strictEqual(decryptToken(user.access_token), 'legacy-plaintext');
+  assert.strictEqual(user.refresh_token, null);
+
+  // Already sealed with the active key: nothing left to do
+  db.prepare('UPDATE users SET access_token = ?').run(encryptToken('sealed'));
+  assert.strictEqual(await store.reencryptTokens(), 0);
+});
+
+test('SqliteUserStore refuses to update users it does not know', async () => {
+  const store = new SqliteUserStore(getDatabase(':memory:'));
+  await assert.rejects(store.updateUser(sentryUser(999), { accessToken: 'a' }), /User not found/);
+  await assert.rejects(store.updateUserTokens(999, { accessToken: 'a' }), /User not found/);
+});
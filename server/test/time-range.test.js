@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_BUCKETS, parseTimeRange, previousTimeRange } = require('../services/time-range');
+const { SentryAPIService } = require('../services/sentry-api');
+
+test('parseTimeRange picks an interval that suits the range', () => {
+  assert.deepStrictEqual(parseTimeRange({}), { statsPeriod: '14d', start: null, end: null, interval: '1d' });
+  assert.strictEqual(parseTimeRange({ statsPeriod: '24h' }).interval, '1h');
+  assert.strictEqual(parseTimeRange({ statsPeriod: '2d' }).interval, '1h');
+  assert.strictEqual(parseTimeRange({ statsPeriod: '3d' }).interval, '1d');
+});
+
+test('parseTimeRange rejects ranges longer than 90 days', () => {
+  assert.strictEqual(parseTimeRange({ statsPeriod: '90d' }).interval, '1d');
+  assert.throws(() => parseTimeRange({ statsPeriod: '52000w' }), { status: 400, message: /too long/ });
+  assert.throws(() => parseTimeRange({ statsPeriod: '13000000w' }), { status: 400, message: /too long/ });
+  assert.throws(() => parseTimeRange({ start: '2020-01-01T00:00:00Z', end: '2026-01-01T00:00:00Z' }), {
+    status: 400,
+    message: /too long/
+  });
+});
+
+test('parseTimeRange checks the bucket count of the effective interval', () => {
+  assert.throws(() => parseTimeRange({ statsPeriod: '90d', interval: '1m' }), { status: 400, message: /buckets/ });
+  assert.strictEqual(parseTimeRange({ statsPeriod: '30d', interval: '1h' }).interval, '1h');
+});
+
+test('parseTimeRange rejects incomplete or inverted absolute ranges', () => {
+  assert.throws(() => parseTimeRange({ start: '2026-01-01T00:00:00Z' }), { status: 400 });
+  assert.throws(() => parseTimeRange({ start: '2026-01-02T00:00:00Z', end: '2026-01-01T00:00:00Z' }), { status: 400 });
+});
+
+test('previousTimeRange is the window of the same length just before', () => {
+  const previous = previousTimeRange({ start: '2026-01-08T00:00:00.000Z', end: '2026-01-15T00:00:00.000Z' });
+  assert.strictEqual(previous.start, '2026-01-01T00:00:00.000Z');
+  assert.strictEqual(previous.end, '2026-01-08T00:00:00.000Z');
+});
+
+test('getNewIssuesTimeline never builds more than MAX_BUCKETS buckets', () => {
+  const service = new SentryAPIService();
+  const timeline = service.getNewIssuesTimeline(
+    [{ firstSeen: '2025-06-01T00:00:00Z' }],
+    { start: '1900-01-01T00:00:00Z', end: '2026-01-01T00:00:00Z', interval: '1m' }
+  );
+  assert.ok(timeline.length <= MAX_BUCKETS);
+  assert.strictEqual(timeline.reduce((sum, bucket) => sum + bucket.count, 0), 1);
+});
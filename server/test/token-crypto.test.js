@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+// Keep the module's startup logs out of the test runner's output
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+const KEY_ENV = ['TOKEN_ENCRYPTION_KEYS', 'TOKEN_ENCRYPTION_ACTIVE_KEY_ID', 'NODE_ENV'];
+const oldKey = crypto.randomBytes(32).toString('base64');
+const newKey = crypto.randomBytes(32).toString('base64');
+
+// Keys are read once at load time, so each configuration gets a fresh copy of the module
+function loadTokenCrypto(env) {
+  for (const name of KEY_ENV) {
+    if (env[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = env[name];
+    }
+  }
+  delete require.cache[require.resolve('../services/token-crypto')];
+  return require('../services/token-crypto');
+}
+
+test('encryptToken seals tokens that decryptToken opens again', () => {
+  const tokenCrypto = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `k1:${oldKey}` });
+  const sealed = tokenCrypto.encryptToken('sentry-access-token');
+
+  assert.match(sealed, /^v1\.k1\./);
+  assert.ok(tokenCrypto.isEncrypted(sealed));
+  assert.notStrictEqual(tokenCrypto.encryptToken('sentry-access-token'), sealed);
+  assert.strictEqual(tokenCrypto.decryptToken(sealed), 'sentry-access-token');
+  assert.strictEqual(tokenCrypto.encryptToken(null), null);
+  assert.strictEqual(tokenCrypto.decryptToken(null), null);
+});
+
+test('decryptToken rejects tampered and plaintext tokens', () => {
+  const tokenCrypto = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `k1:${oldKey}` });
+  const parts = tokenCrypto.encryptToken('sentry-access-token').split('.');
+  parts[4] = Buffer.from('forged').toString('base64url');
+
+  assert.throws(() => tokenCrypto.decryptToken(parts.join('.')));
+  assert.throws(() => tokenCrypto.decryptToken('plaintext-token'), /not encrypted/);
+});
+
+test('rotating keys keeps old tokens readable and re-encrypts them with the new key', () => {
+  const before = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `k1:${oldKey}` });
+  const sealedWithOld = before.encryptToken('sentry-refresh-token');
+
+  const after = loadTokenCrypto({
+    TOKEN_ENCRYPTION_KEYS: `k1:${oldKey},k2:${newKey}`,
+    TOKEN_ENCRYPTION_ACTIVE_KEY_ID: 'k2'
+  });
+  assert.strictEqual(after.decryptToken(sealedWithOld), 'sentry-refresh-token');
+  assert.ok(after.needsReencryption(sealedWithOld));
+  assert.ok(after.needsReencryption('legacy-plaintext'));
+
+  const resealed = after.reencryptToken(sealedWithOld);
+  assert.match(resealed, /^v1\.k2\./);
+  assert.ok(!after.needsReencryption(resealed));
+  assert.strictEqual(after.decryptToken(resealed), 'sentry-refresh-token');
+
+  // Once the old key is retired its tokens can no longer be opened
+  const retired = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `k2:${newKey}` });
+  assert.throws(() => retired.decryptToken(sealedWithOld), /No token encryption key loaded for key ID "k1"/);
+  assert.strictEqual(retired.decryptToken(resealed), 'sentry-refresh-token');
+});
+
+test('key configuration errors fail at load time', () => {
+  assert.throws(() => loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: 'no-separator' }), /Invalid TOKEN_ENCRYPTION_KEYS entry/);
+  assert.throws(() => loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `short:${crypto.randomBytes(16).toString('base64')}` }), /must be 32 bytes/);
+  assert.throws(() => loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `k1:${oldKey}`, TOKEN_ENCRYPTION_ACTIVE_KEY_ID: 'k9' }), /is not in TOKEN_ENCRYPTION_KEYS/);
+  assert.throws(() => loadTokenCrypto({ NODE_ENV: 'production' }), /must be set in production/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Keep the stores' logs out of the test runner's output
+test.mock.method(console, 'log', () => {});
+
+// The OAuth service refuses to load without client credentials; Sentry itself is mocked below
+process.env.SENTRY_OAUTH_CLIENT_ID = process.env.SENTRY_OAUTH_CLIENT_ID || 'test-client';
+process.env.SENTRY_OAUTH_CLIENT_SECRET = process.env.SENTRY_OAUTH_CLIENT_SECRET || 'test-secret';
+
+const database = require('../database');
+const { sentryOAuthService } = require('../services/sentry-oauth.js');
+const { tokenManager } = require('../services/token-manager');
+
+let nextSentryId = 1;
+const createUser = (tokens = {}) => database.createUser(
+  { id: `sentry-${nextSentryId++}`, email: `user${nextSentryId}@example.com`, name: 'Test User' },
+  { accessToken: 'access', refreshToken: 'refresh', expiresAt: new Date(Date.now() + 3600 * 1000).toISOString(), ...tokens }
+);
+
+const sentryRefreshError = status => {
+  const error = new Error(`Sentry token refresh failed: ${status} {"error":"invalid_grant"}`);
+  error.status = status;
+  return error;
+};
+
+test('refreshUserToken turns a rejected (expired or revoked) refresh token into a 401', async (t) => {
+  const user = await createUser();
+  t.mock.method(sentryOAuthService, 'refreshAccessToken', async () => {
+    throw sentryRefreshError(400);
+  });
+
+  await assert.rejects(tokenManager.refreshUserToken(user.id), {
+    status: 401,
+    loginRequired: true,
+    message: /log in again/
+  });
+});
+
+test('refreshUserToken asks for a new login when no refresh token is stored', async () => {
+  const user = await createUser({ refreshToken: null });
+  await assert.rejects(tokenManager.refreshUserToken(user.id), { status: 401, loginRequired: true });
+});
+
+test('refreshUserToken keeps other Sentry failures as they are', async (t) => {
+  const user = await createUser();
+  t.mock.method(sentryOAuthService, 'refreshAccessToken', async () => {
+    throw sentryRefreshError(503);
+  });
+
+  await assert.rejects(tokenManager.refreshUserToken(user.id), error => error.status === 503 && !error.loginRequired);
+});
+
+test('refreshUserToken stores the new tokens', async (t) => {
+  const user = await createUser();
+  t.mock.method(sentryOAuthService, 'refreshAccessToken', async () => ({
+    accessToken: 'fresh-access',
+    refreshToken: 'fresh-refresh',
+    expiresAt: new Date(Date.now() + 3600 * 1000).toISOString()
+  }));
+
+  const updated = await tokenManager.refreshUserToken(user.id);
+  assert.notStrictEqual(updated.access_token, user.access_token);
+});